@@ -10,28 +10,51 @@ import imageRoutes from "./routes/imageRoutes.js"
 import friendRoutes from "./routes/friendRoutes.js"
 import messageRoutes from "./routes/messageRoutes.js"
 import groupRoutes from "./routes/groupRoutes.js"
+import syncRoutes from "./routes/syncRoutes.js"
 import { errorHandler } from "./middleware/errorMiddleware.js"
 import { initializeStorage } from "./config/supabaseConfig.js"
 import { connectDB } from "./config/mongodbConfig.js"
-import { initializeSocketServer } from "./socket/socketManager.js"
+import { initializeSocketServer, attachConnectionStoreAdapter } from "./socket/socketManager.js"
+import { startEmailDigestScheduler } from "./services/emailDigestService.js"
+import { startScheduledMessageWorker } from "./services/scheduledMessageService.js"
+import { startExpiredMessageCleanup } from "./services/disappearingMessageService.js"
 
 dotenv.config()
 
 const app = express()
 const PORT = process.env.PORT || 5000
 
+// Cần khi chạy sau reverse proxy để req.ip (dùng cho rate limit) là IP thật của client
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", process.env.TRUST_PROXY)
+}
+
 // Create HTTP server
 const server = http.createServer(app)
 
-// Connect to MongoDB
-connectDB().catch(console.error)
-
 // Initialize Supabase storage
 initializeStorage().catch(console.error)
 
 // Initialize Socket.IO
 const io = initializeSocketServer(server)
 
+// Connect to MongoDB, sau đó gắn adapter dùng chung của connection store (CONNECTION_STORE=mongo)
+// để sự kiện phát từ một instance đến được socket kết nối ở instance khác
+connectDB()
+  .then(() => attachConnectionStoreAdapter(io))
+  .catch(console.error)
+
+// Gửi tin nhắn hẹn giờ khi đến hạn (tin quá hạn trong lúc server tắt được gửi ngay khi khởi động lại)
+startScheduledMessageWorker(io)
+
+// Xóa tin nhắn tự hủy đã hết hạn cùng tệp đính kèm
+startExpiredMessageCleanup(io)
+
+// Email tóm tắt tin nhắn chưa đọc (tắt mặc định)
+if (process.env.EMAIL_DIGEST_ENABLED === "true") {
+  startEmailDigestScheduler()
+}
+
 // Middleware
 app.use(helmet())
 app.use(cors())
@@ -52,6 +75,7 @@ app.use("/api/images", imageRoutes)
 app.use("/api/friends", friendRoutes)
 app.use("/api/messages", messageRoutes)
 app.use("/api/groups", groupRoutes)
+app.use("/api/sync", syncRoutes)
 
 app.get("/health", (req, res) => {
   res.status(200).json({ status: "ok" })
@@ -1,6 +1,12 @@
 import { createUser, getUserByEmail, verifyPassword, updateUser, getUserById } from "../models/userModel.js"
 import { sendVerificationEmail, verifyEmailCode, validateEmail } from "../services/emailService.js"
 import * as alternativeEmailService from "../services/alternativeEmailService.js"
+import { getDeviceInfo, issueSessionTokens, refreshSessionTokens } from "../services/tokenService.js"
+import { signTwoFactorToken, verifySecondFactor, verifyTwoFactorToken } from "../services/twoFactorService.js"
+import { revokeSession, revokeUserSessions } from "../models/sessionModel.js"
+import { recordFailedLogin, clearFailedLogins, getLoginLockout } from "../services/rateLimitService.js"
+import { disconnectSessionSockets } from "../socket/socketManager.js"
+import { removeSessionDeviceTokens } from "../models/deviceTokenModel.js"
 import jwt from "jsonwebtoken"
 import dotenv from "dotenv"
 import { v4 as uuidv4 } from "uuid"
@@ -141,15 +147,11 @@ export const completeRegistration = async (req, res) => {
       avatarUrl,
     })
 
-    const token = jwt.sign(
-      { userId: user.userId, email: user.email, avatarUrl: user.avatarUrl },
-      process.env.JWT_SECRET,
-      { expiresIn: "30d" },
-    )
+    const tokens = await issueSessionTokens(user, getDeviceInfo(req))
 
     res.status(201).json({
       message: "User registered successfully",
-      token,
+      ...tokens,
       user: {
         userId: user.userId,
         email: user.email,
@@ -178,24 +180,32 @@ export const login = async (req, res) => {
     }
 
     const user = await getUserByEmail(email)
+    const isMatch = user ? await verifyPassword(password, user.password) : false
 
-    if (!user) {
+    if (!isMatch) {
+      // Đếm cả email không tồn tại để không lộ thông tin tài khoản
+      const failure = await recordFailedLogin(email, req.ip)
+      if (failure.locked) {
+        res.set("Retry-After", String(failure.retryAfterSeconds))
+      }
       return res.status(401).json({ message: "Invalid credentials" })
     }
 
-    const isMatch = await verifyPassword(password, user.password)
-
-    if (!isMatch) {
-      return res.status(401).json({ message: "Invalid credentials" })
+    // Tài khoản bật xác thực hai bước: chỉ cấp token sau khi xác minh mã
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(200).json({
+        message: "Two-factor authentication required",
+        twoFactorRequired: true,
+        twoFactorToken: signTwoFactorToken(user.userId),
+      })
     }
 
-    const token = jwt.sign({ userId: user.userId, email: user.email }, process.env.JWT_SECRET, {
-      expiresIn: "30d",
-    })
+    await clearFailedLogins(email, req.ip)
+    const tokens = await issueSessionTokens(user, getDeviceInfo(req))
 
     res.status(200).json({
       message: "Login successful",
-      token,
+      ...tokens,
       user: {
         userId: user.userId,
         email: user.email,
@@ -209,6 +219,117 @@ export const login = async (req, res) => {
   }
 }
 
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { twoFactorToken, code, backupCode } = req.body
+
+    if (!twoFactorToken || (!code && !backupCode)) {
+      return res.status(400).json({ message: "Two-factor token and code or backup code are required" })
+    }
+
+    let decoded
+    try {
+      decoded = verifyTwoFactorToken(twoFactorToken)
+    } catch (error) {
+      return res.status(401).json({ message: "Invalid or expired two-factor token" })
+    }
+
+    const user = await getUserById(decoded.userId)
+    if (!user) {
+      return res.status(401).json({ message: "Invalid credentials" })
+    }
+
+    const lockout = await getLoginLockout(user.email, req.ip)
+    if (lockout.locked) {
+      res.set("Retry-After", String(lockout.retryAfterSeconds))
+      return res.status(429).json({ message: "Too many failed login attempts, please try again later" })
+    }
+
+    const verification = await verifySecondFactor(user, { code, backupCode })
+    if (!verification.valid) {
+      await recordFailedLogin(user.email, req.ip)
+      return res.status(401).json({ message: "Invalid two-factor code" })
+    }
+
+    await clearFailedLogins(user.email, req.ip)
+    const tokens = await issueSessionTokens(user, getDeviceInfo(req))
+
+    const responseData = {
+      message: "Login successful",
+      ...tokens,
+      user: {
+        userId: user.userId,
+        email: user.email,
+        fullName: user.fullName,
+        avatarUrl: user.avatarUrl,
+      },
+    }
+
+    if (verification.method === "backup_code") {
+      const remaining = user.twoFactor.backupCodes.filter((backup) => !backup.usedAt).length - 1
+      responseData.remainingBackupCodes = Math.max(remaining, 0)
+    }
+
+    res.status(200).json(responseData)
+  } catch (error) {
+    console.error("Error in verifyTwoFactorLogin:", error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+export const refreshAccessToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" })
+    }
+
+    const tokens = await refreshSessionTokens(refreshToken)
+
+    res.status(200).json({
+      message: "Token refreshed successfully",
+      ...tokens,
+    })
+  } catch (error) {
+    console.error("Error in refreshAccessToken:", error)
+
+    if (error.message === "Refresh token reuse detected") {
+      disconnectSessionSockets(req.io, error.sessionId)
+      await removeSessionDeviceTokens([error.sessionId])
+      return res.status(401).json({ message: "Session has been revoked, please log in again" })
+    }
+
+    if (error.message === "Invalid refresh token") {
+      return res.status(401).json({ message: error.message })
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+export const logout = async (req, res) => {
+  try {
+    const { userId, sessionId } = req.user
+    const { allDevices = false } = req.body
+
+    const revokedSessionIds = allDevices ? await revokeUserSessions(userId) : [sessionId]
+    if (!allDevices) {
+      await revokeSession(sessionId, userId)
+    }
+
+    revokedSessionIds.forEach((id) => disconnectSessionSockets(req.io, id))
+    await removeSessionDeviceTokens(revokedSessionIds)
+
+    res.status(200).json({
+      message: allDevices ? "Logged out from all devices" : "Logged out successfully",
+    })
+  } catch (error) {
+    console.error("Error in logout:", error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
 export const requestPasswordResetCode = async (req, res) => {
   try {
     const { email } = req.body
@@ -334,6 +455,11 @@ export const completePasswordReset = async (req, res) => {
 
     await updateUser(decoded.userId, { password: newPassword })
 
+    // Đăng xuất khỏi tất cả thiết bị sau khi đặt lại mật khẩu
+    const revokedSessionIds = await revokeUserSessions(decoded.userId)
+    revokedSessionIds.forEach((sessionId) => disconnectSessionSockets(req.io, sessionId))
+    await removeSessionDeviceTokens(revokedSessionIds)
+
     res.status(200).json({ message: "Password reset successfully" })
   } catch (error) {
     console.error("Error in completePasswordReset:", error)
@@ -10,9 +10,11 @@ import {
   FriendRequest, // Import FriendRequest
 } from "../models/friendModel.js"
 import { getUserById } from "../models/userModel.js"
-import { emitToUser } from "../socket/socketManager.js"
+import { emitToUser, syncUserStatusFor } from "../socket/socketManager.js"
 import { getOrCreateConversation } from "../models/messageModel.js"
 import { createSystemMessage } from "../models/messageModel.js"
+import { isBlockedBetween } from "../models/blockModel.js"
+import { notifyFriendRequest } from "../services/notificationService.js"
 
 export const sendFriendRequest = async (req, res) => {
   try {
@@ -28,6 +30,10 @@ export const sendFriendRequest = async (req, res) => {
       return res.status(404).json({ message: "User not found" })
     }
 
+    if (await isBlockedBetween(senderId, receiverId)) {
+      return res.status(403).json({ message: "You cannot send a friend request to this user" })
+    }
+
     const friendRequest = await createFriendRequest(senderId, receiverId, message)
 
     // Get sender details for notification
@@ -47,6 +53,9 @@ export const sendFriendRequest = async (req, res) => {
       createdAt: friendRequest.createdAt,
     })
 
+    // Thông báo đẩy khi người nhận đang offline
+    notifyFriendRequest(receiverId, senderInfo)
+
     res.status(201).json({
       message: "Friend request sent successfully",
       friendRequest: {
@@ -162,6 +171,9 @@ export const respondToFriendRequest = async (req, res) => {
     if (friendRequest.status !== "pending") {
       return res.status(400).json({ message: "This friend request has already been processed" })
     }
+    if (action === "accept" && (await isBlockedBetween(friendRequest.senderId, userId))) {
+      return res.status(403).json({ message: "You cannot accept a friend request from this user" })
+    }
 
     const status = action === "accept" ? "accepted" : "rejected"
     const updatedRequest = await updateFriendRequestStatus(requestId, status)
@@ -197,6 +209,14 @@ export const respondToFriendRequest = async (req, res) => {
       action,
     })
 
+    // Bạn bè mới có thể được xem trạng thái trực tuyến của nhau
+    if (action === "accept") {
+      await Promise.all([
+        syncUserStatusFor(req.io, friendRequest.senderId, userId),
+        syncUserStatusFor(req.io, userId, friendRequest.senderId),
+      ])
+    }
+
     res.status(200).json({
       message: `Friend request ${status} successfully`,
       friendRequest: {
@@ -264,6 +284,8 @@ export const removeFriend = async (req, res) => {
       userId,
     })
 
+    await Promise.all([syncUserStatusFor(req.io, userId, friendId), syncUserStatusFor(req.io, friendId, userId)])
+
     res.status(200).json({
       message: "Friend removed successfully",
     })
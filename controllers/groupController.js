@@ -15,9 +15,18 @@ import {
   GROUP_ROLES,
 } from "../models/groupModel.js"
 import { getUserById } from "../models/userModel.js"
-import { createSystemMessage } from "../models/messageModel.js"
+import { createSystemMessage, markMessagesAsReadUpTo, getConversationById } from "../models/messageModel.js"
+import { isBlockedBetween, getBlockRelatedUserIds } from "../models/blockModel.js"
+import { checkFriendship, getFriendIds } from "../models/friendModel.js"
+import {
+  getPrivacySettings,
+  getPrivacySettingsByUserIds,
+  isAllowedForAudience,
+} from "../models/privacySettingsModel.js"
 import { uploadImage } from "../services/supabaseStorageService.js"
 import { emitToGroup, emitToUser } from "../socket/socketManager.js"
+import { notifyAddedToGroup } from "../services/notificationService.js"
+import { getPinnedMessagesDetail } from "../services/messageService.js"
 
 // Tạo nhóm mới
 export const createNewGroup = async (req, res) => {
@@ -29,10 +38,24 @@ export const createNewGroup = async (req, res) => {
       return res.status(400).json({ message: "Group name is required" })
     }
 
-    // Kiểm tra và lọc các thành viên hợp lệ
+    // Kiểm tra và lọc các thành viên hợp lệ (bỏ qua người có quan hệ chặn với người tạo
+    // hoặc không cho phép người tạo thêm mình vào nhóm)
     const validMembers = []
     if (memberIds && memberIds.length > 0) {
+      const [blockedUserIds, friendIds, privacySettings] = await Promise.all([
+        getBlockRelatedUserIds(creatorId),
+        getFriendIds(creatorId),
+        getPrivacySettingsByUserIds(memberIds),
+      ])
+      const friendIdSet = new Set(friendIds)
       for (const memberId of memberIds) {
+        const settings = privacySettings.get(memberId)
+        if (
+          blockedUserIds.has(memberId) ||
+          (settings && !isAllowedForAudience(settings.groupInvites, friendIdSet.has(memberId)))
+        ) {
+          continue
+        }
         const user = await getUserById(memberId)
         if (user) {
           validMembers.push({
@@ -137,6 +160,8 @@ export const getGroup = async (req, res) => {
       }),
     )
 
+    const conversation = await getConversationById(group.conversationId)
+
     res.status(200).json({
       message: "Group retrieved successfully",
       group: {
@@ -150,6 +175,7 @@ export const getGroup = async (req, res) => {
         members: membersWithDetails,
         settings: group.settings,
         userRole: permission.role,
+        pinnedMessages: conversation ? await getPinnedMessagesDetail(conversation) : [],
       },
     })
   } catch (error) {
@@ -216,6 +242,15 @@ export const addMember = async (req, res) => {
       return res.status(404).json({ message: "User not found" })
     }
 
+    if (await isBlockedBetween(currentUserId, userId)) {
+      return res.status(403).json({ message: "You cannot add this user to the group" })
+    }
+
+    const { groupInvites } = await getPrivacySettings(userId)
+    if (!isAllowedForAudience(groupInvites, await checkFriendship(currentUserId, userId))) {
+      return res.status(403).json({ message: "This user does not allow you to add them to groups" })
+    }
+
     // Thêm thành viên
     const group = await addGroupMember(groupId, userId, currentUserId, role)
 
@@ -245,6 +280,9 @@ export const addMember = async (req, res) => {
       })
     })
 
+    // Thông báo đẩy khi người được thêm đang offline
+    notifyAddedToGroup(userId, group, currentUser)
+
     emitToGroup(req.io, groupId, "member_added", {
       groupId,
       member: {
@@ -701,9 +739,25 @@ export const updateLastRead = async (req, res) => {
       return res.status(403).json({ message: "You are not a member of this group" })
     }
 
+    const group = await getGroupById(groupId)
+    if (!group) {
+      return res.status(404).json({ message: "Group not found" })
+    }
+
+    // Đánh dấu đã đọc mọi tin nhắn tới messageId để readBy khớp với tin nhắn đã đọc cuối cùng
+    const { readAt } = await markMessagesAsReadUpTo(group.conversationId, currentUserId, messageId)
+
     // Cập nhật tin nhắn đã đọc cuối cùng
     await updateLastReadMessage(groupId, currentUserId, messageId)
 
+    // Không phát xác nhận đã đọc khi người dùng đã tắt
+    const { readReceipts } = await getPrivacySettings(currentUserId)
+    if (!readReceipts) {
+      return res.status(200).json({
+        message: "Last read message updated successfully",
+      })
+    }
+
     const memberIds = group.members.map((member) => member.userId)
 
 
@@ -712,7 +766,7 @@ export const updateLastRead = async (req, res) => {
         groupId,
         userId: currentUserId,
         messageId,
-        readAt: new Date(),
+        readAt,
       })
     })
 
@@ -720,7 +774,7 @@ export const updateLastRead = async (req, res) => {
       groupId,
       userId: currentUserId,
       messageId,
-      readAt: new Date(),
+      readAt,
     })
 
     res.status(200).json({
@@ -728,6 +782,11 @@ export const updateLastRead = async (req, res) => {
     })
   } catch (error) {
     console.error("Error in updateLastRead:", error)
+
+    if (error.message === "Message not found") {
+      return res.status(404).json({ message: error.message })
+    }
+
     res.status(500).json({ message: "Server error", error: error.message })
   }
 }
@@ -804,6 +863,8 @@ export const getGroupByConversation = async (req, res) => {
       }),
     )
 
+    const conversation = await getConversationById(group.conversationId)
+
     res.status(200).json({
       message: "Group retrieved successfully",
       group: {
@@ -817,6 +878,7 @@ export const getGroupByConversation = async (req, res) => {
         members: membersWithDetails,
         settings: group.settings,
         userRole: permission.role,
+        pinnedMessages: conversation ? await getPinnedMessagesDetail(conversation) : [],
       },
     })
   } catch (error) {
@@ -4,94 +4,300 @@ import {
   getUserConversations,
   createMessage,
   getMessageById,
-  getConversationMessages,
+  getConversationMessagesPage,
   markMessageAsRead,
   markConversationAsRead,
   deleteMessage,
   recallMessage,
+  editMessage,
   forwardMessage,
   getUnreadMessageCount,
-  createReplyMessage,
-  createMessageWithMentions,
+  getUnreadCountsByConversation,
+  getMessagesByIds,
+  addReaction,
+  removeReaction,
+  summarizeReactions,
+  summarizePoll,
+  searchMessages,
+  createSystemMessage,
+  updateConversationDisappearingDuration,
+  pinConversationMessage,
+  unpinConversationMessage,
+  MAX_PINNED_MESSAGES,
+  getThreadRootId,
+  getThreadReplies,
 } from "../models/messageModel.js"
 import { checkFriendship } from "../models/friendModel.js"
-import { getUserById } from "../models/userModel.js"
+import { isBlockedBetween } from "../models/blockModel.js"
+import { getPrivacySettings, getPrivacySettingsByUserIds } from "../models/privacySettingsModel.js"
+import { getUserById, getUsersByIds } from "../models/userModel.js"
+import {
+  getUserConversationStates,
+  seedConversationStates,
+  updateConversationPreferences,
+  isConversationMuted,
+} from "../models/conversationStateModel.js"
 import { uploadImage } from "../services/supabaseStorageService.js"
-import { getGroupByConversationId } from "../models/groupModel.js"
-import { emitToConversation, emitToUser } from "../socket/socketManager.js"
+import {
+  getGroupsByConversationIds,
+  getGroupByConversationId,
+  checkMemberPermission,
+  GROUP_ROLES,
+} from "../models/groupModel.js"
+import {
+  emitToConversation,
+  emitToUser,
+  emitMessagesDelivered,
+  emitThreadUpdated,
+} from "../socket/socketManager.js"
+import {
+  sendConversationMessage,
+  parseClientMessageId,
+  findResentMessage,
+  isDirectConversationBlocked,
+  buildNewMessageData,
+  deliverConversationMessages,
+  deliverLoadedMessages,
+  getPinnedMessagesDetail,
+} from "../services/messageService.js"
+import { parseDisappearingDuration, getDisappearingSystemMessage } from "../services/disappearingMessageService.js"
+
+// Cache thông tin người dùng trong phạm vi một request để tránh truy vấn lặp lại
+const createUserProfileCache = () => {
+  const profiles = new Map()
+
+  const load = async (userIds) => {
+    const missingIds = [...new Set(userIds)].filter((id) => id && id !== "system" && !profiles.has(id))
+    if (missingIds.length === 0) {
+      return
+    }
+
+    const users = await getUsersByIds(missingIds)
+    users.forEach((user) => {
+      profiles.set(user.userId, {
+        userId: user.userId,
+        fullName: user.fullName,
+        avatarUrl: user.avatarUrl,
+      })
+    })
+    missingIds.forEach((id) => {
+      if (!profiles.has(id)) {
+        profiles.set(id, null)
+      }
+    })
+  }
+
+  const has = (userId) => !!profiles.get(userId)
+
+  const get = (userId) => {
+    if (userId === "system") {
+      return { userId: "system", fullName: "System", avatarUrl: null }
+    }
+    return profiles.get(userId) || { userId, fullName: "Unknown User", avatarUrl: null }
+  }
+
+  return { load, has, get }
+}
+
+// Mã HTTP tương ứng với các lỗi khi gửi tin nhắn
+const SEND_MESSAGE_ERROR_STATUS = {
+  "Message content cannot be empty": 400,
+  "Unsupported message type": 400,
+  "Invalid clientMessageId": 400,
+  "Could not determine message recipient": 400,
+  "You are not a participant in this conversation": 403,
+  "You cannot send messages to this user": 403,
+  "Conversation not found": 404,
+  "Original message not found": 404,
+  "clientMessageId was already used in another conversation": 409,
+}
+
+const respondWithSendError = (res, error) => {
+  const status = SEND_MESSAGE_ERROR_STATUS[error.message]
+  if (status) {
+    return res.status(status).json({ message: error.message })
+  }
+  return res.status(500).json({ message: "Server error", error: error.message })
+}
+
+// Những người đã đọc các tin nhắn nhưng tắt xác nhận đã đọc (trừ người dùng hiện tại)
+const loadHiddenReaderIds = async (messages, currentUserId) => {
+  const readerIds = messages
+    .flatMap((message) => (message && message.readBy ? message.readBy.map((read) => read.userId) : []))
+    .filter((readerId) => readerId !== currentUserId)
+
+  const settings = await getPrivacySettingsByUserIds(readerIds)
+  return new Set([...settings.values()].filter((item) => !item.readReceipts).map((item) => item.userId))
+}
+
+const getVisibleReadBy = (readBy, hiddenReaderIds) => {
+  return (readBy || []).filter((read) => !hiddenReaderIds.has(read.userId))
+}
+
+// Trạng thái tin nhắn: sent -> delivered (mọi người nhận đã nhận) -> read (mọi người nhận đã đọc).
+// Đã đọc thì coi như đã nhận; người ẩn xác nhận đã đọc chỉ được tính là đã nhận
+const getMessageStatusSummary = (message, participants, hiddenReaderIds) => {
+  if (message.type === "system") {
+    return null
+  }
+
+  const recipientIds = participants.filter((id) => id !== message.senderId)
+  const readerIds = new Set((message.readBy || []).map((read) => read.userId))
+  const deliveredIds = new Set([...(message.deliveredTo || []).map((delivery) => delivery.userId), ...readerIds])
+
+  const deliveredCount = recipientIds.filter((id) => deliveredIds.has(id)).length
+  const readCount = recipientIds.filter((id) => readerIds.has(id) && !hiddenReaderIds.has(id)).length
+
+  let state = "sent"
+  if (recipientIds.length > 0 && readCount === recipientIds.length) {
+    state = "read"
+  } else if (recipientIds.length > 0 && deliveredCount === recipientIds.length) {
+    state = "delivered"
+  }
+
+  return {
+    state,
+    recipientCount: recipientIds.length,
+    deliveredCount,
+    readCount,
+  }
+}
+
+// Hàm helper để kiểm tra tin nhắn có bị xóa bởi user hiện tại không
+const isMessageDeletedByUser = (message, userId) => {
+  if (!message || !message.deletedBy || !Array.isArray(message.deletedBy) || message.deletedBy.length === 0) {
+    return false
+  }
+
+  return message.deletedBy.some((deletion) => {
+    if (!deletion || !deletion.userId) {
+      return false
+    }
+    return String(deletion.userId) === String(userId)
+  })
+}
 
 export const getConversations = async (req, res) => {
   try {
     const userId = req.user.userId
 
-    const conversations = await getUserConversations(userId)
+    const showArchived = req.query.archived === "true"
+
+    const [allConversations, states] = await Promise.all([
+      getUserConversations(userId),
+      getUserConversationStates(userId),
+    ])
+
+    // Cuộc trò chuyện cũ chưa có trạng thái: tính số chưa đọc một lần rồi lưu lại
+    const missingStateIds = allConversations
+      .map((conversation) => conversation.conversationId)
+      .filter((id) => !states.has(id))
+    if (missingStateIds.length > 0) {
+      const computedCounts = await getUnreadCountsByConversation(userId, missingStateIds)
+      const seedCounts = new Map(missingStateIds.map((id) => [id, computedCounts.get(id) || 0]))
+      await seedConversationStates(userId, seedCounts)
+      seedCounts.forEach((unreadCount, id) => states.set(id, { unreadCount }))
+    }
 
-    // Use Promise.allSettled instead of Promise.all to prevent one failed promise from rejecting all
-    const conversationsWithDetailsPromises = conversations.map(async (conversation) => {
-      try {
-        // Hàm helper để kiểm tra tin nhắn có bị xóa bởi user hiện tại không
-        const isMessageDeletedByUser = (message, userId) => {
-          if (!message || !message.deletedBy || !Array.isArray(message.deletedBy) || message.deletedBy.length === 0) {
-            return false
-          }
-          
-          return message.deletedBy.some(deletion => {
-            if (!deletion || !deletion.userId) {
-              return false
-            }
-            return String(deletion.userId) === String(userId)
-          })
+    // Lọc theo trạng thái lưu trữ/ẩn, cuộc trò chuyện được ghim luôn đứng đầu
+    const conversations = allConversations
+      .filter((conversation) => {
+        const state = states.get(conversation.conversationId) || {}
+        return !state.isHidden && !!state.isArchived === showArchived
+      })
+      .sort((a, b) => {
+        const stateA = states.get(a.conversationId) || {}
+        const stateB = states.get(b.conversationId) || {}
+        if (!!stateA.isPinned !== !!stateB.isPinned) {
+          return stateA.isPinned ? -1 : 1
         }
+        if (stateA.isPinned && stateB.isPinned) {
+          return new Date(stateB.pinnedAt || 0) - new Date(stateA.pinnedAt || 0)
+        }
+        return new Date(b.lastMessageAt) - new Date(a.lastMessageAt)
+      })
 
-        // Xử lý khác nhau cho nhóm và chat 1-1
-        if (conversation.isGroup) {
-          // Lấy thông tin nhóm
-          const group = await getGroupByConversationId(conversation.conversationId)
-
-          if (!group) {
-            console.warn(`Group not found for conversation ${conversation.conversationId}`)
-            return null
-          }
-
+    // Tải danh sách cuộc trò chuyện nghĩa là tin nhắn mới đã tới thiết bị
+    const participatingStates = new Map(
+      conversations.map((conversation) => [conversation.conversationId, states.get(conversation.conversationId)]),
+    )
+    const deliveries = await deliverConversationMessages(userId, participatingStates)
+    emitMessagesDelivered(req.io, userId, deliveries)
+
+    const groupConversationIds = conversations
+      .filter((conversation) => conversation.isGroup)
+      .map((conversation) => conversation.conversationId)
+
+    // Lấy toàn bộ dữ liệu liên quan theo lô thay vì truy vấn từng cuộc trò chuyện
+    const profiles = createUserProfileCache()
+    const [groups, lastMessages] = await Promise.all([
+      getGroupsByConversationIds(groupConversationIds),
+      getMessagesByIds(conversations.map((conversation) => conversation.lastMessageId)),
+      profiles.load(
+        conversations
+          .filter((conversation) => !conversation.isGroup)
+          .map((conversation) => conversation.participants.find((id) => id !== userId)),
+      ),
+    ])
+
+    const groupsByConversation = new Map(groups.map((group) => [group.conversationId, group]))
+    const messagesById = new Map(lastMessages.map((message) => [message.messageId, message]))
+    const hiddenReaderIds = await loadHiddenReaderIds(lastMessages, userId)
+
+    const conversationsWithDetails = conversations
+      .map((conversation) => {
+        try {
           let lastMessage = null
-          if (conversation.lastMessageId) {
-            const message = await getMessageById(conversation.lastMessageId)
-            
-            if (message) {
-              // Kiểm tra xem tin nhắn có bị xóa bởi user hiện tại không
-              const isDeletedByCurrentUser = isMessageDeletedByUser(message, userId)
-              
-              lastMessage = {
-                messageId: message.messageId,
-                senderId: message.senderId,
-                type: message.type,
-                content: message.content,
-                isDeleted: isDeletedByCurrentUser, // true nếu bị xóa bởi user hiện tại
-                isRecalled: message.isRecalled,
-                createdAt: message.createdAt,
-                deletedBy: message.deletedBy, // Thêm thông tin deletedBy nếu 
-                readBy: message.readBy
-              }
+          const message = conversation.lastMessageId ? messagesById.get(conversation.lastMessageId) : null
+
+          if (message) {
+            lastMessage = {
+              messageId: message.messageId,
+              senderId: message.senderId,
+              type: message.type,
+              content: message.content,
+              isDeleted: isMessageDeletedByUser(message, userId), // true nếu bị xóa bởi user hiện tại
+              isRecalled: message.isRecalled,
+              createdAt: message.createdAt,
+              deletedBy: message.deletedBy,
+              readBy: getVisibleReadBy(message.readBy, hiddenReaderIds),
             }
           }
 
-          const unreadCount = await getUnreadMessageCount(userId, conversation.conversationId)
+          const state = states.get(conversation.conversationId) || {}
+          const preferences = {
+            unreadCount: state.unreadCount || 0,
+            isPinned: !!state.isPinned,
+            isMuted: isConversationMuted(state),
+            mutedUntil: isConversationMuted(state) ? state.mutedUntil : null,
+            isArchived: !!state.isArchived,
+          }
 
-          return {
-            conversationId: conversation.conversationId,
-            isGroup: true,
-            group: {
-              groupId: group.groupId,
-              name: group.name,
-              avatarUrl: group.avatarUrl,
-              memberCount: group.members.length,
-            },
-            lastMessage,
-            lastMessageAt: conversation.lastMessageAt,
-            unreadCount,
+          // Xử lý khác nhau cho nhóm và chat 1-1
+          if (conversation.isGroup) {
+            const group = groupsByConversation.get(conversation.conversationId)
+
+            if (!group) {
+              console.warn(`Group not found for conversation ${conversation.conversationId}`)
+              return null
+            }
+
+            return {
+              conversationId: conversation.conversationId,
+              isGroup: true,
+              group: {
+                groupId: group.groupId,
+                name: group.name,
+                avatarUrl: group.avatarUrl,
+                memberCount: group.members.length,
+              },
+              lastMessage,
+              lastMessageAt: conversation.lastMessageAt,
+              disappearingDuration: conversation.disappearingDuration || null,
+              ...preferences,
+            }
           }
-        } else {
-          // Xử lý cho chat 1-1
+
           const otherParticipantId = conversation.participants.find((id) => id !== userId)
 
           if (!otherParticipantId) {
@@ -99,72 +305,35 @@ export const getConversations = async (req, res) => {
             return null
           }
 
-          let otherParticipant = await getUserById(otherParticipantId)
+          let otherParticipant = profiles.get(otherParticipantId)
 
           // If participant doesn't exist, create a fallback participant object
-          if (!otherParticipant) {
+          if (!profiles.has(otherParticipantId)) {
             console.warn(
               `Other participant with ID ${otherParticipantId} not found for conversation ${conversation.conversationId}`,
             )
-
-            // Create a fallback participant object
             otherParticipant = {
               userId: otherParticipantId,
               fullName: "Deleted User",
               avatarUrl: null,
-              email: "deleted@user.com",
-            }
-          }
-
-          let lastMessage = null
-          if (conversation.lastMessageId) {
-            const message = await getMessageById(conversation.lastMessageId)
-            
-            if (message) {
-              // Kiểm tra xem tin nhắn có bị xóa bởi user hiện tại không
-              const isDeletedByCurrentUser = isMessageDeletedByUser(message, userId)
-              
-              lastMessage = {
-                messageId: message.messageId,
-                senderId: message.senderId,
-                type: message.type,
-                content: message.content,
-                isDeleted: isDeletedByCurrentUser, // true nếu bị xóa bởi user hiện tại
-                isRecalled: message.isRecalled,
-                createdAt: message.createdAt,
-                deletedBy: message.deletedBy,
-                readBy: message.readBy 
-              }
             }
           }
 
-          const unreadCount = await getUnreadMessageCount(userId, conversation.conversationId)
-
           return {
             conversationId: conversation.conversationId,
             isGroup: false,
-            participant: {
-              userId: otherParticipant.userId,
-              fullName: otherParticipant.fullName,
-              avatarUrl: otherParticipant.avatarUrl,
-            },
+            participant: otherParticipant,
             lastMessage,
             lastMessageAt: conversation.lastMessageAt,
-            unreadCount,
+            disappearingDuration: conversation.disappearingDuration || null,
+            ...preferences,
           }
+        } catch (error) {
+          console.error(`Error processing conversation ${conversation.conversationId}:`, error)
+          return null
         }
-      } catch (error) {
-        console.error(`Error processing conversation ${conversation.conversationId}:`, error)
-        return null
-      }
-    })
-
-    const conversationsWithDetailsResults = await Promise.allSettled(conversationsWithDetailsPromises)
-
-    // Filter out rejected promises and null results
-    const conversationsWithDetails = conversationsWithDetailsResults
-      .filter((result) => result.status === "fulfilled" && result.value !== null)
-      .map((result) => result.value)
+      })
+      .filter((conversation) => conversation !== null)
 
     res.status(200).json({
       message: "Conversations retrieved successfully",
@@ -180,7 +349,15 @@ export const getMessages = async (req, res) => {
   try {
     const { conversationId } = req.params
     const userId = req.user.userId
-    const { before, limit = 50 } = req.query
+    const { before, after, around, cursor, direction = "before", limit = 50 } = req.query
+
+    if ((before && Number.isNaN(new Date(before).getTime())) || (after && Number.isNaN(new Date(after).getTime()))) {
+      return res.status(400).json({ message: "Invalid before/after timestamp" })
+    }
+
+    if (!["before", "after"].includes(direction)) {
+      return res.status(400).json({ message: "Direction must be 'before' or 'after'" })
+    }
 
     const conversation = await getConversationById(conversationId)
 
@@ -192,100 +369,116 @@ export const getMessages = async (req, res) => {
       return res.status(403).json({ message: "You are not a participant in this conversation" })
     }
 
-    const messages = await getConversationMessages(conversationId, Number.parseInt(limit), before)
+    const pageSize = Math.min(Math.max(Number.parseInt(limit) || 50, 1), 100)
+    const page = await getConversationMessagesPage(conversationId, {
+      limit: pageSize,
+      before,
+      after,
+      around,
+      cursor,
+      direction,
+    })
+    // Tin đã hết hạn nhưng job dọn dẹp chưa kịp xóa thì không trả về
+    const now = new Date()
+    const messages = page.messages.filter((msg) => !msg.expiresAt || msg.expiresAt > now)
+
+    // Đánh dấu đã nhận trước khi đánh dấu đã đọc để người gửi vẫn thấy "đã nhận" khi người đọc ẩn xác nhận đã đọc
+    const deliveries = await deliverLoadedMessages(userId, messages)
+    emitMessagesDelivered(req.io, userId, deliveries)
 
     // Đánh dấu tin nhắn đã đọc
     await markConversationAsRead(conversationId, userId)
 
     // Emit read status to other participants
-    conversation.participants.forEach((participantId) => {
-      if (participantId !== userId) {
-        emitToUser(req.io, participantId, "messages_read", {
-          conversationId,
-          userId,
-          readAt: new Date(),
-        })
-      }
-    })
-
-    // Lấy thông tin người gửi cho mỗi tin nhắn
-    const messagesWithSenderInfo = await Promise.all(
-      messages.map(async (msg) => {
-        let sender = null
-
-        if (msg.senderId === "system") {
-          sender = {
-            userId: "system",
-            fullName: "System",
-            avatarUrl: null,
-          }
-        } else {
-          const user = await getUserById(msg.senderId)
-          sender = user
-            ? {
-                userId: user.userId,
-                fullName: user.fullName,
-                avatarUrl: user.avatarUrl,
-              }
-            : {
-                userId: msg.senderId,
-                fullName: "Unknown User",
-                avatarUrl: null,
-              }
+    const { readReceipts } = await getPrivacySettings(userId)
+    if (readReceipts) {
+      conversation.participants.forEach((participantId) => {
+        if (participantId !== userId) {
+          emitToUser(req.io, participantId, "messages_read", {
+            conversationId,
+            userId,
+            readAt: new Date(),
+          })
         }
+      })
+    }
 
-        let replyToMessage = null
-        if (msg.replyTo) {
-          const originalMsg = await getMessageById(msg.replyTo)
-          if (originalMsg) {
-            const originalSender = await getUserById(originalMsg.senderId)
-            replyToMessage = {
-              messageId: originalMsg.messageId,
-              content: originalMsg.content,
-              type: originalMsg.type,
-              attachments: originalMsg.attachments,
-              sender: originalSender
-                ? {
-                    userId: originalSender.userId,
-                    fullName: originalSender.fullName,
-                  }
-                : {
-                    userId: originalMsg.senderId,
-                    fullName: "Unknown User",
-                  },
-            }
-          }
+    // Lấy tin nhắn gốc và thông tin người gửi theo lô
+    const replyTargets = await getMessagesByIds(messages.map((msg) => msg.replyTo))
+    const replyTargetsById = new Map(replyTargets.map((msg) => [msg.messageId, msg]))
+
+    const profiles = createUserProfileCache()
+    await profiles.load([
+      ...messages.map((msg) => msg.senderId),
+      ...replyTargets.map((msg) => msg.senderId),
+    ])
+    const hiddenReaderIds = await loadHiddenReaderIds(messages, userId)
+
+    const messagesWithSenderInfo = messages.map((msg) => {
+      let replyToMessage = null
+      const originalMsg = msg.replyTo ? replyTargetsById.get(msg.replyTo) : null
+      if (originalMsg) {
+        const originalSender = profiles.get(originalMsg.senderId)
+        replyToMessage = {
+          messageId: originalMsg.messageId,
+          content: originalMsg.content,
+          type: originalMsg.type,
+          attachments: originalMsg.attachments,
+          sender: {
+            userId: originalSender.userId,
+            fullName: originalSender.fullName,
+          },
         }
-        const isDeletedByCurrentUser = msg.deletedBy && msg.deletedBy.length > 0 
-          ? msg.deletedBy.some(deletion => String(deletion.userId) === String(userId))
-          : false
+      }
 
-        return {
-          messageId: msg.messageId,
-          senderId: msg.senderId,
-          sender,
-          type: msg.type,
-          content: msg.content,
-          attachments: msg.attachments,
-          isDeleted: isDeletedByCurrentUser, 
-          isRecalled: msg.isRecalled,
-          deletedBy: msg.deletedBy,
-          readBy: msg.readBy,
-          createdAt: msg.createdAt,
-          forwardedFrom: msg.forwardedFrom,
-          replyTo: replyToMessage,
-          mentions: msg.mentions,
-        }
-      }),
-    )
+      return {
+        messageId: msg.messageId,
+        senderId: msg.senderId,
+        sender: profiles.get(msg.senderId),
+        type: msg.type,
+        content: msg.content,
+        attachments: msg.attachments,
+        isDeleted: isMessageDeletedByUser(msg, userId),
+        isRecalled: msg.isRecalled,
+        deletedBy: msg.deletedBy,
+        readBy: getVisibleReadBy(msg.readBy, hiddenReaderIds),
+        deliveredTo: msg.deliveredTo,
+        status: getMessageStatusSummary(msg, conversation.participants, hiddenReaderIds),
+        createdAt: msg.createdAt,
+        forwardedFrom: msg.forwardedFrom,
+        replyTo: replyToMessage,
+        mentions: msg.mentions,
+        isEdited: msg.isEdited,
+        editedAt: msg.editedAt,
+        reactions: summarizeReactions(msg.reactions, userId),
+        poll: summarizePoll(msg.poll, userId),
+        threadRootId: msg.threadRootId,
+        replyCount: msg.replyCount,
+        lastReplyAt: msg.lastReplyAt,
+        expiresAt: msg.expiresAt,
+      }
+    })
 
     res.status(200).json({
       message: "Messages retrieved successfully",
       messages: messagesWithSenderInfo,
       isGroup: conversation.isGroup,
+      disappearingDuration: conversation.disappearingDuration || null,
+      hasMoreBefore: page.hasMoreBefore,
+      hasMoreAfter: page.hasMoreAfter,
+      cursors: page.cursors,
     })
   } catch (error) {
     console.error("Error in getMessages:", error)
+
+    if (error.message === "Invalid cursor") {
+      return res.status(400).json({ message: error.message })
+    }
+
+    if (error.message === "Message not found") {
+      return res.status(404).json({ message: error.message })
+    }
+
     res.status(500).json({ message: "Server error", error: error.message })
   }
 }
@@ -309,6 +502,10 @@ export const getOrStartConversation = async (req, res) => {
       return res.status(403).json({ message: "You must be friends to start a conversation" })
     }
 
+    if (await isBlockedBetween(userId, otherUserId)) {
+      return res.status(403).json({ message: "You cannot start a conversation with this user" })
+    }
+
     const conversation = await getOrCreateConversation(userId, otherUserId)
 
     if (!conversation) {
@@ -325,6 +522,7 @@ export const getOrStartConversation = async (req, res) => {
           fullName: otherUser.fullName,
           avatarUrl: otherUser.avatarUrl,
         },
+        pinnedMessages: await getPinnedMessagesDetail(conversation),
       },
     })
   } catch (error) {
@@ -335,142 +533,67 @@ export const getOrStartConversation = async (req, res) => {
 
 export const sendTextMessage = async (req, res) => {
   try {
-    const { conversationId, content } = req.body
+    const { conversationId, content, clientMessageId } = req.body
     const senderId = req.user.userId
 
-    if (!content || content.trim() === "") {
-      return res.status(400).json({ message: "Message content cannot be empty" })
-    }
-
-    const conversation = await getConversationById(conversationId)
-
-    if (!conversation) {
-      return res.status(404).json({ message: "Conversation not found" })
-    }
-
-    if (!conversation.participants.includes(senderId)) {
-      return res.status(403).json({ message: "You are not a participant in this conversation" })
-    }
-
-    let receiverId = null
-    if (!conversation.isGroup) {
-      receiverId = conversation.participants.find((id) => id !== senderId)
-
-      if (!receiverId) {
-        return res.status(400).json({ message: "Could not determine message recipient" })
-      }
-    }
-
-    const message = await createMessage(conversationId, senderId, receiverId, "text", content)
-
-    // Lấy thông tin người gửi
-    const sender = await getUserById(senderId)
-    const senderInfo = sender
-      ? {
-          userId: sender.userId,
-          fullName: sender.fullName,
-          avatarUrl: sender.avatarUrl,
-        }
-      : {
-          userId: senderId,
-          fullName: "Unknown User",
-          avatarUrl: null,
-        }
+    const { messageData, isDuplicate } = await sendConversationMessage(senderId, {
+      conversationId,
+      type: "text",
+      content,
+      clientMessageId,
+    })
 
-    const messageData = {
-      messageId: message.messageId,
-      conversationId: message.conversationId,
-      senderId: message.senderId,
-      sender: senderInfo,
-      type: message.type,
-      content: message.content,
-      createdAt: message.createdAt,
+    // Emit message to all participants in the conversation (client gửi lại thì không phát lần nữa)
+    if (!isDuplicate) {
+      emitToConversation(req.io, conversationId, "new_message", messageData)
     }
 
-    // Emit message to all participants in the conversation
-    emitToConversation(req.io, conversationId, "new_message", messageData)
-
-    res.status(201).json({
+    res.status(isDuplicate ? 200 : 201).json({
       message: "Message sent successfully",
       messageData,
     })
   } catch (error) {
     console.error("Error in sendTextMessage:", error)
-    res.status(500).json({ message: "Server error", error: error.message })
+    respondWithSendError(res, error)
   }
 }
 
 export const sendEmojiMessage = async (req, res) => {
   try {
-    const { conversationId, emoji } = req.body
+    const { conversationId, emoji, clientMessageId } = req.body
     const senderId = req.user.userId
 
     if (!emoji) {
       return res.status(400).json({ message: "Emoji cannot be empty" })
     }
 
-    const conversation = await getConversationById(conversationId)
-
-    if (!conversation) {
-      return res.status(404).json({ message: "Conversation not found" })
-    }
-
-    if (!conversation.participants.includes(senderId)) {
-      return res.status(403).json({ message: "You are not a participant in this conversation" })
-    }
-
-    let receiverId = null
-    if (!conversation.isGroup) {
-      receiverId = conversation.participants.find((id) => id !== senderId)
-
-      if (!receiverId) {
-        return res.status(400).json({ message: "Could not determine message recipient" })
-      }
-    }
-
-    const message = await createMessage(conversationId, senderId, receiverId, "emoji", emoji)
-
-    // Lấy thông tin người gửi
-    const sender = await getUserById(senderId)
-    const senderInfo = sender
-      ? {
-          userId: sender.userId,
-          fullName: sender.fullName,
-          avatarUrl: sender.avatarUrl,
-        }
-      : {
-          userId: senderId,
-          fullName: "Unknown User",
-          avatarUrl: null,
-        }
-
-    const messageData = {
-      messageId: message.messageId,
-      conversationId: message.conversationId,
-      senderId: message.senderId,
-      sender: senderInfo,
-      type: message.type,
-      content: message.content,
-      createdAt: message.createdAt,
-    }
+    const { messageData, isDuplicate } = await sendConversationMessage(senderId, {
+      conversationId,
+      type: "emoji",
+      content: emoji,
+      clientMessageId,
+    })
 
     // Emit message to all participants in the conversation
-    emitToConversation(req.io, conversationId, "new_message", messageData)
+    if (!isDuplicate) {
+      emitToConversation(req.io, conversationId, "new_message", messageData)
+    }
 
-    res.status(201).json({
+    res.status(isDuplicate ? 200 : 201).json({
       message: "Emoji sent successfully",
       messageData,
     })
   } catch (error) {
     console.error("Error in sendEmojiMessage:", error)
-    res.status(500).json({ message: "Server error", error: error.message })
+    respondWithSendError(res, error)
   }
 }
 
 export const sendImageMessage = async (req, res) => {
   try {
-    const { conversationId } = req.body
+    const { conversationId, clientMessageId } = req.body
     const senderId = req.user.userId
+    const validClientMessageId = parseClientMessageId(clientMessageId)
 
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ message: "No images uploaded" })
@@ -486,6 +609,19 @@ export const sendImageMessage = async (req, res) => {
       return res.status(403).json({ message: "You are not a participant in this conversation" })
     }
 
+    // Client gửi lại: trả về tin nhắn đã lưu, không tải tệp lên lần nữa
+    const resentMessage = await findResentMessage(senderId, conversationId, validClientMessageId)
+    if (resentMessage) {
+      return res.status(200).json({
+        message: "Image(s) sent successfully",
+        messageData: await buildNewMessageData(resentMessage),
+      })
+    }
+
+    if (await isDirectConversationBlocked(conversation, senderId)) {
+      return res.status(403).json({ message: "You cannot send messages to this user" })
+    }
+
     let receiverId = null
     if (!conversation.isGroup) {
       receiverId = conversation.participants.find((id) => id !== senderId)
@@ -509,7 +645,9 @@ export const sendImageMessage = async (req, res) => {
 
     const messageType = attachments.length > 1 ? "imageGroup" : "image"
 
-    const message = await createMessage(conversationId, senderId, receiverId, messageType, "", attachments)
+    const message = await createMessage(conversationId, senderId, receiverId, messageType, "", attachments, {
+      clientMessageId: validClientMessageId,
+    })
 
     // Lấy thông tin người gửi
     const sender = await getUserById(senderId)
@@ -527,6 +665,7 @@ export const sendImageMessage = async (req, res) => {
 
     const messageData = {
       messageId: message.messageId,
+      clientMessageId: message.clientMessageId || null,
       conversationId: message.conversationId,
       senderId: message.senderId,
       sender: senderInfo,
@@ -544,14 +683,15 @@ export const sendImageMessage = async (req, res) => {
     })
   } catch (error) {
     console.error("Error in sendImageMessage:", error)
-    res.status(500).json({ message: "Server error", error: error.message })
+    respondWithSendError(res, error)
   }
 }
 
 export const sendFileMessage = async (req, res) => {
   try {
-    const { conversationId } = req.body
+    const { conversationId, clientMessageId } = req.body
     const senderId = req.user.userId
+    const validClientMessageId = parseClientMessageId(clientMessageId)
 
     if (!req.file) {
       return res.status(400).json({ message: "No file uploaded" })
@@ -567,6 +707,19 @@ export const sendFileMessage = async (req, res) => {
       return res.status(403).json({ message: "You are not a participant in this conversation" })
     }
 
+    // Client gửi lại: trả về tin nhắn đã lưu, không tải tệp lên lần nữa
+    const resentMessage = await findResentMessage(senderId, conversationId, validClientMessageId)
+    if (resentMessage) {
+      return res.status(200).json({
+        message: "File sent successfully",
+        messageData: await buildNewMessageData(resentMessage),
+      })
+    }
+
+    if (await isDirectConversationBlocked(conversation, senderId)) {
+      return res.status(403).json({ message: "You cannot send messages to this user" })
+    }
+
     let receiverId = null
     if (!conversation.isGroup) {
       receiverId = conversation.participants.find((id) => id !== senderId)
@@ -587,7 +740,9 @@ export const sendFileMessage = async (req, res) => {
       },
     ]
 
-    const message = await createMessage(conversationId, senderId, receiverId, "file", "", attachments)
+    const message = await createMessage(conversationId, senderId, receiverId, "file", "", attachments, {
+      clientMessageId: validClientMessageId,
+    })
 
     // Lấy thông tin người gửi
     const sender = await getUserById(senderId)
@@ -605,6 +760,7 @@ export const sendFileMessage = async (req, res) => {
 
     const messageData = {
       messageId: message.messageId,
+      clientMessageId: message.clientMessageId || null,
       conversationId: message.conversationId,
       senderId: message.senderId,
       sender: senderInfo,
@@ -622,14 +778,15 @@ export const sendFileMessage = async (req, res) => {
     })
   } catch (error) {
     console.error("Error in sendFileMessage:", error)
-    res.status(500).json({ message: "Server error", error: error.message })
+    respondWithSendError(res, error)
   }
 }
 
 export const sendVideoMessage = async (req, res) => {
   try {
-    const { conversationId } = req.body
+    const { conversationId, clientMessageId } = req.body
     const senderId = req.user.userId
+    const validClientMessageId = parseClientMessageId(clientMessageId)
 
     if (!req.file) {
       return res.status(400).json({ message: "No video uploaded" })
@@ -649,6 +806,19 @@ export const sendVideoMessage = async (req, res) => {
       return res.status(403).json({ message: "You are not a participant in this conversation" })
     }
 
+    // Client gửi lại: trả về tin nhắn đã lưu, không tải tệp lên lần nữa
+    const resentMessage = await findResentMessage(senderId, conversationId, validClientMessageId)
+    if (resentMessage) {
+      return res.status(200).json({
+        message: "Video sent successfully",
+        messageData: await buildNewMessageData(resentMessage),
+      })
+    }
+
+    if (await isDirectConversationBlocked(conversation, senderId)) {
+      return res.status(403).json({ message: "You cannot send messages to this user" })
+    }
+
     let receiverId = null
     if (!conversation.isGroup) {
       receiverId = conversation.participants.find((id) => id !== senderId)
@@ -669,7 +839,9 @@ export const sendVideoMessage = async (req, res) => {
       },
     ]
 
-    const message = await createMessage(conversationId, senderId, receiverId, "video", "", attachments)
+    const message = await createMessage(conversationId, senderId, receiverId, "video", "", attachments, {
+      clientMessageId: validClientMessageId,
+    })
 
     // Lấy thông tin người gửi
     const sender = await getUserById(senderId)
@@ -687,6 +859,7 @@ export const sendVideoMessage = async (req, res) => {
 
     const messageData = {
       messageId: message.messageId,
+      clientMessageId: message.clientMessageId || null,
       conversationId: message.conversationId,
       senderId: message.senderId,
       sender: senderInfo,
@@ -704,7 +877,7 @@ export const sendVideoMessage = async (req, res) => {
     })
   } catch (error) {
     console.error("Error in sendVideoMessage:", error)
-    res.status(500).json({ message: "Server error", error: error.message })
+    respondWithSendError(res, error)
   }
 }
 
@@ -743,14 +916,17 @@ export const markAsRead = async (req, res) => {
     }
 
     // Emit read status to sender
-    emitToUser(req.io, message.senderId, "message_read", {
-      messageId,
-      conversationId: message.conversationId,
-      readBy: {
-        userId,
-        readAt: new Date(),
-      },
-    })
+    const { readReceipts } = await getPrivacySettings(userId)
+    if (readReceipts) {
+      emitToUser(req.io, message.senderId, "message_read", {
+        messageId,
+        conversationId: message.conversationId,
+        readBy: {
+          userId,
+          readAt: new Date(),
+        },
+      })
+    }
 
     res.status(200).json({
       message: "Message marked as read",
@@ -812,6 +988,10 @@ export const recallUserMessage = async (req, res) => {
       return res.status(404).json({ message: "Message not found" })
     }
 
+    // Tin đang được ghim sẽ bị bỏ ghim khi thu hồi, cần báo cho client cập nhật danh sách ghim
+    const conversation = await getConversationById(message.conversationId)
+    const wasPinned = !!conversation && conversation.pinnedMessages.some((pinned) => pinned.messageId === messageId)
+
     const recalledMessage = await recallMessage(messageId, userId)
 
     // Notify all participants in the conversation about the recalled message
@@ -821,6 +1001,13 @@ export const recallUserMessage = async (req, res) => {
       isRecalled: recalledMessage.isRecalled,
     })
 
+    if (wasPinned) {
+      emitToConversation(req.io, message.conversationId, "message_unpinned", {
+        conversationId: message.conversationId,
+        messageId,
+      })
+    }
+
     res.status(200).json({
       message: "Message recalled successfully",
       messageData: {
@@ -843,27 +1030,142 @@ export const recallUserMessage = async (req, res) => {
   }
 }
 
-export const forwardUserMessage = async (req, res) => {
+// Xác định lại danh sách đề cập sau khi sửa nội dung tin nhắn
+const parseMentions = (content, mentions, participants) => {
+  return mentions.filter(
+    (mention) =>
+      mention &&
+      mention.userId &&
+      participants.includes(mention.userId) &&
+      (!mention.name || content.includes(`@${mention.name}`)),
+  )
+}
+
+export const editUserMessage = async (req, res) => {
   try {
-    const { messageId, conversationId } = req.body
-    const senderId = req.user.userId
+    const { messageId } = req.params
+    const { content, mentions } = req.body
+    const userId = req.user.userId
 
-    const conversation = await getConversationById(conversationId)
+    if (!content || content.trim() === "") {
+      return res.status(400).json({ message: "Message content cannot be empty" })
+    }
 
-    if (!conversation) {
-      return res.status(404).json({ message: "Conversation not found" })
+    if (mentions !== undefined && !Array.isArray(mentions)) {
+      return res.status(400).json({ message: "Mentions must be an array" })
     }
 
-    if (!conversation.participants.includes(senderId)) {
+    const message = await getMessageById(messageId)
+    if (!message) {
+      return res.status(404).json({ message: "Message not found" })
+    }
+
+    const conversation = await getConversationById(message.conversationId)
+    if (!conversation || !conversation.participants.includes(userId)) {
       return res.status(403).json({ message: "You are not a participant in this conversation" })
     }
 
+    // Nếu client không gửi mentions, giữ lại những đề cập cũ vẫn còn trong nội dung
+    const validMentions = parseMentions(content, mentions || message.mentions || [], conversation.participants)
+
+    const editedMessage = await editMessage(messageId, userId, content, validMentions)
+
+    const messageData = {
+      messageId: editedMessage.messageId,
+      conversationId: editedMessage.conversationId,
+      senderId: editedMessage.senderId,
+      type: editedMessage.type,
+      content: editedMessage.content,
+      mentions: editedMessage.mentions,
+      isEdited: editedMessage.isEdited,
+      editedAt: editedMessage.editedAt,
+    }
+
+    emitToConversation(req.io, message.conversationId, "message_edited", messageData)
+
+    // Chỉ thông báo cho những người mới được đề cập
+    const previousMentionIds = (message.mentions || []).map((mention) => mention.userId)
+    const newMentions = validMentions.filter((mention) => !previousMentionIds.includes(mention.userId))
+    if (newMentions.length > 0) {
+      const sender = await getUserById(userId)
+      newMentions.forEach((mention) => {
+        emitToUser(req.io, mention.userId, "mention", {
+          ...messageData,
+          mentionedBy: {
+            userId,
+            fullName: sender ? sender.fullName : "Unknown User",
+            avatarUrl: sender ? sender.avatarUrl : null,
+          },
+        })
+      })
+    }
+
+    res.status(200).json({
+      message: "Message edited successfully",
+      messageData: {
+        ...messageData,
+        editHistory: editedMessage.editHistory,
+      },
+    })
+  } catch (error) {
+    console.error("Error in editUserMessage:", error)
+
+    if (error.message === "Message not found") {
+      return res.status(404).json({ message: error.message })
+    }
+
+    if (
+      error.message === "You can only edit your own messages" ||
+      error.message.startsWith("Messages can only be edited within")
+    ) {
+      return res.status(403).json({ message: error.message })
+    }
+
+    if (error.message === "Only text messages can be edited") {
+      return res.status(400).json({ message: error.message })
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+export const forwardUserMessage = async (req, res) => {
+  try {
+    const { messageId, conversationId, clientMessageId } = req.body
+    const senderId = req.user.userId
+    const validClientMessageId = parseClientMessageId(clientMessageId)
+
+    const conversation = await getConversationById(conversationId)
+
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found" })
+    }
+
+    if (!conversation.participants.includes(senderId)) {
+      return res.status(403).json({ message: "You are not a participant in this conversation" })
+    }
+
+    // Client gửi lại: trả về tin nhắn đã chuyển tiếp trước đó
+    const resentMessage = await findResentMessage(senderId, conversationId, validClientMessageId)
+    if (resentMessage) {
+      return res.status(200).json({
+        message: "Message forwarded successfully",
+        messageData: await buildNewMessageData(resentMessage),
+      })
+    }
+
+    if (await isDirectConversationBlocked(conversation, senderId)) {
+      return res.status(403).json({ message: "You cannot send messages to this user" })
+    }
+
     let receiverId = null
     if (!conversation.isGroup) {
       receiverId = conversation.participants.find((id) => id !== senderId)
     }
 
-    const forwardedMessage = await forwardMessage(messageId, conversationId, senderId, receiverId)
+    const forwardedMessage = await forwardMessage(messageId, conversationId, senderId, receiverId, {
+      clientMessageId: validClientMessageId,
+    })
 
     // Lấy thông tin người gửi
     const sender = await getUserById(senderId)
@@ -881,6 +1183,7 @@ export const forwardUserMessage = async (req, res) => {
 
     const messageData = {
       messageId: forwardedMessage.messageId,
+      clientMessageId: forwardedMessage.clientMessageId || null,
       conversationId: forwardedMessage.conversationId,
       senderId: forwardedMessage.senderId,
       sender: senderInfo,
@@ -903,12 +1206,13 @@ export const forwardUserMessage = async (req, res) => {
 
     if (
       error.message === "Original message not found" ||
-      error.message === "Cannot forward a deleted or recalled message"
+      error.message === "Cannot forward a deleted or recalled message" ||
+      error.message === "Polls cannot be forwarded"
     ) {
       return res.status(400).json({ message: error.message })
     }
 
-    res.status(500).json({ message: "Server error", error: error.message })
+    respondWithSendError(res, error)
   }
 }
 
@@ -930,170 +1234,749 @@ export const getUnreadCount = async (req, res) => {
 // Gửi tin nhắn trả lời
 export const sendReplyMessage = async (req, res) => {
   try {
-    const { conversationId, replyToMessageId, content } = req.body
+    const { conversationId, replyToMessageId, content, clientMessageId } = req.body
     const senderId = req.user.userId
 
-    if (!content || content.trim() === "") {
-      return res.status(400).json({ message: "Message content cannot be empty" })
-    }
-
     if (!replyToMessageId) {
       return res.status(400).json({ message: "Reply message ID is required" })
     }
 
-    const conversation = await getConversationById(conversationId)
+    const { messageData, thread, isDuplicate } = await sendConversationMessage(senderId, {
+      conversationId,
+      type: "text",
+      content,
+      replyToMessageId,
+      clientMessageId,
+    })
+
+    // Emit reply message to all participants in the conversation
+    if (!isDuplicate) {
+      emitToConversation(req.io, conversationId, "new_message", messageData)
+      emitThreadUpdated(req.io, thread)
+    }
+
+    res.status(isDuplicate ? 200 : 201).json({
+      message: "Reply sent successfully",
+      messageData,
+    })
+  } catch (error) {
+    console.error("Error in sendReplyMessage:", error)
+    respondWithSendError(res, error)
+  }
+}
+
+// Xem chuỗi trả lời: tin gốc và mọi tin trả lời (kể cả trả lời của trả lời).
+// messageId có thể là bất kỳ tin nào trong chuỗi
+export const getMessageThread = async (req, res) => {
+  try {
+    const { messageId } = req.params
+    const userId = req.user.userId
 
+    const message = await getMessageById(messageId)
+    if (!message) {
+      return res.status(404).json({ message: "Message not found" })
+    }
+
+    const conversation = await getParticipatingConversation(message.conversationId, userId)
     if (!conversation) {
-      return res.status(404).json({ message: "Conversation not found" })
+      return res.status(404).json({ message: "Message not found" })
     }
 
-    if (!conversation.participants.includes(senderId)) {
+    const rootMessageId = await getThreadRootId(message)
+    const [root, replies] = await Promise.all([
+      getMessageById(rootMessageId),
+      getThreadReplies(message.conversationId, rootMessageId),
+    ])
+
+    // Tin đã hết hạn nhưng job dọn dẹp chưa kịp xóa thì không trả về
+    const now = new Date()
+    const isVisible = (msg) => msg && (!msg.expiresAt || msg.expiresAt > now)
+    if (!isVisible(root)) {
+      return res.status(404).json({ message: "Message not found" })
+    }
+    const threadMessages = [root, ...replies.filter(isVisible)]
+
+    const profiles = createUserProfileCache()
+    await profiles.load(threadMessages.map((msg) => msg.senderId))
+
+    const formatThreadMessage = (msg) => ({
+      messageId: msg.messageId,
+      senderId: msg.senderId,
+      sender: profiles.get(msg.senderId),
+      type: msg.type,
+      content: msg.content,
+      attachments: msg.attachments,
+      isDeleted: isMessageDeletedByUser(msg, userId),
+      isRecalled: msg.isRecalled,
+      replyToMessageId: msg.replyTo,
+      mentions: msg.mentions,
+      isEdited: msg.isEdited,
+      editedAt: msg.editedAt,
+      reactions: summarizeReactions(msg.reactions, userId),
+      poll: summarizePoll(msg.poll, userId),
+      createdAt: msg.createdAt,
+    })
+
+    const [rootMessage, ...replyMessages] = threadMessages
+    res.status(200).json({
+      message: "Thread retrieved successfully",
+      conversationId: conversation.conversationId,
+      root: {
+        ...formatThreadMessage(rootMessage),
+        replyCount: rootMessage.replyCount,
+        lastReplyAt: rootMessage.lastReplyAt,
+      },
+      replies: replyMessages.map(formatThreadMessage),
+    })
+  } catch (error) {
+    console.error("Error in getMessageThread:", error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+// Gửi tin nhắn với đề cập
+export const sendMessageWithMention = async (req, res) => {
+  try {
+    const { conversationId, content, mentions, clientMessageId } = req.body
+    const senderId = req.user.userId
+
+    if (!mentions || !Array.isArray(mentions) || mentions.length === 0) {
+      return res.status(400).json({ message: "Mentions are required" })
+    }
+
+    const result = await sendConversationMessage(senderId, {
+      conversationId,
+      type: "text",
+      content,
+      mentions,
+      clientMessageId,
+    })
+    const { messageData, isDuplicate } = result
+
+    if (!isDuplicate) {
+      // Emit message to all participants in the conversation
+      emitToConversation(req.io, conversationId, "new_message", messageData)
+
+      // Send special notification to mentioned users
+      result.mentions.forEach((mention) => {
+        emitToUser(req.io, mention.userId, "mention", {
+          ...messageData,
+          mentionedBy: messageData.sender,
+        })
+      })
+    }
+
+    res.status(isDuplicate ? 200 : 201).json({
+      message: "Message with mentions sent successfully",
+      messageData,
+    })
+  } catch (error) {
+    console.error("Error in sendMessageWithMention:", error)
+    respondWithSendError(res, error)
+  }
+}
+
+// Thả reaction vào tin nhắn
+export const addMessageReaction = async (req, res) => {
+  try {
+    const { messageId } = req.params
+    const { emoji } = req.body
+    const userId = req.user.userId
+
+    if (typeof emoji !== "string" || emoji.trim() === "" || emoji.length > 16) {
+      return res.status(400).json({ message: "Invalid emoji" })
+    }
+
+    const message = await getMessageById(messageId)
+    if (!message) {
+      return res.status(404).json({ message: "Message not found" })
+    }
+
+    const conversation = await getConversationById(message.conversationId)
+    if (!conversation || !conversation.participants.includes(userId)) {
       return res.status(403).json({ message: "You are not a participant in this conversation" })
     }
 
-    const message = await createReplyMessage(conversationId, senderId, replyToMessageId, content)
+    if (await isDirectConversationBlocked(conversation, userId)) {
+      return res.status(403).json({ message: "You cannot react to messages from this user" })
+    }
 
-    // Lấy thông tin người gửi
-    const sender = await getUserById(senderId)
-    const senderInfo = sender
-      ? {
-          userId: sender.userId,
-          fullName: sender.fullName,
-          avatarUrl: sender.avatarUrl,
-        }
-      : {
-          userId: senderId,
-          fullName: "Unknown User",
-          avatarUrl: null,
-        }
+    const updatedMessage = await addReaction(messageId, userId, emoji.trim())
 
-    // Lấy thông tin tin nhắn gốc
-    const originalMessage = await getMessageById(replyToMessageId)
-    const originalSender = originalMessage ? await getUserById(originalMessage.senderId) : null
+    const user = await getUserById(userId)
+    const reactions = summarizeReactions(updatedMessage.reactions)
 
-    const replyToInfo = originalMessage
-      ? {
-          messageId: originalMessage.messageId,
-          content: originalMessage.content,
-          type: originalMessage.type,
-          attachments: originalMessage.attachments,
-          sender: originalSender
-            ? {
-                userId: originalSender.userId,
-                fullName: originalSender.fullName,
-              }
-            : {
-                userId: originalMessage.senderId,
-                fullName: "Unknown User",
-              },
-        }
-      : null
+    emitToConversation(req.io, message.conversationId, "reaction_added", {
+      messageId,
+      conversationId: message.conversationId,
+      emoji: emoji.trim(),
+      user: {
+        userId,
+        fullName: user ? user.fullName : "Unknown User",
+        avatarUrl: user ? user.avatarUrl : null,
+      },
+      reactions,
+    })
 
-    const messageData = {
-      messageId: message.messageId,
+    res.status(200).json({
+      message: "Reaction added successfully",
+      messageId,
+      reactions: summarizeReactions(updatedMessage.reactions, userId),
+    })
+  } catch (error) {
+    console.error("Error in addMessageReaction:", error)
+
+    if (error.message === "Cannot react to this message") {
+      return res.status(400).json({ message: error.message })
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+// Gỡ reaction khỏi tin nhắn
+export const removeMessageReaction = async (req, res) => {
+  try {
+    const { messageId } = req.params
+    const { emoji } = req.body
+    const userId = req.user.userId
+
+    if (typeof emoji !== "string" || emoji.trim() === "") {
+      return res.status(400).json({ message: "Invalid emoji" })
+    }
+
+    const message = await getMessageById(messageId)
+    if (!message) {
+      return res.status(404).json({ message: "Message not found" })
+    }
+
+    const conversation = await getConversationById(message.conversationId)
+    if (!conversation || !conversation.participants.includes(userId)) {
+      return res.status(403).json({ message: "You are not a participant in this conversation" })
+    }
+
+    if (await isDirectConversationBlocked(conversation, userId)) {
+      return res.status(403).json({ message: "You cannot react to messages from this user" })
+    }
+
+    const updatedMessage = await removeReaction(messageId, userId, emoji.trim())
+
+    emitToConversation(req.io, message.conversationId, "reaction_removed", {
+      messageId,
       conversationId: message.conversationId,
-      senderId: message.senderId,
-      sender: senderInfo,
-      type: message.type,
-      content: message.content,
-      replyTo: replyToInfo,
-      createdAt: message.createdAt,
+      emoji: emoji.trim(),
+      userId,
+      reactions: summarizeReactions(updatedMessage.reactions),
+    })
+
+    res.status(200).json({
+      message: "Reaction removed successfully",
+      messageId,
+      reactions: summarizeReactions(updatedMessage.reactions, userId),
+    })
+  } catch (error) {
+    console.error("Error in removeMessageReaction:", error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+// Lấy danh sách reaction của tin nhắn
+export const getMessageReactions = async (req, res) => {
+  try {
+    const { messageId } = req.params
+    const userId = req.user.userId
+
+    const message = await getMessageById(messageId)
+    if (!message) {
+      return res.status(404).json({ message: "Message not found" })
     }
 
-    // Emit reply message to all participants in the conversation
-    emitToConversation(req.io, conversationId, "new_message", messageData)
+    const conversation = await getConversationById(message.conversationId)
+    if (!conversation || !conversation.participants.includes(userId)) {
+      return res.status(403).json({ message: "You are not a participant in this conversation" })
+    }
 
-    res.status(201).json({
-      message: "Reply sent successfully",
-      messageData,
+    const profiles = createUserProfileCache()
+    await profiles.load((message.reactions || []).map((reaction) => reaction.userId))
+
+    const reactionsWithUserInfo = (message.reactions || []).map((reaction) => ({
+      emoji: reaction.emoji,
+      reactedAt: reaction.reactedAt,
+      user: profiles.get(reaction.userId),
+    }))
+
+    res.status(200).json({
+      message: "Reactions retrieved successfully",
+      messageId,
+      summary: summarizeReactions(message.reactions, userId),
+      reactions: reactionsWithUserInfo,
     })
   } catch (error) {
-    console.error("Error in sendReplyMessage:", error)
+    console.error("Error in getMessageReactions:", error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
 
-    if (error.message === "Original message not found") {
-      return res.status(404).json({ message: error.message })
+// Chi tiết đã đọc / đã nhận / chưa nhận của một tin nhắn.
+// Người nhận là thành viên nhóm đã có mặt khi tin nhắn được gửi (cuộc trò chuyện 1-1: người còn lại)
+export const getMessageReceipts = async (req, res) => {
+  try {
+    const { messageId } = req.params
+    const userId = req.user.userId
+
+    const message = await getMessageById(messageId)
+    if (!message) {
+      return res.status(404).json({ message: "Message not found" })
+    }
+
+    const conversation = await getConversationById(message.conversationId)
+    if (!conversation || !conversation.participants.includes(userId)) {
+      return res.status(403).json({ message: "You are not a participant in this conversation" })
     }
 
+    let recipientIds = conversation.participants
+    if (conversation.isGroup) {
+      const group = await getGroupByConversationId(conversation.conversationId)
+      if (!group) {
+        return res.status(404).json({ message: "Group not found" })
+      }
+      recipientIds = group.members
+        .filter((member) => !member.addedAt || new Date(member.addedAt) <= new Date(message.createdAt))
+        .map((member) => member.userId)
+    }
+    recipientIds = recipientIds.filter((id) => id !== message.senderId)
+
+    const profiles = createUserProfileCache()
+    const [hiddenReaderIds] = await Promise.all([loadHiddenReaderIds([message], userId), profiles.load(recipientIds)])
+
+    const readsByUser = new Map((message.readBy || []).map((read) => [read.userId, read]))
+    const deliveriesByUser = new Map((message.deliveredTo || []).map((delivery) => [delivery.userId, delivery]))
+
+    const read = []
+    const delivered = []
+    const pending = []
+    recipientIds.forEach((recipientId) => {
+      const user = profiles.get(recipientId)
+      const readEntry = readsByUser.get(recipientId)
+      const deliveryEntry = deliveriesByUser.get(recipientId)
+
+      if (readEntry && !hiddenReaderIds.has(recipientId)) {
+        read.push({ user, readAt: readEntry.readAt })
+      } else if (readEntry || deliveryEntry) {
+        // Người ẩn xác nhận đã đọc chỉ hiển thị là đã nhận
+        delivered.push({ user, deliveredAt: deliveryEntry ? deliveryEntry.deliveredAt : null })
+      } else {
+        pending.push({ user })
+      }
+    })
+
+    res.status(200).json({
+      message: "Receipts retrieved successfully",
+      messageId,
+      conversationId: message.conversationId,
+      summary: {
+        recipientCount: recipientIds.length,
+        readCount: read.length,
+        deliveredCount: read.length + delivered.length,
+      },
+      read,
+      delivered,
+      pending,
+    })
+  } catch (error) {
+    console.error("Error in getMessageReceipts:", error)
     res.status(500).json({ message: "Server error", error: error.message })
   }
 }
 
-// Gửi tin nhắn với đề cập
-export const sendMessageWithMention = async (req, res) => {
+const SEARCHABLE_MESSAGE_TYPES = ["text", "image", "file", "video", "emoji", "imageGroup"]
+
+// Đánh dấu vị trí các từ khóa trong nội dung tin nhắn
+const highlightMatches = (content, searchText, snippetRadius = 40) => {
+  const terms = searchText
+    .replace(/"/g, " ")
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith("-"))
+    .map((term) => term.toLowerCase())
+
+  const lowerContent = (content || "").toLowerCase()
+  const ranges = []
+
+  terms.forEach((term) => {
+    let index = lowerContent.indexOf(term)
+    while (index !== -1) {
+      ranges.push({ start: index, end: index + term.length })
+      index = lowerContent.indexOf(term, index + term.length)
+    }
+  })
+
+  ranges.sort((a, b) => a.start - b.start)
+
+  let snippet = content || ""
+  if (ranges.length > 0 && snippet.length > snippetRadius * 2) {
+    const start = Math.max(0, ranges[0].start - snippetRadius)
+    const end = Math.min(snippet.length, ranges[0].end + snippetRadius)
+    snippet = `${start > 0 ? "..." : ""}${snippet.slice(start, end)}${end < content.length ? "..." : ""}`
+  }
+
+  return { ranges, snippet }
+}
+
+// Tìm kiếm tin nhắn trong các cuộc trò chuyện của người dùng
+export const searchUserMessages = async (req, res) => {
   try {
-    const { conversationId, content, mentions } = req.body
-    const senderId = req.user.userId
+    const userId = req.user.userId
+    const { q, conversationId, senderId, type, from, to, cursor, limit = 20 } = req.query
 
-    if (!content || content.trim() === "") {
-      return res.status(400).json({ message: "Message content cannot be empty" })
+    if (!q || q.trim() === "") {
+      return res.status(400).json({ message: "Search query is required" })
     }
 
-    if (!mentions || !Array.isArray(mentions) || mentions.length === 0) {
-      return res.status(400).json({ message: "Mentions are required" })
+    if (type && !SEARCHABLE_MESSAGE_TYPES.includes(type)) {
+      return res.status(400).json({ message: "Invalid message type" })
     }
 
-    const conversation = await getConversationById(conversationId)
+    if ((from && Number.isNaN(new Date(from).getTime())) || (to && Number.isNaN(new Date(to).getTime()))) {
+      return res.status(400).json({ message: "Invalid date range" })
+    }
+
+    const pageSize = Math.min(Math.max(Number.parseInt(limit) || 20, 1), 50)
+
+    const result = await searchMessages(userId, q.trim(), { conversationId, senderId, type, from, to }, pageSize, cursor)
+
+    const profiles = createUserProfileCache()
+    await profiles.load(result.messages.map((msg) => msg.senderId))
+
+    const messages = result.messages.map((msg) => ({
+      messageId: msg.messageId,
+      conversationId: msg.conversationId,
+      senderId: msg.senderId,
+      sender: profiles.get(msg.senderId),
+      type: msg.type,
+      content: msg.content,
+      createdAt: msg.createdAt,
+      highlight: highlightMatches(msg.content, q.trim()),
+    }))
+
+    res.status(200).json({
+      message: "Messages found",
+      messages,
+      nextCursor: result.nextCursor,
+      hasMore: result.hasMore,
+    })
+  } catch (error) {
+    console.error("Error in searchUserMessages:", error)
+
+    if (error.message === "Invalid cursor") {
+      return res.status(400).json({ message: error.message })
+    }
 
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+// Kiểm tra người dùng có tham gia cuộc trò chuyện không, trả về conversation hoặc null
+const getParticipatingConversation = async (conversationId, userId) => {
+  const conversation = await getConversationById(conversationId)
+  if (!conversation || !conversation.participants.includes(userId)) {
+    return null
+  }
+  return conversation
+}
+
+// Trả về trạng thái cá nhân của cuộc trò chuyện và đồng bộ sang các thiết bị khác của người dùng
+const respondWithConversationState = (req, res, state, message) => {
+  const stateData = {
+    conversationId: state.conversationId,
+    unreadCount: state.unreadCount,
+    isPinned: state.isPinned,
+    pinnedAt: state.pinnedAt,
+    isMuted: isConversationMuted(state),
+    mutedUntil: isConversationMuted(state) ? state.mutedUntil : null,
+    isArchived: state.isArchived,
+    isHidden: state.isHidden,
+  }
+
+  emitToUser(req.io, req.user.userId, "conversation_state_updated", stateData)
+
+  res.status(200).json({
+    message,
+    conversation: stateData,
+  })
+}
+
+// Ghim / bỏ ghim cuộc trò chuyện
+export const pinConversation = async (req, res) => {
+  try {
+    const { conversationId } = req.params
+    const { isPinned = true } = req.body
+    const userId = req.user.userId
+
+    const conversation = await getParticipatingConversation(conversationId, userId)
     if (!conversation) {
       return res.status(404).json({ message: "Conversation not found" })
     }
 
-    if (!conversation.participants.includes(senderId)) {
-      return res.status(403).json({ message: "You are not a participant in this conversation" })
-    }
+    const state = await updateConversationPreferences(userId, conversationId, {
+      isPinned: !!isPinned,
+      pinnedAt: isPinned ? new Date() : null,
+    })
+
+    respondWithConversationState(req, res, state, isPinned ? "Conversation pinned" : "Conversation unpinned")
+  } catch (error) {
+    console.error("Error in pinConversation:", error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+// Tắt thông báo cuộc trò chuyện: duration (phút), mutedUntil (thời điểm) hoặc null để bật lại
+export const muteConversation = async (req, res) => {
+  try {
+    const { conversationId } = req.params
+    const { duration, mutedUntil } = req.body
+    const userId = req.user.userId
 
-    // Kiểm tra xem những người được đề cập có trong cuộc trò chuyện không
-    const validMentions = []
-    for (const mention of mentions) {
-      if (conversation.participants.includes(mention.userId)) {
-        validMentions.push(mention)
+    let until = null
+    if (duration !== undefined && duration !== null) {
+      const minutes = Number.parseInt(duration, 10)
+      if (Number.isNaN(minutes) || minutes <= 0) {
+        return res.status(400).json({ message: "Duration must be a positive number of minutes" })
+      }
+      until = new Date(Date.now() + minutes * 60 * 1000)
+    } else if (mutedUntil) {
+      until = new Date(mutedUntil)
+      if (Number.isNaN(until.getTime())) {
+        return res.status(400).json({ message: "Invalid mutedUntil date" })
       }
     }
 
-    const message = await createMessageWithMentions(conversationId, senderId, content, validMentions)
+    const conversation = await getParticipatingConversation(conversationId, userId)
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found" })
+    }
 
-    // Lấy thông tin người gửi
-    const sender = await getUserById(senderId)
-    const senderInfo = sender
-      ? {
-          userId: sender.userId,
-          fullName: sender.fullName,
-          avatarUrl: sender.avatarUrl,
-        }
-      : {
-          userId: senderId,
-          fullName: "Unknown User",
-          avatarUrl: null,
-        }
+    const state = await updateConversationPreferences(userId, conversationId, { mutedUntil: until })
 
-    const messageData = {
-      messageId: message.messageId,
-      conversationId: message.conversationId,
-      senderId: message.senderId,
-      sender: senderInfo,
-      type: message.type,
-      content: message.content,
-      mentions: message.mentions,
-      createdAt: message.createdAt,
+    respondWithConversationState(req, res, state, until ? "Conversation muted" : "Conversation unmuted")
+  } catch (error) {
+    console.error("Error in muteConversation:", error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+// Lưu trữ / bỏ lưu trữ cuộc trò chuyện
+export const archiveConversation = async (req, res) => {
+  try {
+    const { conversationId } = req.params
+    const { isArchived = true } = req.body
+    const userId = req.user.userId
+
+    const conversation = await getParticipatingConversation(conversationId, userId)
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found" })
     }
 
-    // Emit message to all participants in the conversation
-    emitToConversation(req.io, conversationId, "new_message", messageData)
+    const state = await updateConversationPreferences(userId, conversationId, { isArchived: !!isArchived })
 
-    // Send special notification to mentioned users
-    validMentions.forEach((mention) => {
-      emitToUser(req.io, mention.userId, "mention", {
-        ...messageData,
-        mentionedBy: senderInfo,
+    respondWithConversationState(req, res, state, isArchived ? "Conversation archived" : "Conversation unarchived")
+  } catch (error) {
+    console.error("Error in archiveConversation:", error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+// Ẩn / hiện lại cuộc trò chuyện
+const setConversationHidden = async (req, res, isHidden) => {
+  try {
+    const { conversationId } = req.params
+    const userId = req.user.userId
+
+    const conversation = await getParticipatingConversation(conversationId, userId)
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found" })
+    }
+
+    const state = await updateConversationPreferences(userId, conversationId, { isHidden })
+
+    respondWithConversationState(req, res, state, isHidden ? "Conversation hidden" : "Conversation unhidden")
+  } catch (error) {
+    console.error("Error updating hidden state of conversation:", error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+export const hideConversation = (req, res) => setConversationHidden(req, res, true)
+
+export const unhideConversation = (req, res) => setConversationHidden(req, res, false)
+
+// Bật / tắt tin nhắn tự hủy: duration (giây) là 3600, 86400 hoặc 604800; 0 hoặc null để tắt.
+// Chỉ áp dụng cho tin nhắn gửi sau khi thay đổi
+export const setDisappearingMessages = async (req, res) => {
+  try {
+    const { conversationId } = req.params
+    const userId = req.user.userId
+
+    let duration
+    try {
+      duration = parseDisappearingDuration(req.body.duration)
+    } catch (error) {
+      return res.status(400).json({ message: error.message })
+    }
+
+    const conversation = await getParticipatingConversation(conversationId, userId)
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found" })
+    }
+
+    // Trong nhóm chỉ quản trị viên được thay đổi, chat 1-1 thì cả hai bên đều được
+    if (conversation.isGroup) {
+      const group = await getGroupByConversationId(conversationId)
+      const permission = group ? await checkMemberPermission(group.groupId, userId, GROUP_ROLES.ADMIN) : null
+      if (!permission || !permission.hasPermission) {
+        return res.status(403).json({ message: "Only group admins can change disappearing messages" })
+      }
+    }
+
+    if ((conversation.disappearingDuration || null) === duration) {
+      return res.status(200).json({
+        message: "Disappearing messages setting unchanged",
+        conversationId,
+        disappearingDuration: duration,
       })
+    }
+
+    await updateConversationDisappearingDuration(conversationId, duration)
+
+    const user = await getUserById(userId)
+    const systemMessage = await createSystemMessage(
+      conversationId,
+      getDisappearingSystemMessage((user && user.fullName) || "User", duration),
+    )
+
+    const settingsData = {
+      conversationId,
+      disappearingDuration: duration,
+      updatedBy: userId,
+      systemMessage: {
+        messageId: systemMessage.messageId,
+        content: systemMessage.content,
+        createdAt: systemMessage.createdAt,
+      },
+    }
+    emitToConversation(req.io, conversationId, "conversation_settings_updated", settingsData)
+
+    res.status(200).json({
+      message: duration ? "Disappearing messages turned on" : "Disappearing messages turned off",
+      ...settingsData,
+    })
+  } catch (error) {
+    console.error("Error in setDisappearingMessages:", error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+// Mã HTTP tương ứng với các lỗi khi ghim / bỏ ghim tin nhắn
+const PIN_MESSAGE_ERROR_STATUS = {
+  "Message is already pinned": 400,
+  [`You can pin at most ${MAX_PINNED_MESSAGES} messages`]: 400,
+  "Message is not pinned": 404,
+  "Conversation not found": 404,
+}
+
+// Trong nhóm chỉ quản trị viên / điều hành viên được ghim, chat 1-1 thì cả hai bên đều được
+const canManagePinnedMessages = async (conversation, userId) => {
+  if (!conversation.isGroup) {
+    return true
+  }
+
+  const group = await getGroupByConversationId(conversation.conversationId)
+  if (!group) {
+    return false
+  }
+  const permission = await checkMemberPermission(group.groupId, userId, GROUP_ROLES.MODERATOR)
+  return permission.hasPermission
+}
+
+const setMessagePinned = async (req, res, isPinned) => {
+  try {
+    const { messageId } = req.params
+    const userId = req.user.userId
+
+    const message = await getMessageById(messageId)
+    if (!message) {
+      return res.status(404).json({ message: "Message not found" })
+    }
+
+    const conversation = await getParticipatingConversation(message.conversationId, userId)
+    if (!conversation) {
+      return res.status(404).json({ message: "Message not found" })
+    }
+
+    if (!(await canManagePinnedMessages(conversation, userId))) {
+      return res.status(403).json({ message: "Only group admins and moderators can pin messages" })
+    }
+
+    if (isPinned && (message.isRecalled || message.type === "system")) {
+      return res.status(400).json({ message: "This message cannot be pinned" })
+    }
+
+    let pinData
+    if (isPinned) {
+      const pin = await pinConversationMessage(conversation.conversationId, messageId, userId)
+      pinData = { conversationId: conversation.conversationId, messageId, pinnedBy: userId, pinnedAt: pin.pinnedAt }
+    } else {
+      await unpinConversationMessage(conversation.conversationId, messageId)
+      pinData = { conversationId: conversation.conversationId, messageId, unpinnedBy: userId }
+    }
+
+    const user = await getUserById(userId)
+    const actorName = (user && user.fullName) || "User"
+    const systemMessage = await createSystemMessage(
+      conversation.conversationId,
+      isPinned ? `${actorName} pinned a message` : `${actorName} unpinned a message`,
+    )
+    pinData.systemMessage = {
+      messageId: systemMessage.messageId,
+      content: systemMessage.content,
+      createdAt: systemMessage.createdAt,
+    }
+
+    emitToConversation(req.io, conversation.conversationId, isPinned ? "message_pinned" : "message_unpinned", pinData)
+
+    res.status(200).json({
+      message: isPinned ? "Message pinned successfully" : "Message unpinned successfully",
+      ...pinData,
     })
+  } catch (error) {
+    console.error(`Error ${isPinned ? "pinning" : "unpinning"} message:`, error)
+    const status = PIN_MESSAGE_ERROR_STATUS[error.message]
+    if (status) {
+      return res.status(status).json({ message: error.message })
+    }
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
 
-    res.status(201).json({
-      message: "Message with mentions sent successfully",
-      messageData,
+export const pinMessage = (req, res) => setMessagePinned(req, res, true)
+
+export const unpinMessage = (req, res) => setMessagePinned(req, res, false)
+
+export const getPinnedMessages = async (req, res) => {
+  try {
+    const { conversationId } = req.params
+    const userId = req.user.userId
+
+    const conversation = await getParticipatingConversation(conversationId, userId)
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found" })
+    }
+
+    res.status(200).json({
+      message: "Pinned messages retrieved successfully",
+      pinnedMessages: await getPinnedMessagesDetail(conversation),
     })
   } catch (error) {
-    console.error("Error in sendMessageWithMention:", error)
+    console.error("Error in getPinnedMessages:", error)
     res.status(500).json({ message: "Server error", error: error.message })
   }
 }
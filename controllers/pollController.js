@@ -0,0 +1,234 @@
+import { createMessage, getMessageById, votePoll, unvotePoll, closePoll, summarizePoll } from "../models/messageModel.js"
+import { getGroupById, GROUP_ROLES } from "../models/groupModel.js"
+import { buildNewMessageData } from "../services/messageService.js"
+import { emitToConversation, emitToGroup } from "../socket/socketManager.js"
+import { recordUserEvents } from "../services/syncService.js"
+
+const MIN_POLL_OPTIONS = 2
+const MAX_POLL_OPTIONS = 10
+const MAX_POLL_QUESTION_LENGTH = 300
+const MAX_POLL_OPTION_LENGTH = 100
+
+// Mã HTTP tương ứng với các lỗi khi bình chọn
+const POLL_ERROR_STATUS = {
+  "Invalid poll option": 400,
+  "You can only choose one option": 400,
+  "Poll is closed": 400,
+  "You are not a member of this group": 403,
+  "Only the poll creator or group admins can close this poll": 403,
+  "Group not found": 404,
+  "Poll not found": 404,
+}
+
+const respondWithPollError = (res, error) => {
+  const status = POLL_ERROR_STATUS[error.message]
+  if (status) {
+    return res.status(status).json({ message: error.message })
+  }
+  return res.status(500).json({ message: "Server error", error: error.message })
+}
+
+// Kiểm tra nội dung bình chọn, trả về thông báo lỗi hoặc null
+const validatePollInput = ({ question, options, closesAt }) => {
+  if (typeof question !== "string" || question.trim() === "") {
+    return "Poll question cannot be empty"
+  }
+  if (question.trim().length > MAX_POLL_QUESTION_LENGTH) {
+    return `Poll question cannot exceed ${MAX_POLL_QUESTION_LENGTH} characters`
+  }
+  if (!Array.isArray(options) || options.length < MIN_POLL_OPTIONS || options.length > MAX_POLL_OPTIONS) {
+    return `A poll must have between ${MIN_POLL_OPTIONS} and ${MAX_POLL_OPTIONS} options`
+  }
+  if (options.some((option) => typeof option !== "string" || option.trim() === "")) {
+    return "Poll options cannot be empty"
+  }
+  if (options.some((option) => option.trim().length > MAX_POLL_OPTION_LENGTH)) {
+    return `Poll options cannot exceed ${MAX_POLL_OPTION_LENGTH} characters`
+  }
+  if (new Set(options.map((option) => option.trim().toLowerCase())).size !== options.length) {
+    return "Poll options must be unique"
+  }
+  if (closesAt !== undefined && closesAt !== null) {
+    const closingTime = new Date(closesAt)
+    if (Number.isNaN(closingTime.getTime()) || closingTime <= new Date()) {
+      return "Poll closing time must be in the future"
+    }
+  }
+  return null
+}
+
+// Chỉ thành viên hiện tại của nhóm mới được xem / bỏ phiếu
+const getGroupMember = async (groupId, userId) => {
+  const group = await getGroupById(groupId)
+  if (!group) {
+    throw new Error("Group not found")
+  }
+
+  const member = group.members.find((member) => member.userId === userId)
+  if (!member) {
+    throw new Error("You are not a member of this group")
+  }
+
+  return { group, member }
+}
+
+const getGroupPoll = async (group, messageId) => {
+  const message = await getMessageById(messageId)
+  const isAvailable = message && !message.isDeleted && !message.isRecalled
+  if (!isAvailable || message.conversationId !== group.conversationId || message.type !== "poll" || !message.poll) {
+    throw new Error("Poll not found")
+  }
+  return message
+}
+
+// Gửi kết quả mới nhất cho cả nhóm (không kèm votedByMe vì mỗi người một khác).
+// emitToGroup không ghi nhật ký đồng bộ nên ghi riêng cho từng thành viên để người offline nhận lại kết quả
+const broadcastPollUpdate = (req, group, message) => {
+  const pollData = {
+    groupId: group.groupId,
+    conversationId: group.conversationId,
+    messageId: message.messageId,
+    poll: summarizePoll(message.poll),
+  }
+  emitToGroup(req.io, group.groupId, "poll_updated", pollData)
+  recordUserEvents(group.members.map((member) => member.userId), "poll_updated", pollData)
+}
+
+export const createPoll = async (req, res) => {
+  try {
+    const { groupId } = req.params
+    const { question, options, allowMultiple = false, isAnonymous = false, closesAt = null } = req.body
+    const userId = req.user.userId
+
+    const validationError = validatePollInput({ question, options, closesAt })
+    if (validationError) {
+      return res.status(400).json({ message: validationError })
+    }
+
+    const { group } = await getGroupMember(groupId, userId)
+
+    const message = await createMessage(group.conversationId, userId, null, "poll", question.trim(), [], {
+      poll: {
+        question: question.trim(),
+        options: options.map((option) => ({ text: option.trim(), voterIds: [] })),
+        allowMultiple: !!allowMultiple,
+        isAnonymous: !!isAnonymous,
+        closesAt: closesAt ? new Date(closesAt) : null,
+      },
+    })
+
+    const messageData = await buildNewMessageData(message)
+    emitToConversation(req.io, group.conversationId, "new_message", messageData)
+
+    res.status(201).json({
+      message: "Poll created successfully",
+      messageData,
+    })
+  } catch (error) {
+    console.error("Error in createPoll:", error)
+    respondWithPollError(res, error)
+  }
+}
+
+export const getPoll = async (req, res) => {
+  try {
+    const { groupId, messageId } = req.params
+    const userId = req.user.userId
+
+    const { group } = await getGroupMember(groupId, userId)
+    const message = await getGroupPoll(group, messageId)
+
+    res.status(200).json({
+      message: "Poll retrieved successfully",
+      messageId: message.messageId,
+      poll: summarizePoll(message.poll, userId),
+    })
+  } catch (error) {
+    console.error("Error in getPoll:", error)
+    respondWithPollError(res, error)
+  }
+}
+
+export const voteInPoll = async (req, res) => {
+  try {
+    const { groupId, messageId } = req.params
+    const { optionIds } = req.body
+    const userId = req.user.userId
+
+    if (!Array.isArray(optionIds) || optionIds.length === 0) {
+      return res.status(400).json({ message: "optionIds must be a non-empty array" })
+    }
+
+    const { group } = await getGroupMember(groupId, userId)
+    await getGroupPoll(group, messageId)
+
+    const message = await votePoll(messageId, userId, optionIds)
+    broadcastPollUpdate(req, group, message)
+
+    res.status(200).json({
+      message: "Vote recorded successfully",
+      messageId,
+      poll: summarizePoll(message.poll, userId),
+    })
+  } catch (error) {
+    console.error("Error in voteInPoll:", error)
+    respondWithPollError(res, error)
+  }
+}
+
+// optionIds không bắt buộc: bỏ trống để rút toàn bộ phiếu của mình
+export const removePollVote = async (req, res) => {
+  try {
+    const { groupId, messageId } = req.params
+    const { optionIds } = req.body
+    const userId = req.user.userId
+
+    if (optionIds !== undefined && (!Array.isArray(optionIds) || optionIds.length === 0)) {
+      return res.status(400).json({ message: "optionIds must be a non-empty array" })
+    }
+
+    const { group } = await getGroupMember(groupId, userId)
+    await getGroupPoll(group, messageId)
+
+    const message = await unvotePoll(messageId, userId, optionIds || null)
+    broadcastPollUpdate(req, group, message)
+
+    res.status(200).json({
+      message: "Vote removed successfully",
+      messageId,
+      poll: summarizePoll(message.poll, userId),
+    })
+  } catch (error) {
+    console.error("Error in removePollVote:", error)
+    respondWithPollError(res, error)
+  }
+}
+
+// Người tạo bình chọn hoặc quản trị viên / điều hành viên nhóm được đóng bình chọn
+export const closeGroupPoll = async (req, res) => {
+  try {
+    const { groupId, messageId } = req.params
+    const userId = req.user.userId
+
+    const { group, member } = await getGroupMember(groupId, userId)
+    const existing = await getGroupPoll(group, messageId)
+
+    const canClose =
+      existing.senderId === userId || [GROUP_ROLES.ADMIN, GROUP_ROLES.MODERATOR].includes(member.role)
+    if (!canClose) {
+      throw new Error("Only the poll creator or group admins can close this poll")
+    }
+
+    const message = await closePoll(messageId, userId)
+    broadcastPollUpdate(req, group, message)
+
+    res.status(200).json({
+      message: "Poll closed successfully",
+      messageId,
+      poll: summarizePoll(message.poll, userId),
+    })
+  } catch (error) {
+    console.error("Error in closeGroupPoll:", error)
+    respondWithPollError(res, error)
+  }
+}
@@ -0,0 +1,157 @@
+import { getMessageById, getUserConversations } from "../models/messageModel.js"
+import { saveMessage, unsaveMessage, getSavedMessages } from "../models/savedMessageModel.js"
+import { getGroupsByConversationIds } from "../models/groupModel.js"
+import { getUsersByIds } from "../models/userModel.js"
+
+const getUserInfo = (usersById, userId) => {
+  const user = usersById.get(userId)
+  return user
+    ? { userId: user.userId, fullName: user.fullName, avatarUrl: user.avatarUrl }
+    : { userId, fullName: userId === "system" ? "System" : "Unknown User", avatarUrl: null }
+}
+
+export const saveUserMessage = async (req, res) => {
+  try {
+    const { messageId } = req.params
+    const userId = req.user.userId
+
+    // Cùng điều kiện với danh sách tin đã lưu: tin đã xóa (cả phía mình) hoặc đã hết hạn coi như không còn
+    const message = await getMessageById(messageId)
+    const isGone =
+      !message ||
+      message.isDeleted ||
+      message.deletedBy.some((deleted) => deleted.userId === userId) ||
+      (message.expiresAt && message.expiresAt <= new Date())
+    if (isGone) {
+      return res.status(404).json({ message: "Message not found" })
+    }
+
+    const conversations = await getUserConversations(userId)
+    if (!conversations.some((conversation) => conversation.conversationId === message.conversationId)) {
+      return res.status(404).json({ message: "Message not found" })
+    }
+
+    if (message.isRecalled || message.type === "system") {
+      return res.status(400).json({ message: "This message cannot be saved" })
+    }
+
+    const savedMessage = await saveMessage(userId, messageId, message.conversationId)
+
+    res.status(200).json({
+      message: "Message saved successfully",
+      savedMessageId: savedMessage.savedMessageId,
+      messageId,
+      savedAt: savedMessage.createdAt,
+    })
+  } catch (error) {
+    console.error("Error in saveUserMessage:", error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+export const unsaveUserMessage = async (req, res) => {
+  try {
+    const { messageId } = req.params
+    const userId = req.user.userId
+
+    await unsaveMessage(userId, messageId)
+
+    res.status(200).json({ message: "Message removed from saved messages", messageId })
+  } catch (error) {
+    console.error("Error in unsaveUserMessage:", error)
+
+    if (error.message === "Saved message not found") {
+      return res.status(404).json({ message: error.message })
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+// Danh sách tin đã lưu (mới lưu trước), kèm thông tin người gửi và cuộc trò chuyện; phân trang bằng cursor
+export const getUserSavedMessages = async (req, res) => {
+  try {
+    const userId = req.user.userId
+    const { cursor, limit = 20 } = req.query
+
+    const pageSize = Math.min(Math.max(Number.parseInt(limit) || 20, 1), 50)
+
+    // Chỉ lấy tin trong các cuộc trò chuyện người dùng còn tham gia
+    const conversations = await getUserConversations(userId)
+    const result = await getSavedMessages(
+      userId,
+      conversations.map((conversation) => conversation.conversationId),
+      pageSize,
+      cursor,
+    )
+
+    const messages = result.savedMessages.map((saved) => saved.message)
+    const conversationsById = new Map(conversations.map((conversation) => [conversation.conversationId, conversation]))
+
+    const groupConversationIds = result.savedMessages
+      .map((saved) => saved.conversationId)
+      .filter((conversationId) => conversationsById.get(conversationId).isGroup)
+    const directUserIds = result.savedMessages
+      .map((saved) => conversationsById.get(saved.conversationId))
+      .filter((conversation) => !conversation.isGroup)
+      .map((conversation) => conversation.participants.find((id) => id !== userId))
+
+    const [groups, users] = await Promise.all([
+      getGroupsByConversationIds([...new Set(groupConversationIds)]),
+      getUsersByIds([...directUserIds, ...messages.map((message) => message.senderId)]),
+    ])
+    const groupsByConversation = new Map(groups.map((group) => [group.conversationId, group]))
+    const usersById = new Map(users.map((user) => [user.userId, user]))
+
+    const getConversationInfo = (conversation) => {
+      if (conversation.isGroup) {
+        const group = groupsByConversation.get(conversation.conversationId)
+        return {
+          conversationId: conversation.conversationId,
+          isGroup: true,
+          group: group ? { groupId: group.groupId, name: group.name, avatarUrl: group.avatarUrl } : null,
+        }
+      }
+
+      return {
+        conversationId: conversation.conversationId,
+        isGroup: false,
+        participant: getUserInfo(usersById, conversation.participants.find((id) => id !== userId)),
+      }
+    }
+
+    const savedMessages = result.savedMessages.map((saved) => {
+      const { message } = saved
+      return {
+        savedMessageId: saved.savedMessageId,
+        savedAt: saved.createdAt,
+        message: {
+          messageId: message.messageId,
+          senderId: message.senderId,
+          sender: getUserInfo(usersById, message.senderId),
+          type: message.type,
+          content: message.content,
+          attachments: message.attachments,
+          isEdited: !!message.isEdited,
+          createdAt: message.createdAt,
+        },
+        conversation: getConversationInfo(conversationsById.get(saved.conversationId)),
+      }
+    })
+
+    res.status(200).json({
+      message: "Saved messages retrieved successfully",
+      savedMessages,
+      nextCursor: result.nextCursor,
+      hasMore: result.hasMore,
+    })
+  } catch (error) {
+    console.error("Error in getUserSavedMessages:", error)
+
+    if (error.message === "Invalid cursor") {
+      return res.status(400).json({ message: error.message })
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
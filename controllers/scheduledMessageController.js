@@ -0,0 +1,169 @@
+import {
+  createScheduledMessage,
+  getScheduledMessageById,
+  getUserScheduledMessages,
+  countPendingScheduledMessages,
+  updateScheduledMessage,
+  cancelScheduledMessage,
+  SCHEDULED_MESSAGE_STATUS,
+} from "../models/scheduledMessageModel.js"
+import { TEXT_MESSAGE_TYPES } from "../services/messageService.js"
+import {
+  MAX_PENDING_SCHEDULED_MESSAGES,
+  parseScheduledAt,
+  assertCanSendToConversation,
+  assertReplyTarget,
+  formatScheduledMessage,
+} from "../services/scheduledMessageService.js"
+
+// Mã HTTP tương ứng với các lỗi khi hẹn giờ gửi tin nhắn
+const SCHEDULED_MESSAGE_ERROR_STATUS = {
+  "Invalid scheduledAt": 400,
+  "Scheduled time must be in the future": 400,
+  "Scheduled time is too far in the future": 400,
+  "You are not a participant in this conversation": 403,
+  "You are not a member of this group": 403,
+  "You cannot send messages to this user": 403,
+  "Conversation not found": 404,
+  "Original message not found": 404,
+  "Scheduled message not found or already sent": 404,
+}
+
+const respondWithScheduledMessageError = (res, error) => {
+  const status = SCHEDULED_MESSAGE_ERROR_STATUS[error.message]
+  if (status) {
+    return res.status(status).json({ message: error.message })
+  }
+  return res.status(500).json({ message: "Server error", error: error.message })
+}
+
+// Chỉ giữ những người được đề cập có trong cuộc trò chuyện
+const filterMentions = (mentions, conversation) => {
+  return (Array.isArray(mentions) ? mentions : [])
+    .filter((mention) => mention && conversation.participants.includes(mention.userId))
+    .map((mention) => ({ userId: mention.userId, name: mention.name }))
+}
+
+export const scheduleMessage = async (req, res) => {
+  try {
+    const { conversationId, content, type = "text", replyToMessageId = null, mentions = [], scheduledAt } = req.body
+    const userId = req.user.userId
+
+    if (!TEXT_MESSAGE_TYPES.includes(type)) {
+      return res.status(400).json({ message: "Unsupported message type" })
+    }
+
+    if (typeof content !== "string" || content.trim() === "") {
+      return res.status(400).json({ message: "Message content cannot be empty" })
+    }
+
+    const scheduledTime = parseScheduledAt(scheduledAt)
+    const conversation = await assertCanSendToConversation(userId, conversationId)
+    await assertReplyTarget(conversationId, replyToMessageId)
+
+    if ((await countPendingScheduledMessages(userId)) >= MAX_PENDING_SCHEDULED_MESSAGES) {
+      return res.status(400).json({
+        message: `You can have at most ${MAX_PENDING_SCHEDULED_MESSAGES} scheduled messages`,
+      })
+    }
+
+    const scheduledMessage = await createScheduledMessage(conversationId, userId, {
+      type,
+      content,
+      replyTo: replyToMessageId,
+      mentions: filterMentions(mentions, conversation),
+      scheduledAt: scheduledTime,
+    })
+
+    res.status(201).json({
+      message: "Message scheduled successfully",
+      scheduledMessage: formatScheduledMessage(scheduledMessage),
+    })
+  } catch (error) {
+    console.error("Error in scheduleMessage:", error)
+    respondWithScheduledMessageError(res, error)
+  }
+}
+
+export const getScheduledMessages = async (req, res) => {
+  try {
+    const userId = req.user.userId
+    const { conversationId, status } = req.query
+
+    if (status && !Object.values(SCHEDULED_MESSAGE_STATUS).includes(status)) {
+      return res.status(400).json({ message: "Invalid status" })
+    }
+
+    const scheduledMessages = await getUserScheduledMessages(userId, { conversationId, status })
+
+    res.status(200).json({
+      message: "Scheduled messages retrieved successfully",
+      scheduledMessages: scheduledMessages.map(formatScheduledMessage),
+    })
+  } catch (error) {
+    console.error("Error in getScheduledMessages:", error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+export const editScheduledMessage = async (req, res) => {
+  try {
+    const { scheduledMessageId } = req.params
+    const { content, mentions, scheduledAt } = req.body
+    const userId = req.user.userId
+
+    const existing = await getScheduledMessageById(scheduledMessageId)
+    if (!existing || existing.senderId !== userId) {
+      return res.status(404).json({ message: "Scheduled message not found" })
+    }
+
+    const updateData = {}
+
+    if (content !== undefined) {
+      if (typeof content !== "string" || content.trim() === "") {
+        return res.status(400).json({ message: "Message content cannot be empty" })
+      }
+      updateData.content = content
+    }
+
+    if (scheduledAt !== undefined) {
+      updateData.scheduledAt = parseScheduledAt(scheduledAt)
+    }
+
+    if (mentions !== undefined) {
+      const conversation = await assertCanSendToConversation(userId, existing.conversationId)
+      updateData.mentions = filterMentions(mentions, conversation)
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({ message: "Nothing to update" })
+    }
+
+    const scheduledMessage = await updateScheduledMessage(scheduledMessageId, userId, updateData)
+
+    res.status(200).json({
+      message: "Scheduled message updated successfully",
+      scheduledMessage: formatScheduledMessage(scheduledMessage),
+    })
+  } catch (error) {
+    console.error("Error in editScheduledMessage:", error)
+    respondWithScheduledMessageError(res, error)
+  }
+}
+
+export const cancelUserScheduledMessage = async (req, res) => {
+  try {
+    const { scheduledMessageId } = req.params
+    const userId = req.user.userId
+
+    const scheduledMessage = await cancelScheduledMessage(scheduledMessageId, userId)
+
+    res.status(200).json({
+      message: "Scheduled message canceled successfully",
+      scheduledMessage: formatScheduledMessage(scheduledMessage),
+    })
+  } catch (error) {
+    console.error("Error in cancelUserScheduledMessage:", error)
+    respondWithScheduledMessageError(res, error)
+  }
+}
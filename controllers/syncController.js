@@ -0,0 +1,21 @@
+import { parseSyncCursor, parseSyncLimit, getUserSyncEvents } from "../services/syncService.js"
+
+// Lấy các sự kiện người dùng đã bỏ lỡ kể từ cursor (seq của sự kiện cuối cùng client đã nhận)
+export const getSyncEvents = async (req, res) => {
+  try {
+    const userId = req.user.userId
+    const { since, limit } = req.query
+
+    const result = await getUserSyncEvents(userId, parseSyncCursor(since), parseSyncLimit(limit))
+
+    res.status(200).json(result)
+  } catch (error) {
+    console.error("Error in getSyncEvents:", error)
+
+    if (error.message === "Invalid sync cursor") {
+      return res.status(400).json({ message: error.message })
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
@@ -1,4 +1,4 @@
-import { getUserById, updateUser, verifyPassword } from "../models/userModel.js"
+import { getUserById, getUsersByIds, updateUser, verifyPassword } from "../models/userModel.js"
 import {
   uploadAvatar,
   getAvatarUrl,
@@ -6,7 +6,38 @@ import {
   generatePresignedUploadUrl,
 } from "../services/supabaseStorageService.js"
 import { validateEmail } from "../services/emailService.js"
-import { checkFriendship, getFriendRequests, getSentFriendRequests } from "../models/friendModel.js"
+import {
+  getFriendIds,
+  getFriendRequests,
+  getSentFriendRequests,
+  deletePendingFriendRequests,
+} from "../models/friendModel.js"
+import { blockUser, unblockUser, getBlockedUsers, getBlockRelatedUserIds } from "../models/blockModel.js"
+import { createReport, REPORT_REASONS } from "../models/reportModel.js"
+import { getConversationById, getMessagesByIds } from "../models/messageModel.js"
+import {
+  getPrivacySettings,
+  getPrivacySettingsByUserIds,
+  updatePrivacySettings,
+  isAllowedForAudience,
+} from "../models/privacySettingsModel.js"
+import { getActiveUserSessions, revokeSession, revokeUserSessions } from "../models/sessionModel.js"
+import { registerDeviceToken, removeDeviceToken, removeSessionDeviceTokens } from "../models/deviceTokenModel.js"
+import { getDigestPreference, updateDigestFrequency, unsubscribeDigestByToken } from "../models/emailDigestModel.js"
+import {
+  disconnectSessionSockets,
+  emitToUser,
+  refreshUserStatus,
+  syncUserStatusFor,
+  getUsersPresence,
+} from "../socket/socketManager.js"
+import { EVENTS } from "../socket/socketEvents.js"
+import {
+  generateTotpSecret,
+  buildOtpAuthUri,
+  verifyTotpCode,
+  generateBackupCodes,
+} from "../services/twoFactorService.js"
 import mongoose from "mongoose"
 
 export const getUserProfile = async (req, res) => {
@@ -40,6 +71,7 @@ export const getUserProfile = async (req, res) => {
       birthdate: user.birthdate,
       gender: user.gender,
       avatarUrl: user.avatarUrl,
+      twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled),
     })
   } catch (error) {
     console.error("Error in getUserProfile:", error)
@@ -87,6 +119,14 @@ export const getUser = async (req, res) => {
   }
 }
 
+const MAX_SEARCH_RESULTS = 20
+const SEARCH_CANDIDATE_BATCH_SIZE = 50
+// Giới hạn số lô ứng viên mỗi lần tìm để không quét quá nhiều khi đa số người khớp đều ẩn mình
+const MAX_SEARCH_CANDIDATE_BATCHES = 5
+
+// Tìm theo chuỗi con: thoát ký tự đặc biệt để từ khóa không bị hiểu là biểu thức chính quy (tránh ReDoS)
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
 export const searchUsers = async (req, res) => {
   try {
     const { query } = req.query
@@ -96,15 +136,57 @@ export const searchUsers = async (req, res) => {
       return res.status(400).json({ message: "Search query is required" })
     }
 
+    // Không trả về những người có quan hệ chặn với người tìm kiếm
+    const blockedUserIds = await getBlockRelatedUserIds(currentUserId)
+
+    const pattern = new RegExp(escapeRegex(query), "i")
+    const excludedUserIds = [currentUserId, ...blockedUserIds]
     const searchQuery = {
-      $or: [{ email: { $regex: query, $options: "i" } }, { fullName: { $regex: query, $options: "i" } }],
-      userId: { $ne: currentUserId },
+      $or: [{ email: pattern }, { fullName: pattern }],
       isActive: true,
     }
 
     const User = mongoose.model("users")
+    const friendIds = new Set(await getFriendIds(currentUserId))
+
+    // Chỉ giữ người dùng cho phép tìm thấy mình qua trường đã khớp (email hoặc tên).
+    // Lấy ứng viên theo từng lô cho tới khi đủ kết quả, để người ẩn mình không chiếm chỗ của người khác
+    const users = []
+    const privacySettings = new Map()
+    let lastUserId = null
 
-    const users = await User.find(searchQuery).limit(20).lean()
+    for (let batch = 0; batch < MAX_SEARCH_CANDIDATE_BATCHES && users.length < MAX_SEARCH_RESULTS; batch++) {
+      const userIdFilter = { $nin: excludedUserIds }
+      if (lastUserId) {
+        userIdFilter.$gt = lastUserId
+      }
+
+      const candidates = await User.find({ ...searchQuery, userId: userIdFilter })
+        .sort({ userId: 1 })
+        .limit(SEARCH_CANDIDATE_BATCH_SIZE)
+        .lean()
+      if (candidates.length === 0) {
+        break
+      }
+      lastUserId = candidates[candidates.length - 1].userId
+
+      const batchSettings = await getPrivacySettingsByUserIds(candidates.map((user) => user.userId))
+      batchSettings.forEach((settings, userId) => privacySettings.set(userId, settings))
+
+      const visibleUsers = candidates.filter((user) => {
+        const settings = batchSettings.get(user.userId)
+        const isFriend = friendIds.has(user.userId)
+        return (
+          (!!user.email && pattern.test(user.email) && isAllowedForAudience(settings.findByEmail, isFriend)) ||
+          (!!user.fullName && pattern.test(user.fullName) && isAllowedForAudience(settings.findByName, isFriend))
+        )
+      })
+      users.push(...visibleUsers.slice(0, MAX_SEARCH_RESULTS - users.length))
+
+      if (candidates.length < SEARCH_CANDIDATE_BATCH_SIZE) {
+        break
+      }
+    }
 
     const sentRequests = await getSentFriendRequests(currentUserId)
     const sentRequestsMap = new Map(sentRequests.map((req) => [req.receiverId, req.requestId]))
@@ -117,7 +199,7 @@ export const searchUsers = async (req, res) => {
         let friendshipStatus = "not_friends"
         let requestId = null
 
-        const areFriends = await checkFriendship(currentUserId, user.userId)
+        const areFriends = friendIds.has(user.userId)
         if (areFriends) {
           friendshipStatus = "friends"
         }
@@ -143,9 +225,12 @@ export const searchUsers = async (req, res) => {
           }
         }
 
+        // Không lộ email của người không cho tìm bằng email
+        const showEmail = isAllowedForAudience(privacySettings.get(user.userId).findByEmail, areFriends)
+
         return {
           userId: user.userId,
-          email: user.email,
+          email: showEmail ? user.email : null,
           fullName: user.fullName,
           avatarUrl: avatarUrl,
           friendshipStatus,
@@ -337,9 +422,616 @@ export const updatePassword = async (req, res) => {
     // Update with new password
     await updateUser(userId, { password: newPassword })
 
+    // Đăng xuất các thiết bị khác sau khi đổi mật khẩu
+    const revokedSessionIds = await revokeUserSessions(userId, req.user.sessionId)
+    revokedSessionIds.forEach((sessionId) => disconnectSessionSockets(req.io, sessionId))
+    await removeSessionDeviceTokens(revokedSessionIds)
+
     res.status(200).json({ message: "Password updated successfully" })
   } catch (error) {
     console.error("Error in updatePassword:", error)
     res.status(500).json({ message: "Server error", error: error.message })
   }
 }
+
+export const getSessions = async (req, res) => {
+  try {
+    const { userId, sessionId: currentSessionId } = req.user
+
+    const sessions = await getActiveUserSessions(userId)
+
+    res.status(200).json({
+      message: "Sessions retrieved successfully",
+      sessions: sessions.map((session) => ({
+        sessionId: session.sessionId,
+        deviceName: session.deviceName,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        isCurrent: session.sessionId === currentSessionId,
+      })),
+    })
+  } catch (error) {
+    console.error("Error in getSessions:", error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+export const revokeUserSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params
+    const userId = req.user.userId
+
+    const session = await revokeSession(sessionId, userId)
+
+    if (!session) {
+      return res.status(404).json({ message: "Session not found" })
+    }
+
+    disconnectSessionSockets(req.io, sessionId)
+    await removeSessionDeviceTokens([sessionId])
+
+    res.status(200).json({
+      message: "Session revoked successfully",
+      sessionId,
+    })
+  } catch (error) {
+    console.error("Error in revokeUserSession:", error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+// Đăng ký token FCM của thiết bị cho phiên hiện tại
+export const registerDevice = async (req, res) => {
+  try {
+    const { userId, sessionId } = req.user
+    const { token, platform } = req.body
+
+    if (typeof token !== "string") {
+      return res.status(400).json({ message: "Invalid device token" })
+    }
+
+    const deviceToken = await registerDeviceToken(userId, sessionId || null, token, platform)
+
+    res.status(200).json({
+      message: "Device registered successfully",
+      device: {
+        deviceTokenId: deviceToken.deviceTokenId,
+        platform: deviceToken.platform,
+        lastUsedAt: deviceToken.lastUsedAt,
+      },
+    })
+  } catch (error) {
+    console.error("Error in registerDevice:", error)
+
+    if (error.message === "Invalid platform") {
+      return res.status(400).json({ message: error.message })
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+export const unregisterDevice = async (req, res) => {
+  try {
+    const userId = req.user.userId
+    const { token } = req.body
+
+    const removed = await removeDeviceToken(userId, token)
+    if (!removed) {
+      return res.status(404).json({ message: "Device not found" })
+    }
+
+    res.status(200).json({ message: "Device unregistered successfully" })
+  } catch (error) {
+    console.error("Error in unregisterDevice:", error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+// Tùy chọn email tóm tắt tin nhắn chưa đọc (off/daily/weekly)
+export const getDigestSettings = async (req, res) => {
+  try {
+    const preference = await getDigestPreference(req.user.userId)
+
+    res.status(200).json({
+      message: "Digest settings retrieved successfully",
+      frequency: preference.frequency,
+    })
+  } catch (error) {
+    console.error("Error in getDigestSettings:", error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+export const updateDigestSettings = async (req, res) => {
+  try {
+    const { frequency } = req.body
+
+    const preference = await updateDigestFrequency(req.user.userId, frequency)
+
+    res.status(200).json({
+      message: "Digest settings updated successfully",
+      frequency: preference.frequency,
+    })
+  } catch (error) {
+    console.error("Error in updateDigestSettings:", error)
+
+    if (error.message === "Invalid digest frequency") {
+      return res.status(400).json({ message: error.message })
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+const UNSUBSCRIBE_TOKEN_PATTERN = /^[a-f0-9]{64}$/
+
+const renderUnsubscribePage = (title, content) => `<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><title>${title}</title></head>
+  <body style="font-family: Arial, sans-serif; max-width: 480px; margin: 40px auto; text-align: center;">
+    <h2>${title}</h2>
+    ${content}
+  </body>
+</html>`
+
+// Liên kết hủy đăng ký trong email, không yêu cầu đăng nhập. GET chỉ hiển thị trang xác nhận
+// để trình quét liên kết / tải trước không tự hủy đăng ký
+export const showUnsubscribeDigest = (req, res) => {
+  const { token } = req.query
+
+  if (typeof token !== "string" || !UNSUBSCRIBE_TOKEN_PATTERN.test(token)) {
+    return res.status(400).send(renderUnsubscribePage("Invalid unsubscribe link", ""))
+  }
+
+  res.status(200).send(
+    renderUnsubscribePage(
+      "Unsubscribe from digest emails?",
+      `<form method="POST" action="?token=${token}">
+      <button type="submit">Unsubscribe</button>
+    </form>`,
+    ),
+  )
+}
+
+// Hủy đăng ký: từ trang xác nhận hoặc POST một chạm của trình đọc thư (RFC 8058)
+export const unsubscribeDigest = async (req, res) => {
+  const wantsHtml = req.accepts(["json", "html"]) === "html"
+
+  try {
+    const token = req.query.token || req.body.token
+
+    if (typeof token !== "string" || !UNSUBSCRIBE_TOKEN_PATTERN.test(token)) {
+      return wantsHtml
+        ? res.status(400).send(renderUnsubscribePage("Invalid unsubscribe link", ""))
+        : res.status(400).json({ message: "Unsubscribe token is required" })
+    }
+
+    const preference = await unsubscribeDigestByToken(token)
+    if (!preference) {
+      return wantsHtml
+        ? res.status(404).send(renderUnsubscribePage("Invalid unsubscribe link", ""))
+        : res.status(404).json({ message: "Invalid unsubscribe link" })
+    }
+
+    if (wantsHtml) {
+      return res
+        .status(200)
+        .send(renderUnsubscribePage("You have been unsubscribed", "<p>You will no longer receive digest emails.</p>"))
+    }
+    res.status(200).json({ message: "You have been unsubscribed from digest emails" })
+  } catch (error) {
+    console.error("Error in unsubscribeDigest:", error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+// Bắt đầu bật xác thực hai bước: tạo secret chờ xác nhận
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const userId = req.user.userId
+
+    const user = await getUserById(userId)
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" })
+    }
+
+    const secret = generateTotpSecret()
+    await updateUser(userId, { "twoFactor.pendingSecret": secret })
+
+    res.status(200).json({
+      message: "Scan the QR code with your authenticator app and confirm with a code",
+      secret,
+      otpauthUri: buildOtpAuthUri(secret, user.email),
+    })
+  } catch (error) {
+    console.error("Error in setupTwoFactor:", error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+// Xác nhận mã từ ứng dụng xác thực và bật xác thực hai bước
+export const confirmTwoFactor = async (req, res) => {
+  try {
+    const userId = req.user.userId
+    const { code } = req.body
+
+    const user = await getUserById(userId)
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" })
+    }
+
+    const pendingSecret = user.twoFactor ? user.twoFactor.pendingSecret : null
+    if (!pendingSecret) {
+      return res.status(400).json({ message: "Two-factor setup has not been started" })
+    }
+
+    const step = verifyTotpCode(pendingSecret, code)
+    if (step === null) {
+      return res.status(400).json({ message: "Invalid two-factor code" })
+    }
+
+    const { codes, hashes } = generateBackupCodes()
+
+    await updateUser(userId, {
+      "twoFactor.enabled": true,
+      "twoFactor.secret": pendingSecret,
+      "twoFactor.pendingSecret": null,
+      "twoFactor.lastUsedStep": step,
+      "twoFactor.backupCodes": hashes,
+      "twoFactor.enabledAt": new Date(),
+    })
+
+    res.status(200).json({
+      message: "Two-factor authentication enabled",
+      backupCodes: codes,
+    })
+  } catch (error) {
+    console.error("Error in confirmTwoFactor:", error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const userId = req.user.userId
+    const { password } = req.body
+
+    const user = await getUserById(userId)
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    const isMatch = await verifyPassword(password, user.password)
+    if (!isMatch) {
+      return res.status(401).json({ message: "Password is incorrect" })
+    }
+
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" })
+    }
+
+    await updateUser(userId, {
+      "twoFactor.enabled": false,
+      "twoFactor.secret": null,
+      "twoFactor.pendingSecret": null,
+      "twoFactor.lastUsedStep": null,
+      "twoFactor.backupCodes": [],
+      "twoFactor.enabledAt": null,
+    })
+
+    res.status(200).json({ message: "Two-factor authentication disabled" })
+  } catch (error) {
+    console.error("Error in disableTwoFactor:", error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+export const regenerateBackupCodes = async (req, res) => {
+  try {
+    const userId = req.user.userId
+    const { password } = req.body
+
+    const user = await getUserById(userId)
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    const isMatch = await verifyPassword(password, user.password)
+    if (!isMatch) {
+      return res.status(401).json({ message: "Password is incorrect" })
+    }
+
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" })
+    }
+
+    const { codes, hashes } = generateBackupCodes()
+    await updateUser(userId, { "twoFactor.backupCodes": hashes })
+
+    res.status(200).json({
+      message: "Backup codes regenerated",
+      backupCodes: codes,
+    })
+  } catch (error) {
+    console.error("Error in regenerateBackupCodes:", error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+const MAX_PRESENCE_QUERY_USERS = 100
+
+// Trạng thái trực tuyến và lần truy cập cuối của nhiều người dùng: ?userIds=id1,id2
+export const getPresence = async (req, res) => {
+  try {
+    const currentUserId = req.user.userId
+    const userIds = [...new Set(String(req.query.userIds || "").split(",").map((id) => id.trim()).filter(Boolean))]
+
+    if (userIds.length === 0) {
+      return res.status(400).json({ message: "userIds query parameter is required" })
+    }
+
+    if (userIds.length > MAX_PRESENCE_QUERY_USERS) {
+      return res.status(400).json({ message: `At most ${MAX_PRESENCE_QUERY_USERS} userIds are allowed` })
+    }
+
+    const presence = await getUsersPresence(currentUserId, userIds)
+
+    res.status(200).json({
+      message: "Presence retrieved successfully",
+      presence,
+    })
+  } catch (error) {
+    console.error("Error in getPresence:", error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+export const getUserPrivacySettings = async (req, res) => {
+  try {
+    const userId = req.user.userId
+
+    const settings = await getPrivacySettings(userId)
+
+    res.status(200).json({
+      message: "Privacy settings retrieved successfully",
+      settings,
+    })
+  } catch (error) {
+    console.error("Error in getUserPrivacySettings:", error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+export const updateUserPrivacySettings = async (req, res) => {
+  try {
+    const userId = req.user.userId
+
+    const previous = await getPrivacySettings(userId)
+    const settings = await updatePrivacySettings(userId, req.body)
+
+    // Cập nhật trạng thái trực tuyến cho những người được/không còn được xem
+    if (settings.presenceVisibility !== previous.presenceVisibility) {
+      await refreshUserStatus(req.io, userId)
+    }
+
+    emitToUser(req.io, userId, EVENTS.PRIVACY_SETTINGS_UPDATED, { settings })
+
+    res.status(200).json({
+      message: "Privacy settings updated successfully",
+      settings,
+    })
+  } catch (error) {
+    console.error("Error in updateUserPrivacySettings:", error)
+
+    if (error.message.startsWith("Invalid value for")) {
+      return res.status(400).json({ message: error.message })
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+export const blockUserById = async (req, res) => {
+  try {
+    const { userId } = req.params
+    const currentUserId = req.user.userId
+
+    if (userId === currentUserId) {
+      return res.status(400).json({ message: "You cannot block yourself" })
+    }
+
+    const user = await getUserById(userId)
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    const block = await blockUser(currentUserId, userId)
+
+    // Hủy các lời mời kết bạn đang chờ giữa hai người
+    const canceledRequests = await deletePendingFriendRequests(currentUserId, userId)
+    canceledRequests.forEach((request) => {
+      emitToUser(req.io, request.receiverId, EVENTS.FRIEND_REQUEST_CANCELED, {
+        requestId: request.requestId,
+        senderId: request.senderId,
+      })
+    })
+
+    // Hai người không còn thấy trạng thái trực tuyến của nhau
+    await Promise.all([
+      syncUserStatusFor(req.io, currentUserId, userId),
+      syncUserStatusFor(req.io, userId, currentUserId),
+    ])
+
+    // Đồng bộ danh sách chặn trên các thiết bị khác của người chặn
+    emitToUser(req.io, currentUserId, EVENTS.USER_BLOCKED, {
+      userId,
+      blockedAt: block.createdAt,
+    })
+
+    res.status(200).json({
+      message: "User blocked successfully",
+      blockedUser: {
+        userId: user.userId,
+        fullName: user.fullName,
+        avatarUrl: user.avatarUrl,
+        blockedAt: block.createdAt,
+      },
+    })
+  } catch (error) {
+    console.error("Error in blockUserById:", error)
+
+    if (error.message === "User is already blocked") {
+      return res.status(400).json({ message: error.message })
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+export const unblockUserById = async (req, res) => {
+  try {
+    const { userId } = req.params
+    const currentUserId = req.user.userId
+
+    await unblockUser(currentUserId, userId)
+
+    await Promise.all([
+      syncUserStatusFor(req.io, currentUserId, userId),
+      syncUserStatusFor(req.io, userId, currentUserId),
+    ])
+
+    emitToUser(req.io, currentUserId, EVENTS.USER_UNBLOCKED, { userId })
+
+    res.status(200).json({
+      message: "User unblocked successfully",
+      userId,
+    })
+  } catch (error) {
+    console.error("Error in unblockUserById:", error)
+
+    if (error.message === "User is not blocked") {
+      return res.status(404).json({ message: error.message })
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+export const getBlockedUserList = async (req, res) => {
+  try {
+    const userId = req.user.userId
+
+    const blocks = await getBlockedUsers(userId)
+    const users = await getUsersByIds(blocks.map((block) => block.blockedId))
+    const usersById = new Map(users.map((user) => [user.userId, user]))
+
+    res.status(200).json({
+      message: "Blocked users retrieved successfully",
+      blockedUsers: blocks.map((block) => {
+        const user = usersById.get(block.blockedId)
+        return {
+          userId: block.blockedId,
+          fullName: user ? user.fullName : "Unknown User",
+          avatarUrl: user ? user.avatarUrl : null,
+          blockedAt: block.createdAt,
+        }
+      }),
+    })
+  } catch (error) {
+    console.error("Error in getBlockedUserList:", error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+const MAX_REPORTED_MESSAGES = 50
+
+// Báo cáo người dùng, có thể kèm các tin nhắn làm bằng chứng cho đội kiểm duyệt
+export const reportUser = async (req, res) => {
+  try {
+    const { userId } = req.params
+    const { reason, description = "", messageIds = [] } = req.body
+    const currentUserId = req.user.userId
+
+    if (userId === currentUserId) {
+      return res.status(400).json({ message: "You cannot report yourself" })
+    }
+
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({ message: `Invalid reason. Use one of: ${REPORT_REASONS.join(", ")}` })
+    }
+
+    if (!Array.isArray(messageIds) || messageIds.length > MAX_REPORTED_MESSAGES) {
+      return res.status(400).json({ message: `messageIds must be an array of at most ${MAX_REPORTED_MESSAGES} IDs` })
+    }
+
+    const user = await getUserById(userId)
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    // Chỉ chấp nhận tin nhắn do người bị báo cáo gửi trong cuộc trò chuyện mà người báo cáo tham gia
+    const messages = await getMessagesByIds(messageIds)
+    const conversationIds = [...new Set(messages.map((message) => message.conversationId))]
+    const conversations = await Promise.all(conversationIds.map((id) => getConversationById(id)))
+    const participatingIds = new Set(
+      conversations
+        .filter((conversation) => conversation && conversation.participants.includes(currentUserId))
+        .map((conversation) => conversation.conversationId),
+    )
+
+    const validMessages = messages.filter(
+      (message) => message.senderId === userId && participatingIds.has(message.conversationId),
+    )
+
+    if (validMessages.length !== new Set(messageIds).size) {
+      return res.status(400).json({ message: "Some reported messages were not found or cannot be reported" })
+    }
+
+    const report = await createReport(
+      currentUserId,
+      userId,
+      reason,
+      typeof description === "string" ? description.trim() : "",
+      validMessages.map((message) => ({
+        messageId: message.messageId,
+        conversationId: message.conversationId,
+        senderId: message.senderId,
+        type: message.type,
+        content: message.content,
+        attachments: message.attachments.map((attachment) => ({
+          url: attachment.url,
+          type: attachment.type,
+          name: attachment.name,
+        })),
+        sentAt: message.createdAt,
+      })),
+    )
+
+    res.status(201).json({
+      message: "Report submitted successfully",
+      report: {
+        reportId: report.reportId,
+        reportedUserId: report.reportedUserId,
+        reason: report.reason,
+        messageCount: report.messages.length,
+        status: report.status,
+        createdAt: report.createdAt,
+      },
+    })
+  } catch (error) {
+    console.error("Error in reportUser:", error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
@@ -1,5 +1,5 @@
-import jwt from "jsonwebtoken"
 import { getUserById } from "../models/userModel.js"
+import { verifyAccessToken } from "../services/tokenService.js"
 import dotenv from "dotenv"
 
 dotenv.config()
@@ -13,7 +13,7 @@ export const authenticate = async (req, res, next) => {
     }
 
     const token = authHeader.split(" ")[1]
-    const decoded = jwt.verify(token, process.env.JWT_SECRET)
+    const decoded = await verifyAccessToken(token)
     const user = await getUserById(decoded.userId)
 
     if (!user) {
@@ -23,6 +23,7 @@ export const authenticate = async (req, res, next) => {
     req.user = {
       userId: user.userId,
       email: user.email,
+      sessionId: decoded.sessionId,
     }
 
     next()
@@ -37,6 +38,10 @@ export const authenticate = async (req, res, next) => {
       return res.status(401).json({ message: "Token expired" })
     }
 
+    if (error.name === "SessionError") {
+      return res.status(401).json({ message: error.message })
+    }
+
     res.status(500).json({ message: "Server error", error: error.message })
   }
 }
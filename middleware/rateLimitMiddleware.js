@@ -0,0 +1,99 @@
+import { getRateLimitStore, getRetryAfterSeconds, getLoginLockout } from "../services/rateLimitService.js"
+
+export const keyByIp = (req) => req.ip
+
+export const keyByEmail = (req) => {
+  const email = req.body && req.body.email
+  return typeof email === "string" && email.trim() !== "" ? email.trim().toLowerCase() : null
+}
+
+// Email kèm IP: giới hạn việc đoán mật khẩu mà không để người khác chặn được chủ tài khoản
+export const keyByEmailAndIp = (req) => {
+  const email = keyByEmail(req)
+  return email ? `${email}:${req.ip}` : null
+}
+
+const tooManyRequests = (res, retryAfterSeconds, message) => {
+  res.set("Retry-After", String(retryAfterSeconds))
+  return res.status(429).json({ message, retryAfter: retryAfterSeconds })
+}
+
+// Giới hạn số request trong một cửa sổ thời gian theo key (IP, email, ...)
+export const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator = keyByIp,
+  message = "Too many requests, please try again later",
+  store = null,
+}) => {
+  return async (req, res, next) => {
+    try {
+      const key = keyGenerator(req)
+      if (!key) {
+        return next()
+      }
+
+      const counter = await (store || getRateLimitStore()).increment(`${name}:${key}`, windowMs)
+
+      res.set("X-RateLimit-Limit", String(max))
+      res.set("X-RateLimit-Remaining", String(Math.max(max - counter.count, 0)))
+
+      if (counter.count > max) {
+        return tooManyRequests(res, getRetryAfterSeconds(counter.resetAt), message)
+      }
+
+      next()
+    } catch (error) {
+      // Không chặn người dùng khi store gặp lỗi
+      console.error(`Rate limit error (${name}):`, error)
+      next()
+    }
+  }
+}
+
+// Thời gian chờ giữa hai lần gửi lại mã cho cùng một email
+export const resendCooldown = ({ name, cooldownMs, keyGenerator = keyByEmail, store = null }) => {
+  return async (req, res, next) => {
+    try {
+      const key = keyGenerator(req)
+      if (!key) {
+        return next()
+      }
+
+      const cooldownStore = store || getRateLimitStore()
+      const cooldownKey = `${name}:${key}`
+      const existing = await cooldownStore.get(cooldownKey)
+
+      if (existing) {
+        return tooManyRequests(res, getRetryAfterSeconds(existing.resetAt), "Please wait before requesting another code")
+      }
+
+      await cooldownStore.set(cooldownKey, 1, cooldownMs)
+      next()
+    } catch (error) {
+      console.error(`Resend cooldown error (${name}):`, error)
+      next()
+    }
+  }
+}
+
+// Chặn đăng nhập khi email đang bị khóa do sai mật khẩu nhiều lần từ cùng IP
+export const loginLockout = async (req, res, next) => {
+  try {
+    const email = keyByEmail(req)
+    if (!email) {
+      return next()
+    }
+
+    const lockout = await getLoginLockout(email, req.ip)
+    if (lockout.locked) {
+      return tooManyRequests(res, lockout.retryAfterSeconds, "Too many failed login attempts, please try again later")
+    }
+
+    next()
+  } catch (error) {
+    console.error("Login lockout error:", error)
+    next()
+  }
+}
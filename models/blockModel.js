@@ -0,0 +1,106 @@
+import mongoose from "mongoose"
+import { v4 as uuidv4 } from "uuid"
+
+const blockSchema = new mongoose.Schema(
+  {
+    blockId: {
+      type: String,
+      required: true,
+      unique: true,
+      default: () => uuidv4(),
+    },
+    blockerId: {
+      type: String,
+      required: true,
+      ref: "User",
+    },
+    blockedId: {
+      type: String,
+      required: true,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+blockSchema.index({ blockerId: 1, blockedId: 1 }, { unique: true })
+blockSchema.index({ blockedId: 1 })
+
+export const Block = mongoose.model("Block", blockSchema)
+
+export const blockUser = async (blockerId, blockedId) => {
+  try {
+    const existingBlock = await Block.findOne({ blockerId, blockedId })
+    if (existingBlock) {
+      throw new Error("User is already blocked")
+    }
+
+    const block = new Block({ blockerId, blockedId })
+    await block.save()
+    return block
+  } catch (error) {
+    console.error("Error blocking user:", error)
+    throw error
+  }
+}
+
+export const unblockUser = async (blockerId, blockedId) => {
+  try {
+    const block = await Block.findOneAndDelete({ blockerId, blockedId })
+    if (!block) {
+      throw new Error("User is not blocked")
+    }
+    return block
+  } catch (error) {
+    console.error("Error unblocking user:", error)
+    throw error
+  }
+}
+
+// Danh sách người dùng mà userId đã chặn
+export const getBlockedUsers = async (blockerId) => {
+  try {
+    return await Block.find({ blockerId }).sort({ createdAt: -1 })
+  } catch (error) {
+    console.error("Error getting blocked users:", error)
+    throw error
+  }
+}
+
+// Kiểm tra một trong hai người đã chặn người kia chưa
+export const isBlockedBetween = async (user1Id, user2Id) => {
+  try {
+    const block = await Block.exists({
+      $or: [
+        { blockerId: user1Id, blockedId: user2Id },
+        { blockerId: user2Id, blockedId: user1Id },
+      ],
+    })
+    return !!block
+  } catch (error) {
+    console.error("Error checking block:", error)
+    throw error
+  }
+}
+
+export const hasBlocked = async (blockerId, blockedId) => {
+  try {
+    return !!(await Block.exists({ blockerId, blockedId }))
+  } catch (error) {
+    console.error("Error checking block:", error)
+    throw error
+  }
+}
+
+// Tất cả người dùng có quan hệ chặn với userId (chặn hoặc bị chặn)
+export const getBlockRelatedUserIds = async (userId) => {
+  try {
+    const blocks = await Block.find({ $or: [{ blockerId: userId }, { blockedId: userId }] }).lean()
+    return new Set(blocks.map((block) => (block.blockerId === userId ? block.blockedId : block.blockerId)))
+  } catch (error) {
+    console.error("Error getting block related users:", error)
+    throw error
+  }
+}
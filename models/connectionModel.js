@@ -0,0 +1,143 @@
+import mongoose from "mongoose"
+
+// Thời gian giữ kết nối khi node không còn gửi heartbeat (node bị tắt đột ngột)
+export const CONNECTION_TTL_SECONDS = 120
+
+// Kết nối socket đang mở, dùng chung giữa các instance server
+const connectionSchema = new mongoose.Schema(
+  {
+    socketId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    userId: {
+      type: String,
+      required: true,
+      ref: "User",
+    },
+    nodeId: {
+      type: String,
+      required: true,
+    },
+    conversationIds: [
+      {
+        type: String,
+      },
+    ],
+    groupIds: [
+      {
+        type: String,
+      },
+    ],
+    lastHeartbeatAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+connectionSchema.index({ userId: 1 })
+connectionSchema.index({ nodeId: 1 })
+connectionSchema.index({ lastHeartbeatAt: 1 }, { expireAfterSeconds: CONNECTION_TTL_SECONDS })
+
+export const Connection = mongoose.model("Connection", connectionSchema)
+
+const ROOM_FIELDS = {
+  conversation: "conversationIds",
+  group: "groupIds",
+}
+
+const getRoomField = (type) => {
+  const field = ROOM_FIELDS[type]
+  if (!field) {
+    throw new Error(`Invalid room type: ${type}`)
+  }
+  return field
+}
+
+// Kết nối còn sống: node vẫn gửi heartbeat gần đây
+const aliveFilter = () => ({
+  lastHeartbeatAt: { $gt: new Date(Date.now() - CONNECTION_TTL_SECONDS * 1000) },
+})
+
+export const createConnection = async (socketId, userId, nodeId) => {
+  try {
+    await Connection.findOneAndUpdate(
+      { socketId },
+      { $set: { userId, nodeId, lastHeartbeatAt: new Date() } },
+      { upsert: true },
+    )
+    return await Connection.countDocuments({ userId, ...aliveFilter() })
+  } catch (error) {
+    console.error("Error creating connection:", error)
+    throw error
+  }
+}
+
+export const deleteConnection = async (socketId, userId) => {
+  try {
+    await Connection.deleteOne({ socketId })
+    return await Connection.countDocuments({ userId, ...aliveFilter() })
+  } catch (error) {
+    console.error("Error deleting connection:", error)
+    throw error
+  }
+}
+
+export const isUserConnected = async (userId) => {
+  try {
+    return !!(await Connection.exists({ userId, ...aliveFilter() }))
+  } catch (error) {
+    console.error("Error checking user connection:", error)
+    throw error
+  }
+}
+
+export const getConnectedUserIds = async () => {
+  try {
+    return await Connection.distinct("userId", aliveFilter())
+  } catch (error) {
+    console.error("Error getting connected users:", error)
+    throw error
+  }
+}
+
+export const addConnectionRoom = async (socketId, type, roomId) => {
+  try {
+    await Connection.updateOne({ socketId }, { $addToSet: { [getRoomField(type)]: roomId } })
+  } catch (error) {
+    console.error("Error adding connection room:", error)
+    throw error
+  }
+}
+
+export const removeConnectionRoom = async (socketId, type, roomId) => {
+  try {
+    await Connection.updateOne({ socketId }, { $pull: { [getRoomField(type)]: roomId } })
+  } catch (error) {
+    console.error("Error removing connection room:", error)
+    throw error
+  }
+}
+
+export const getUserConnectionRooms = async (userId, type) => {
+  try {
+    return await Connection.distinct(getRoomField(type), { userId, ...aliveFilter() })
+  } catch (error) {
+    console.error("Error getting user connection rooms:", error)
+    throw error
+  }
+}
+
+export const touchNodeConnections = async (nodeId) => {
+  try {
+    await Connection.updateMany({ nodeId }, { $set: { lastHeartbeatAt: new Date() } })
+  } catch (error) {
+    console.error("Error touching node connections:", error)
+    throw error
+  }
+}
@@ -0,0 +1,242 @@
+import mongoose from "mongoose"
+
+// Trạng thái cuộc trò chuyện theo từng người tham gia
+const conversationStateSchema = new mongoose.Schema(
+  {
+    conversationId: {
+      type: String,
+      required: true,
+      ref: "Conversation",
+    },
+    userId: {
+      type: String,
+      required: true,
+      ref: "User",
+    },
+    lastReadMessageId: {
+      type: String,
+      default: null,
+    },
+    lastReadAt: {
+      type: Date,
+      default: null,
+    },
+    unreadCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    isPinned: {
+      type: Boolean,
+      default: false,
+    },
+    pinnedAt: {
+      type: Date,
+      default: null,
+    },
+    mutedUntil: {
+      type: Date,
+      default: null,
+    },
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+conversationStateSchema.index({ userId: 1, conversationId: 1 }, { unique: true })
+conversationStateSchema.index({ conversationId: 1 })
+
+export const ConversationState = mongoose.model("ConversationState", conversationStateSchema)
+
+export const isConversationMuted = (state) => {
+  return !!(state && state.mutedUntil && new Date(state.mutedUntil) > new Date())
+}
+
+export const getConversationState = async (userId, conversationId) => {
+  try {
+    return await ConversationState.findOne({ userId, conversationId })
+  } catch (error) {
+    console.error("Error getting conversation state:", error)
+    throw error
+  }
+}
+
+// Lấy trạng thái của tất cả cuộc trò chuyện của người dùng, trả về Map theo conversationId
+export const getUserConversationStates = async (userId) => {
+  try {
+    const states = await ConversationState.find({ userId }).lean()
+    return new Map(states.map((state) => [state.conversationId, state]))
+  } catch (error) {
+    console.error("Error getting user conversation states:", error)
+    throw error
+  }
+}
+
+// Trạng thái của một cuộc trò chuyện theo từng người tham gia (userId -> state)
+export const getConversationStatesByUserIds = async (conversationId, userIds) => {
+  try {
+    const states = await ConversationState.find({ conversationId, userId: { $in: userIds } }).lean()
+    return new Map(states.map((state) => [state.userId, state]))
+  } catch (error) {
+    console.error("Error getting conversation states by user IDs:", error)
+    throw error
+  }
+}
+
+// Tăng số tin chưa đọc cho những người nhận khi có tin nhắn mới
+export const incrementUnreadCounts = async (conversationId, recipientIds) => {
+  try {
+    if (recipientIds.length === 0) {
+      return
+    }
+
+    await ConversationState.bulkWrite(
+      recipientIds.map((userId) => ({
+        updateOne: {
+          filter: { userId, conversationId },
+          update: {
+            $inc: { unreadCount: 1 },
+            // Cuộc trò chuyện đã ẩn sẽ hiện lại khi có tin nhắn mới
+            $set: { isHidden: false },
+          },
+          upsert: true,
+        },
+      })),
+      { ordered: false },
+    )
+  } catch (error) {
+    console.error("Error incrementing unread counts:", error)
+    throw error
+  }
+}
+
+// Giảm số tin chưa đọc (không để âm)
+export const decrementUnreadCounts = async (conversationId, userIds) => {
+  try {
+    if (userIds.length === 0) {
+      return
+    }
+
+    await ConversationState.updateMany(
+      { conversationId, userId: { $in: userIds }, unreadCount: { $gt: 0 } },
+      { $inc: { unreadCount: -1 } },
+    )
+  } catch (error) {
+    console.error("Error decrementing unread counts:", error)
+    throw error
+  }
+}
+
+// Giảm số tin chưa đọc theo từng người dùng khi nhiều tin bị xóa cùng lúc (không để âm)
+export const subtractUnreadCounts = async (conversationId, countsByUserId) => {
+  try {
+    if (countsByUserId.size === 0) {
+      return
+    }
+
+    await ConversationState.bulkWrite(
+      [...countsByUserId].map(([userId, count]) => ({
+        updateOne: {
+          filter: { userId, conversationId },
+          update: [{ $set: { unreadCount: { $max: [{ $subtract: ["$unreadCount", count] }, 0] } } }],
+        },
+      })),
+      { ordered: false },
+    )
+  } catch (error) {
+    console.error("Error subtracting unread counts:", error)
+    throw error
+  }
+}
+
+export const resetUnreadCount = async (conversationId, userId, lastReadMessageId = null) => {
+  try {
+    const update = { unreadCount: 0, lastReadAt: new Date() }
+    if (lastReadMessageId) {
+      update.lastReadMessageId = lastReadMessageId
+    }
+
+    return await ConversationState.findOneAndUpdate(
+      { userId, conversationId },
+      { $set: update },
+      { upsert: true, new: true },
+    )
+  } catch (error) {
+    console.error("Error resetting unread count:", error)
+    throw error
+  }
+}
+
+// Đặt lại số chưa đọc sau khi người dùng đọc tới một tin nhắn (có thể vẫn còn tin mới hơn chưa đọc)
+export const setUnreadCount = async (conversationId, userId, unreadCount, lastReadMessageId = null) => {
+  try {
+    const update = { unreadCount: Math.max(unreadCount, 0), lastReadAt: new Date() }
+    if (lastReadMessageId) {
+      update.lastReadMessageId = lastReadMessageId
+    }
+
+    return await ConversationState.findOneAndUpdate(
+      { userId, conversationId },
+      { $set: update },
+      { upsert: true, new: true },
+    )
+  } catch (error) {
+    console.error("Error setting unread count:", error)
+    throw error
+  }
+}
+
+// Khởi tạo trạng thái cho những cuộc trò chuyện chưa có (dữ liệu cũ), dùng số chưa đọc đã tính sẵn
+export const seedConversationStates = async (userId, unreadCounts) => {
+  try {
+    if (unreadCounts.size === 0) {
+      return
+    }
+
+    await ConversationState.bulkWrite(
+      Array.from(unreadCounts.entries()).map(([conversationId, unreadCount]) => ({
+        updateOne: {
+          filter: { userId, conversationId },
+          update: { $setOnInsert: { unreadCount } },
+          upsert: true,
+        },
+      })),
+      { ordered: false },
+    )
+  } catch (error) {
+    console.error("Error seeding conversation states:", error)
+    throw error
+  }
+}
+
+// Cập nhật tùy chọn cá nhân của cuộc trò chuyện (ghim, tắt thông báo, lưu trữ, ẩn)
+export const updateConversationPreferences = async (userId, conversationId, updateData) => {
+  try {
+    const allowedFields = ["isPinned", "pinnedAt", "mutedUntil", "isArchived", "isHidden"]
+    const updateFields = {}
+
+    Object.keys(updateData).forEach((key) => {
+      if (allowedFields.includes(key)) {
+        updateFields[key] = updateData[key]
+      }
+    })
+
+    return await ConversationState.findOneAndUpdate(
+      { userId, conversationId },
+      { $set: updateFields },
+      { upsert: true, new: true },
+    )
+  } catch (error) {
+    console.error("Error updating conversation preferences:", error)
+    throw error
+  }
+}
@@ -0,0 +1,113 @@
+import mongoose from "mongoose"
+import { v4 as uuidv4 } from "uuid"
+
+export const DEVICE_PLATFORMS = ["android", "ios", "web"]
+
+// Token FCM của thiết bị, gắn với phiên đăng nhập để thu hồi khi đăng xuất
+const deviceTokenSchema = new mongoose.Schema(
+  {
+    deviceTokenId: {
+      type: String,
+      required: true,
+      unique: true,
+      default: () => uuidv4(),
+    },
+    userId: {
+      type: String,
+      required: true,
+      ref: "User",
+    },
+    sessionId: {
+      type: String,
+      default: null,
+    },
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    platform: {
+      type: String,
+      enum: DEVICE_PLATFORMS,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+deviceTokenSchema.index({ userId: 1 })
+deviceTokenSchema.index({ sessionId: 1 })
+
+export const DeviceToken = mongoose.model("DeviceToken", deviceTokenSchema)
+
+// Một token chỉ thuộc về một người dùng: đăng nhập tài khoản khác trên cùng thiết bị sẽ chuyển token sang
+export const registerDeviceToken = async (userId, sessionId, token, platform) => {
+  try {
+    if (!DEVICE_PLATFORMS.includes(platform)) {
+      throw new Error("Invalid platform")
+    }
+
+    return await DeviceToken.findOneAndUpdate(
+      { token },
+      { $set: { userId, sessionId, platform, lastUsedAt: new Date() } },
+      { upsert: true, new: true },
+    )
+  } catch (error) {
+    console.error("Error registering device token:", error)
+    throw error
+  }
+}
+
+export const removeDeviceToken = async (userId, token) => {
+  try {
+    const result = await DeviceToken.deleteOne({ userId, token })
+    return result.deletedCount > 0
+  } catch (error) {
+    console.error("Error removing device token:", error)
+    throw error
+  }
+}
+
+export const removeSessionDeviceTokens = async (sessionIds) => {
+  try {
+    if (sessionIds.length === 0) {
+      return
+    }
+    await DeviceToken.deleteMany({ sessionId: { $in: sessionIds } })
+  } catch (error) {
+    console.error("Error removing session device tokens:", error)
+    throw error
+  }
+}
+
+// Xóa các token FCM báo không còn hợp lệ
+export const deleteDeviceTokens = async (tokens) => {
+  try {
+    if (tokens.length === 0) {
+      return
+    }
+    await DeviceToken.deleteMany({ token: { $in: tokens } })
+  } catch (error) {
+    console.error("Error deleting device tokens:", error)
+    throw error
+  }
+}
+
+export const getDeviceTokensByUserIds = async (userIds) => {
+  try {
+    const uniqueIds = [...new Set(userIds.filter(Boolean))]
+    if (uniqueIds.length === 0) {
+      return []
+    }
+    return await DeviceToken.find({ userId: { $in: uniqueIds } })
+  } catch (error) {
+    console.error("Error getting device tokens:", error)
+    throw error
+  }
+}
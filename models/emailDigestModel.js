@@ -0,0 +1,207 @@
+import mongoose from "mongoose"
+import crypto from "crypto"
+import { v4 as uuidv4 } from "uuid"
+
+export const DIGEST_FREQUENCIES = {
+  OFF: "off",
+  DAILY: "daily",
+  WEEKLY: "weekly",
+}
+
+// Chỉ gửi cho người dùng đã chủ động bật
+export const DEFAULT_DIGEST_FREQUENCY = DIGEST_FREQUENCIES.OFF
+
+// Giữ nhật ký gửi đủ lâu để không gửi trùng trong một chu kỳ
+const DIGEST_LOG_TTL_DAYS = 60
+
+const generateUnsubscribeToken = () => crypto.randomBytes(32).toString("hex")
+
+// Tùy chọn nhận email tóm tắt tin nhắn chưa đọc
+const digestPreferenceSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      unique: true,
+      ref: "User",
+    },
+    frequency: {
+      type: String,
+      enum: Object.values(DIGEST_FREQUENCIES),
+      default: DEFAULT_DIGEST_FREQUENCY,
+    },
+    // Dùng trong liên kết hủy đăng ký ở cuối email, không cần đăng nhập
+    unsubscribeToken: {
+      type: String,
+      required: true,
+      unique: true,
+      default: generateUnsubscribeToken,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+export const DigestPreference = mongoose.model("DigestPreference", digestPreferenceSchema)
+
+// Mỗi người dùng chỉ có một bản ghi cho mỗi chu kỳ (periodKey), tạo trước khi gửi để tránh gửi trùng
+// giữa các lần chạy hoặc giữa nhiều instance
+const digestLogSchema = new mongoose.Schema(
+  {
+    logId: {
+      type: String,
+      required: true,
+      unique: true,
+      default: () => uuidv4(),
+    },
+    userId: {
+      type: String,
+      required: true,
+      ref: "User",
+    },
+    periodKey: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["sending", "sent", "skipped"],
+      default: "sending",
+    },
+    unreadCount: {
+      type: Number,
+      default: 0,
+    },
+    conversationCount: {
+      type: Number,
+      default: 0,
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+digestLogSchema.index({ userId: 1, periodKey: 1 }, { unique: true })
+digestLogSchema.index({ userId: 1, sentAt: -1 })
+digestLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: DIGEST_LOG_TTL_DAYS * 24 * 60 * 60 })
+
+export const DigestLog = mongoose.model("DigestLog", digestLogSchema)
+
+// Lấy tùy chọn của người dùng, tạo mới (kèm token hủy đăng ký) nếu chưa có
+export const getDigestPreference = async (userId) => {
+  try {
+    return await DigestPreference.findOneAndUpdate(
+      { userId },
+      { $setOnInsert: { frequency: DEFAULT_DIGEST_FREQUENCY } },
+      { upsert: true, new: true },
+    )
+  } catch (error) {
+    console.error("Error getting digest preference:", error)
+    throw error
+  }
+}
+
+// Trả về Map userId -> frequency, người chưa có tùy chọn dùng mặc định
+export const getDigestFrequenciesByUserIds = async (userIds) => {
+  try {
+    const preferences = await DigestPreference.find({ userId: { $in: userIds } }).lean()
+    const frequencies = new Map(userIds.map((userId) => [userId, DEFAULT_DIGEST_FREQUENCY]))
+    preferences.forEach((preference) => frequencies.set(preference.userId, preference.frequency))
+    return frequencies
+  } catch (error) {
+    console.error("Error getting digest frequencies:", error)
+    throw error
+  }
+}
+
+export const updateDigestFrequency = async (userId, frequency) => {
+  try {
+    if (!Object.values(DIGEST_FREQUENCIES).includes(frequency)) {
+      throw new Error("Invalid digest frequency")
+    }
+
+    return await DigestPreference.findOneAndUpdate(
+      { userId },
+      { $set: { frequency } },
+      { upsert: true, new: true },
+    )
+  } catch (error) {
+    console.error("Error updating digest frequency:", error)
+    throw error
+  }
+}
+
+export const unsubscribeDigestByToken = async (unsubscribeToken) => {
+  try {
+    return await DigestPreference.findOneAndUpdate(
+      { unsubscribeToken },
+      { $set: { frequency: DIGEST_FREQUENCIES.OFF } },
+      { new: true },
+    )
+  } catch (error) {
+    console.error("Error unsubscribing from digest:", error)
+    throw error
+  }
+}
+
+// Giữ chỗ gửi cho một chu kỳ; false nếu chu kỳ này đã được xử lý
+export const claimDigestPeriod = async (userId, periodKey) => {
+  try {
+    await DigestLog.create({ userId, periodKey })
+    return true
+  } catch (error) {
+    if (error.code === 11000) {
+      return false
+    }
+    console.error("Error claiming digest period:", error)
+    throw error
+  }
+}
+
+export const completeDigestLog = async (userId, periodKey, status, unreadCount = 0, conversationCount = 0) => {
+  try {
+    await DigestLog.updateOne(
+      { userId, periodKey },
+      { $set: { status, unreadCount, conversationCount, sentAt: status === "sent" ? new Date() : null } },
+    )
+  } catch (error) {
+    console.error("Error completing digest log:", error)
+    throw error
+  }
+}
+
+// Gửi lỗi: bỏ giữ chỗ để lần chạy sau thử lại
+export const releaseDigestPeriod = async (userId, periodKey) => {
+  try {
+    await DigestLog.deleteOne({ userId, periodKey, status: "sending" })
+  } catch (error) {
+    console.error("Error releasing digest period:", error)
+    throw error
+  }
+}
+
+export const getProcessedDigestUserIds = async (userIds, periodKey) => {
+  try {
+    const logs = await DigestLog.find({ userId: { $in: userIds }, periodKey }).select("userId").lean()
+    return new Set(logs.map((log) => log.userId))
+  } catch (error) {
+    console.error("Error getting processed digest users:", error)
+    throw error
+  }
+}
+
+export const getLastDigestSentAt = async (userId) => {
+  try {
+    const log = await DigestLog.findOne({ userId, status: "sent" }).sort({ sentAt: -1 }).lean()
+    return log ? log.sentAt : null
+  } catch (error) {
+    console.error("Error getting last digest time:", error)
+    throw error
+  }
+}
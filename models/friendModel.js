@@ -194,6 +194,18 @@ export const getFriendships = async (userId) => {
   }
 }
 
+export const getFriendIds = async (userId) => {
+  try {
+    const friendships = await Friendship.find({
+      $or: [{ user1Id: userId }, { user2Id: userId }],
+    }).lean()
+    return friendships.map((friendship) => (friendship.user1Id === userId ? friendship.user2Id : friendship.user1Id))
+  } catch (error) {
+    console.error("Error getting friend IDs:", error)
+    throw error
+  }
+}
+
 export const getFriendship = async (user1Id, user2Id) => {
   try {
     return await Friendship.findOne({
@@ -249,3 +261,24 @@ export const checkFriendship = async (user1Id, user2Id) => {
     throw error
   }
 }
+
+// Xóa các lời mời kết bạn đang chờ giữa hai người (dùng khi chặn)
+export const deletePendingFriendRequests = async (user1Id, user2Id) => {
+  try {
+    const requests = await FriendRequest.find({
+      $or: [
+        { senderId: user1Id, receiverId: user2Id, status: "pending" },
+        { senderId: user2Id, receiverId: user1Id, status: "pending" },
+      ],
+    })
+
+    if (requests.length > 0) {
+      await FriendRequest.deleteMany({ requestId: { $in: requests.map((request) => request.requestId) } })
+    }
+
+    return requests
+  } catch (error) {
+    console.error("Error deleting pending friend requests:", error)
+    throw error
+  }
+}
@@ -164,6 +164,19 @@ export const getGroupByConversationId = async (conversationId) => {
   }
 }
 
+// Lấy thông tin nhiều nhóm theo danh sách ID cuộc trò chuyện
+export const getGroupsByConversationIds = async (conversationIds) => {
+  try {
+    if (conversationIds.length === 0) {
+      return []
+    }
+    return await Group.find({ conversationId: { $in: conversationIds }, isActive: true })
+  } catch (error) {
+    console.error("Error getting groups by conversation IDs:", error)
+    throw error
+  }
+}
+
 // Lấy danh sách nhóm của người dùng
 export const getUserGroups = async (userId) => {
   try {
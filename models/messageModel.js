@@ -1,6 +1,37 @@
 import mongoose from "mongoose"
 import { v4 as uuidv4 } from "uuid"
 import { updateFriendshipLastInteraction } from "./friendModel.js"
+import {
+  incrementUnreadCounts,
+  decrementUnreadCounts,
+  subtractUnreadCounts,
+  resetUnreadCount,
+  setUnreadCount,
+  getConversationStatesByUserIds,
+  seedConversationStates,
+} from "./conversationStateModel.js"
+import { hideSavedMessages, deleteSavedMessagesByMessageIds } from "./savedMessageModel.js"
+import { notifyNewMessage } from "../services/notificationService.js"
+
+// Bình chọn trong nhóm; voterIds của lựa chọn ẩn danh vẫn được lưu để chặn bỏ phiếu trùng
+const pollSchema = new mongoose.Schema(
+  {
+    question: { type: String, required: true },
+    options: [
+      {
+        optionId: { type: String, default: () => uuidv4() },
+        text: { type: String, required: true },
+        voterIds: [{ type: String, ref: "User" }],
+      },
+    ],
+    allowMultiple: { type: Boolean, default: false },
+    isAnonymous: { type: Boolean, default: false },
+    closesAt: { type: Date, default: null },
+    closedAt: { type: Date, default: null },
+    closedBy: { type: String, ref: "User", default: null },
+  },
+  { _id: false },
+)
 
 const messageSchema = new mongoose.Schema(
   {
@@ -26,7 +57,7 @@ const messageSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ["text", "image", "file", "video", "emoji", "imageGroup", "deleted", "recalled", "system"],
+      enum: ["text", "image", "file", "video", "emoji", "imageGroup", "deleted", "recalled", "system", "poll"],
       default: "text",
     },
     content: {
@@ -42,6 +73,10 @@ const messageSchema = new mongoose.Schema(
         thumbnailUrl: { type: String },
       },
     ],
+    poll: {
+      type: pollSchema,
+      default: null,
+    },
     deletedBy: [
       {
         userId: { type: String, ref: "User" },
@@ -66,6 +101,13 @@ const messageSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Người nhận đã nhận tin nhắn trên thiết bị (chưa chắc đã đọc)
+    deliveredTo: [
+      {
+        userId: { type: String },
+        deliveredAt: { type: Date, default: Date.now },
+      },
+    ],
     forwardedFrom: {
       type: String,
       default: null,
@@ -75,12 +117,64 @@ const messageSchema = new mongoose.Schema(
       ref: "Message",
       default: null,
     },
+    // Tin gốc của chuỗi trả lời (tin đầu tiên không trả lời tin nào)
+    threadRootId: {
+      type: String,
+      ref: "Message",
+      default: null,
+    },
+    // Chỉ có ý nghĩa trên tin gốc: số tin trả lời trong chuỗi và thời điểm trả lời gần nhất
+    replyCount: {
+      type: Number,
+      default: 0,
+    },
+    lastReplyAt: {
+      type: Date,
+      default: null,
+    },
     mentions: [
       {
         userId: { type: String },
         name: { type: String },
       },
     ],
+    reactions: [
+      {
+        userId: { type: String, ref: "User" },
+        emoji: { type: String },
+        reactedAt: { type: Date, default: Date.now },
+      },
+    ],
+    isEdited: {
+      type: Boolean,
+      default: false,
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    // ID do client tạo để gửi lại không bị trùng và đối chiếu tin nhắn hiển thị tạm
+    clientMessageId: {
+      type: String,
+      default: null,
+    },
+    // Thời điểm tin nhắn tự xóa khi cuộc trò chuyện bật tin nhắn tự hủy
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    editHistory: [
+      {
+        content: { type: String },
+        mentions: [
+          {
+            userId: { type: String },
+            name: { type: String },
+          },
+        ],
+        editedAt: { type: Date, default: Date.now },
+      },
+    ],
   },
   {
     timestamps: true,
@@ -113,16 +207,44 @@ const conversationSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+    // Tin nhắn được ghim, mới ghim ở cuối
+    pinnedMessages: [
+      {
+        messageId: { type: String, ref: "Message" },
+        pinnedBy: { type: String, ref: "User" },
+        pinnedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Thời gian tồn tại (giây) của tin nhắn mới, null nếu tắt tin nhắn tự hủy
+    disappearingDuration: {
+      type: Number,
+      default: null,
+    },
   },
   {
     timestamps: true,
   },
 )
 
+// Index phục vụ tìm kiếm nội dung tin nhắn (không dùng stemming tiếng Anh)
+messageSchema.index({ content: "text" }, { default_language: "none" })
+messageSchema.index({ conversationId: 1, createdAt: -1 })
+messageSchema.index(
+  { senderId: 1, clientMessageId: 1 },
+  { unique: true, partialFilterExpression: { clientMessageId: { $type: "string" } } },
+)
+messageSchema.index({ replyTo: 1 }, { partialFilterExpression: { replyTo: { $type: "string" } } })
+messageSchema.index({ expiresAt: 1 }, { partialFilterExpression: { expiresAt: { $type: "date" } } })
+
 // Cập nhật index để hỗ trợ nhóm
 conversationSchema.index({ participants: 1 })
 conversationSchema.index({ isGroup: 1 })
 
+export const MAX_PINNED_MESSAGES = 10
+
+// Các mức thời gian tự hủy cho phép: 1 giờ, 24 giờ, 7 ngày
+export const DISAPPEARING_MESSAGE_DURATIONS = [60 * 60, 24 * 60 * 60, 7 * 24 * 60 * 60]
+
 export const Message = mongoose.model("Message", messageSchema)
 export const Conversation = mongoose.model("Conversation", conversationSchema)
 
@@ -191,6 +313,133 @@ export const updateConversationLastMessage = async (conversationId, messageId) =
   }
 }
 
+// duration (giây) phải thuộc DISAPPEARING_MESSAGE_DURATIONS, null để tắt
+export const updateConversationDisappearingDuration = async (conversationId, duration) => {
+  try {
+    if (duration !== null && !DISAPPEARING_MESSAGE_DURATIONS.includes(duration)) {
+      throw new Error("Invalid disappearing message duration")
+    }
+
+    return await Conversation.findOneAndUpdate(
+      { conversationId },
+      { $set: { disappearingDuration: duration } },
+      { new: true },
+    )
+  } catch (error) {
+    console.error("Error updating disappearing message duration:", error)
+    throw error
+  }
+}
+
+// Ghim tin nhắn (kiểm tra trùng và giới hạn trong cùng một lệnh cập nhật để tránh ghim đồng thời vượt giới hạn)
+export const pinConversationMessage = async (conversationId, messageId, userId) => {
+  try {
+    const pin = { messageId, pinnedBy: userId, pinnedAt: new Date() }
+    const conversation = await Conversation.findOneAndUpdate(
+      {
+        conversationId,
+        "pinnedMessages.messageId": { $ne: messageId },
+        [`pinnedMessages.${MAX_PINNED_MESSAGES - 1}`]: { $exists: false },
+      },
+      { $push: { pinnedMessages: pin } },
+      { new: true },
+    )
+
+    if (!conversation) {
+      const existing = await getConversationById(conversationId)
+      if (!existing) {
+        throw new Error("Conversation not found")
+      }
+      if (existing.pinnedMessages.some((pinned) => pinned.messageId === messageId)) {
+        throw new Error("Message is already pinned")
+      }
+      throw new Error(`You can pin at most ${MAX_PINNED_MESSAGES} messages`)
+    }
+
+    return pin
+  } catch (error) {
+    console.error("Error pinning message:", error)
+    throw error
+  }
+}
+
+export const unpinConversationMessage = async (conversationId, messageId) => {
+  try {
+    const conversation = await Conversation.findOneAndUpdate(
+      { conversationId, "pinnedMessages.messageId": messageId },
+      { $pull: { pinnedMessages: { messageId } } },
+      { new: true },
+    )
+
+    if (!conversation) {
+      throw new Error("Message is not pinned")
+    }
+
+    return conversation
+  } catch (error) {
+    console.error("Error unpinning message:", error)
+    throw error
+  }
+}
+
+// Thời điểm hết hạn cho tin nhắn mới theo cài đặt hiện tại của cuộc trò chuyện
+const getMessageExpiresAt = (conversation) => {
+  if (!conversation.disappearingDuration) {
+    return null
+  }
+  return new Date(Date.now() + conversation.disappearingDuration * 1000)
+}
+
+// Điều kiện truy vấn: tin chưa hết hạn (không tự hủy hoặc chưa tới hạn), tin hết hạn chờ worker dọn
+const notExpired = (now = new Date()) => ({ $not: { $lte: now } })
+
+// Cộng tin mới vào số chưa đọc của người nhận. Người nhận chưa có trạng thái (dữ liệu cũ) được khởi tạo
+// bằng số chưa đọc thật trước, nếu không upsert sẽ tạo trạng thái với số chưa đọc là 1 và không seed lại được nữa
+const incrementRecipientUnreadCounts = async (conversationId, recipientIds) => {
+  if (recipientIds.length === 0) {
+    return
+  }
+
+  const states = await getConversationStatesByUserIds(conversationId, recipientIds)
+  const missingIds = recipientIds.filter((userId) => !states.has(userId))
+
+  await Promise.all(
+    missingIds.map(async (userId) => {
+      const counts = await getUnreadCountsByConversation(userId, [conversationId])
+      // Số đếm đã gồm tin vừa lưu, tin này sẽ được cộng ở incrementUnreadCounts
+      const unreadCount = Math.max((counts.get(conversationId) || 0) - 1, 0)
+      await seedConversationStates(userId, new Map([[conversationId, unreadCount]]))
+    }),
+  )
+
+  await incrementUnreadCounts(conversationId, recipientIds)
+}
+
+export const getMessageByClientMessageId = async (senderId, clientMessageId) => {
+  try {
+    return await Message.findOne({ senderId, clientMessageId })
+  } catch (error) {
+    console.error("Error getting message by client message ID:", error)
+    throw error
+  }
+}
+
+// Lưu tin nhắn mới; nếu client gửi lại đồng thời cùng clientMessageId thì trả về tin nhắn đã lưu
+const saveNewMessage = async (message) => {
+  try {
+    await message.save()
+    return { message, isDuplicate: false }
+  } catch (error) {
+    if (error.code === 11000 && message.clientMessageId) {
+      const existingMessage = await getMessageByClientMessageId(message.senderId, message.clientMessageId)
+      if (existingMessage) {
+        return { message: existingMessage, isDuplicate: true }
+      }
+    }
+    throw error
+  }
+}
+
 export const createMessage = async (
   conversationId,
   senderId,
@@ -220,11 +469,13 @@ export const createMessage = async (
       type,
       content,
       attachments,
+      expiresAt: getMessageExpiresAt(conversation),
     }
 
     // Nếu là tin nhắn trả lời
     if (options.replyTo) {
       messageData.replyTo = options.replyTo
+      messageData.threadRootId = options.threadRootId || options.replyTo
     }
 
     // Nếu là tin nhắn có đề cập
@@ -237,17 +488,38 @@ export const createMessage = async (
       messageData.receiverId = receiverId
     }
 
-    const message = new Message(messageData)
+    if (options.clientMessageId) {
+      messageData.clientMessageId = options.clientMessageId
+    }
+
+    if (type === "poll" && options.poll) {
+      messageData.poll = options.poll
+    }
 
-    await message.save()
+    const saved = await saveNewMessage(new Message(messageData))
+    const message = saved.message
+    if (saved.isDuplicate) {
+      return message
+    }
 
     await updateConversationLastMessage(conversationId, message.messageId)
+    await incrementRecipientUnreadCounts(conversationId, conversation.participants.filter((id) => id !== senderId))
+
+    if (message.threadRootId) {
+      await Message.updateOne(
+        { messageId: message.threadRootId, conversationId },
+        { $inc: { replyCount: 1 }, $max: { lastReplyAt: message.createdAt } },
+      )
+    }
 
     // Cập nhật tương tác cuối cùng giữa bạn bè (chỉ cho chat 1-1)
     if (!conversation.isGroup && receiverId) {
       await updateFriendshipLastInteraction(senderId, receiverId)
     }
 
+    // Thông báo đẩy cho người nhận đang offline, không chờ gửi xong
+    notifyNewMessage(message, conversation)
+
     return message
   } catch (error) {
     console.error("Error creating message:", error)
@@ -264,6 +536,20 @@ export const getMessageById = async (messageId) => {
   }
 }
 
+// Lấy nhiều tin nhắn trong một truy vấn
+export const getMessagesByIds = async (messageIds) => {
+  try {
+    const uniqueIds = [...new Set(messageIds.filter(Boolean))]
+    if (uniqueIds.length === 0) {
+      return []
+    }
+    return await Message.find({ messageId: { $in: uniqueIds } })
+  } catch (error) {
+    console.error("Error getting messages by IDs:", error)
+    throw error
+  }
+}
+
 export const getConversationMessages = async (conversationId, limit = 50, before = null) => {
   try {
     const query = { conversationId }
@@ -279,6 +565,196 @@ export const getConversationMessages = async (conversationId, limit = 50, before
   }
 }
 
+// Cursor dạng opaque: base64 của createdAt + messageId
+export const encodeMessageCursor = (message) => {
+  if (!message) {
+    return null
+  }
+
+  const payload = JSON.stringify({
+    createdAt: new Date(message.createdAt).toISOString(),
+    messageId: message.messageId,
+  })
+
+  return Buffer.from(payload).toString("base64url")
+}
+
+export const decodeMessageCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"))
+    const createdAt = new Date(payload.createdAt)
+
+    if (!payload.messageId || Number.isNaN(createdAt.getTime())) {
+      throw new Error()
+    }
+
+    return { createdAt, messageId: payload.messageId }
+  } catch (error) {
+    throw new Error("Invalid cursor")
+  }
+}
+
+// Tìm kiếm nội dung tin nhắn trong các cuộc trò chuyện của người dùng
+export const searchMessages = async (userId, searchText, filters = {}, limit = 20, cursor = null) => {
+  try {
+    const conversations = await Conversation.find({ participants: userId }, { conversationId: 1 })
+    let conversationIds = conversations.map((conv) => conv.conversationId)
+
+    if (filters.conversationId) {
+      conversationIds = conversationIds.filter((id) => id === filters.conversationId)
+    }
+
+    if (conversationIds.length === 0) {
+      return { messages: [], nextCursor: null, hasMore: false }
+    }
+
+    const query = {
+      $text: { $search: searchText },
+      conversationId: { $in: conversationIds },
+      "deletedBy.userId": { $ne: userId },
+      isRecalled: false,
+      type: { $nin: ["recalled", "deleted", "system"] },
+      expiresAt: notExpired(),
+    }
+
+    if (filters.senderId) {
+      query.senderId = filters.senderId
+    }
+
+    if (filters.type) {
+      query.type = filters.type
+    }
+
+    if (filters.from || filters.to) {
+      query.createdAt = {}
+      if (filters.from) query.createdAt.$gte = new Date(filters.from)
+      if (filters.to) query.createdAt.$lte = new Date(filters.to)
+    }
+
+    if (cursor) {
+      const { createdAt, messageId } = decodeMessageCursor(cursor)
+      query.$or = [{ createdAt: { $lt: createdAt } }, { createdAt, messageId: { $lt: messageId } }]
+    }
+
+    const messages = await Message.find(query)
+      .sort({ createdAt: -1, messageId: -1 })
+      .limit(limit + 1)
+
+    const hasMore = messages.length > limit
+    const page = hasMore ? messages.slice(0, limit) : messages
+
+    return {
+      messages: page,
+      nextCursor: hasMore ? encodeMessageCursor(page[page.length - 1]) : null,
+      hasMore,
+    }
+  } catch (error) {
+    console.error("Error searching messages:", error)
+    throw error
+  }
+}
+
+// Điều kiện vị trí so với mốc (createdAt, messageId làm tiebreak)
+const buildPositionQuery = (anchor, operator) => {
+  if (!anchor.messageId) {
+    return { createdAt: { [operator]: anchor.createdAt } }
+  }
+
+  return {
+    $or: [
+      { createdAt: { [operator]: anchor.createdAt } },
+      { createdAt: anchor.createdAt, messageId: { [operator]: anchor.messageId } },
+    ],
+  }
+}
+
+const findOlderMessages = (conversationId, anchor, limit) => {
+  const query = anchor ? { conversationId, ...buildPositionQuery(anchor, "$lt") } : { conversationId }
+  return Message.find(query).sort({ createdAt: -1, messageId: -1 }).limit(limit + 1)
+}
+
+const findNewerMessages = (conversationId, anchor, limit) => {
+  const query = anchor ? { conversationId, ...buildPositionQuery(anchor, "$gt") } : { conversationId }
+  return Message.find(query).sort({ createdAt: 1, messageId: 1 }).limit(limit + 1)
+}
+
+const hasMessagesBeyond = async (conversationId, anchor, operator) => {
+  if (!anchor) {
+    return false
+  }
+  return !!(await Message.exists({ conversationId, ...buildPositionQuery(anchor, operator) }))
+}
+
+// Phân trang tin nhắn hai chiều: before/after (thời gian), cursor hoặc around=<messageId>
+// Kết quả luôn sắp xếp từ mới đến cũ giống getConversationMessages
+export const getConversationMessagesPage = async (conversationId, options = {}) => {
+  try {
+    const { limit = 50, before = null, after = null, around = null, cursor = null, direction = "before" } = options
+
+    let messages = []
+    let hasMoreBefore = false
+    let hasMoreAfter = false
+
+    if (around) {
+      const target = await Message.findOne({ conversationId, messageId: around })
+      if (!target) {
+        throw new Error("Message not found")
+      }
+
+      const olderLimit = Math.floor((limit - 1) / 2)
+      const newerLimit = Math.max(limit - 1 - olderLimit, 0)
+      const [older, newer] = await Promise.all([
+        findOlderMessages(conversationId, target, olderLimit),
+        findNewerMessages(conversationId, target, newerLimit),
+      ])
+
+      hasMoreBefore = older.length > olderLimit
+      hasMoreAfter = newer.length > newerLimit
+      messages = [...newer.slice(0, newerLimit).reverse(), target, ...older.slice(0, olderLimit)]
+    } else {
+      let anchor = null
+      let loadNewer = false
+
+      if (cursor) {
+        anchor = decodeMessageCursor(cursor)
+        loadNewer = direction === "after"
+      } else if (after) {
+        anchor = { createdAt: new Date(after), messageId: null }
+        loadNewer = true
+      } else if (before) {
+        anchor = { createdAt: new Date(before), messageId: null }
+      }
+
+      if (loadNewer) {
+        const newer = await findNewerMessages(conversationId, anchor, limit)
+        hasMoreAfter = newer.length > limit
+        messages = newer.slice(0, limit).reverse()
+        const oldest = messages.length > 0 ? messages[messages.length - 1] : anchor
+        hasMoreBefore = await hasMessagesBeyond(conversationId, oldest, "$lt")
+      } else {
+        const older = await findOlderMessages(conversationId, anchor, limit)
+        hasMoreBefore = older.length > limit
+        messages = older.slice(0, limit)
+        const newest = messages.length > 0 ? messages[0] : anchor
+        hasMoreAfter = anchor ? await hasMessagesBeyond(conversationId, newest, "$gt") : false
+      }
+    }
+
+    return {
+      messages,
+      hasMoreBefore,
+      hasMoreAfter,
+      cursors: {
+        before: messages.length > 0 ? encodeMessageCursor(messages[messages.length - 1]) : null,
+        after: messages.length > 0 ? encodeMessageCursor(messages[0]) : null,
+      },
+    }
+  } catch (error) {
+    console.error("Error getting conversation messages page:", error)
+    throw error
+  }
+}
+
 export const markMessageAsRead = async (messageId, userId) => {
   try {
     // Kiểm tra xem người dùng đã đọc tin nhắn chưa
@@ -291,7 +767,7 @@ export const markMessageAsRead = async (messageId, userId) => {
       return null // Tin nhắn không tồn tại hoặc đã được đọc
     }
 
-    return await Message.findOneAndUpdate(
+    const updatedMessage = await Message.findOneAndUpdate(
       { messageId },
       {
         $push: { readBy: { userId, readAt: new Date() } },
@@ -299,14 +775,55 @@ export const markMessageAsRead = async (messageId, userId) => {
       },
       { new: true },
     )
+
+    await decrementUnreadCounts(message.conversationId, [userId])
+
+    return updatedMessage
   } catch (error) {
     console.error("Error marking message as read:", error)
     throw error
   }
 }
 
+// Đánh dấu đã nhận cho các tin nhắn khớp filter mà người dùng chưa nhận và chưa đọc (đã đọc thì coi như đã nhận).
+// Trả về các tin nhắn vừa được đánh dấu để báo lại cho người gửi
+export const markMessagesAsDelivered = async (userId, filter, limit = 500) => {
+  try {
+    // Giới hạn số tin mỗi lần (mới nhất trước) để không quét toàn bộ lịch sử
+    const pendingMessages = await Message.find({
+      ...filter,
+      senderId: { $nin: [userId, "system"] },
+      "deliveredTo.userId": { $ne: userId },
+      "readBy.userId": { $ne: userId },
+    })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select("messageId conversationId senderId")
+
+    if (pendingMessages.length === 0) {
+      return []
+    }
+
+    await Message.updateMany(
+      {
+        messageId: { $in: pendingMessages.map((message) => message.messageId) },
+        "deliveredTo.userId": { $ne: userId },
+      },
+      { $push: { deliveredTo: { userId, deliveredAt: new Date() } } },
+    )
+
+    return pendingMessages
+  } catch (error) {
+    console.error("Error marking messages as delivered:", error)
+    throw error
+  }
+}
+
 export const markConversationAsRead = async (conversationId, userId) => {
   try {
+    const conversation = await getConversationById(conversationId)
+    await resetUnreadCount(conversationId, userId, conversation ? conversation.lastMessageId : null)
+
     return await Message.updateMany(
       {
         conversationId,
@@ -324,6 +841,38 @@ export const markConversationAsRead = async (conversationId, userId) => {
   }
 }
 
+// Đánh dấu đã đọc mọi tin nhắn tới (và gồm) messageId, rồi tính lại số chưa đọc còn lại
+export const markMessagesAsReadUpTo = async (conversationId, userId, messageId) => {
+  try {
+    const target = await Message.findOne({ conversationId, messageId })
+    if (!target) {
+      throw new Error("Message not found")
+    }
+
+    const readAt = new Date()
+    const result = await Message.updateMany(
+      {
+        conversationId,
+        createdAt: { $lte: target.createdAt },
+        senderId: { $ne: userId },
+        "readBy.userId": { $ne: userId },
+      },
+      {
+        $push: { readBy: { userId, readAt } },
+        $set: { readAt }, // Giữ lại để tương thích ngược
+      },
+    )
+
+    const unreadCounts = await getUnreadCountsByConversation(userId, [conversationId])
+    await setUnreadCount(conversationId, userId, unreadCounts.get(conversationId) || 0, messageId)
+
+    return { modifiedCount: result.modifiedCount, readAt }
+  } catch (error) {
+    console.error("Error marking messages as read:", error)
+    throw error
+  }
+}
+
 export const deleteMessage = async (messageId, userId) => {
   try {
     const message = await Message.findOne({ messageId })
@@ -369,7 +918,7 @@ export const recallMessage = async (messageId, userId) => {
       throw new Error("Messages can only be recalled within 1 hour of sending")
     }
 
-    return await Message.findOneAndUpdate(
+    const recalledMessage = await Message.findOneAndUpdate(
       { messageId },
       {
         isRecalled: true,
@@ -379,13 +928,197 @@ export const recallMessage = async (messageId, userId) => {
       },
       { new: true },
     )
+
+    // Tin nhắn bị thu hồi không còn được ghim và bị ẩn khỏi danh sách tin đã lưu
+    await Conversation.updateOne(
+      { conversationId: message.conversationId },
+      { $pull: { pinnedMessages: { messageId } } },
+    )
+    await hideSavedMessages(messageId)
+
+    // Tin nhắn bị thu hồi không còn tính là chưa đọc
+    const conversation = await getConversationById(message.conversationId)
+    if (conversation) {
+      const readerIds = message.readBy.map((read) => read.userId)
+      await decrementUnreadCounts(
+        message.conversationId,
+        conversation.participants.filter((id) => id !== userId && !readerIds.includes(id)),
+      )
+    }
+
+    return recalledMessage
   } catch (error) {
     console.error("Error recalling message:", error)
     throw error
   }
 }
 
-export const forwardMessage = async (originalMessageId, conversationId, senderId, receiverId = null) => {
+// Xóa hẳn một lô tin nhắn đã hết hạn, cập nhật số chưa đọc và tin nhắn cuối của các cuộc trò chuyện liên quan.
+// Trả về các tin đã xóa, URL tệp đính kèm không còn tin nhắn nào khác dùng (tin chuyển tiếp dùng chung tệp)
+// và các tin bị bỏ ghim theo từng cuộc trò chuyện
+export const deleteExpiredMessages = async (now = new Date(), limit = 100) => {
+  try {
+    const messages = await Message.find({ expiresAt: { $ne: null, $lte: now } })
+      .sort({ expiresAt: 1 })
+      .limit(limit)
+    if (messages.length === 0) {
+      return { messages: [], orphanedAttachmentUrls: [], unpinnedMessageIds: new Map() }
+    }
+
+    const messageIds = messages.map((message) => message.messageId)
+    await Message.deleteMany({ messageId: { $in: messageIds } })
+    await deleteSavedMessagesByMessageIds(messageIds)
+
+    // Tin trả lời bị xóa không còn tính vào số trả lời của tin gốc
+    const removedReplies = new Map()
+    messages
+      .filter((message) => message.threadRootId && !messageIds.includes(message.threadRootId))
+      .forEach((message) => {
+        removedReplies.set(message.threadRootId, (removedReplies.get(message.threadRootId) || 0) + 1)
+      })
+    if (removedReplies.size > 0) {
+      await Message.bulkWrite(
+        [...removedReplies].map(([rootMessageId, count]) => ({
+          updateOne: { filter: { messageId: rootMessageId }, update: { $inc: { replyCount: -count } } },
+        })),
+        { ordered: false },
+      )
+    }
+
+    const conversationIds = [...new Set(messages.map((message) => message.conversationId))]
+    const conversations = await Conversation.find({ conversationId: { $in: conversationIds } })
+    const unpinnedMessageIds = new Map()
+
+    for (const conversation of conversations) {
+      const conversationMessages = messages.filter(
+        (message) => message.conversationId === conversation.conversationId,
+      )
+
+      // Tin chưa đọc (cùng điều kiện với getUnreadCountsByConversation) không còn tính nữa
+      const unreadCounts = new Map()
+      conversationMessages
+        .filter((message) => !message.isDeleted && !message.isRecalled)
+        .forEach((message) => {
+          const readerIds = message.readBy.map((read) => read.userId)
+          conversation.participants
+            .filter((id) => id !== message.senderId && !readerIds.includes(id))
+            .forEach((id) => unreadCounts.set(id, (unreadCounts.get(id) || 0) + 1))
+        })
+      await subtractUnreadCounts(conversation.conversationId, unreadCounts)
+
+      const pinnedIds = conversation.pinnedMessages
+        .map((pinned) => pinned.messageId)
+        .filter((messageId) => messageIds.includes(messageId))
+      if (pinnedIds.length > 0) {
+        await Conversation.updateOne(
+          { conversationId: conversation.conversationId },
+          { $pull: { pinnedMessages: { messageId: { $in: pinnedIds } } } },
+        )
+        unpinnedMessageIds.set(conversation.conversationId, pinnedIds)
+      }
+
+      if (messageIds.includes(conversation.lastMessageId)) {
+        const lastMessage = await Message.findOne({ conversationId: conversation.conversationId }).sort({
+          createdAt: -1,
+        })
+        await Conversation.updateOne(
+          { conversationId: conversation.conversationId },
+          { $set: { lastMessageId: lastMessage ? lastMessage.messageId : null } },
+        )
+      }
+    }
+
+    const attachmentUrls = [
+      ...new Set(messages.flatMap((message) => message.attachments.map((attachment) => attachment.url))),
+    ].filter(Boolean)
+    const usedUrls =
+      attachmentUrls.length > 0
+        ? await Message.distinct("attachments.url", { "attachments.url": { $in: attachmentUrls } })
+        : []
+
+    return {
+      messages,
+      orphanedAttachmentUrls: attachmentUrls.filter((url) => !usedUrls.includes(url)),
+      unpinnedMessageIds,
+    }
+  } catch (error) {
+    console.error("Error deleting expired messages:", error)
+    throw error
+  }
+}
+
+// Thời gian cho phép sửa tin nhắn (phút), có thể cấu hình qua MESSAGE_EDIT_WINDOW_MINUTES
+export const getMessageEditWindowMinutes = () => {
+  const minutes = Number.parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES, 10)
+  return Number.isNaN(minutes) || minutes <= 0 ? 60 : minutes
+}
+
+export const editMessage = async (messageId, userId, content, mentions = []) => {
+  try {
+    const message = await Message.findOne({ messageId })
+
+    // Tin đã bị người gửi xóa thì không sửa được nữa
+    if (!message || message.isDeleted) {
+      throw new Error("Message not found")
+    }
+
+    if (message.senderId !== userId) {
+      throw new Error("You can only edit your own messages")
+    }
+
+    if (message.type !== "text" || message.isRecalled) {
+      throw new Error("Only text messages can be edited")
+    }
+
+    const windowMinutes = getMessageEditWindowMinutes()
+    const messageTime = new Date(message.createdAt).getTime()
+    const currentTime = new Date().getTime()
+
+    if (currentTime - messageTime > windowMinutes * 60 * 1000) {
+      throw new Error(`Messages can only be edited within ${windowMinutes} minutes of sending`)
+    }
+
+    const editedAt = new Date()
+
+    const editedMessage = await Message.findOneAndUpdate(
+      { messageId, isDeleted: false, isRecalled: false },
+      {
+        $push: {
+          editHistory: {
+            content: message.content,
+            mentions: message.mentions,
+            editedAt,
+          },
+        },
+        $set: {
+          content,
+          mentions,
+          isEdited: true,
+          editedAt,
+        },
+      },
+      { new: true },
+    )
+
+    // Tin bị xóa / thu hồi giữa lúc kiểm tra và cập nhật
+    if (!editedMessage) {
+      throw new Error("Message not found")
+    }
+
+    return editedMessage
+  } catch (error) {
+    console.error("Error editing message:", error)
+    throw error
+  }
+}
+
+export const forwardMessage = async (
+  originalMessageId,
+  conversationId,
+  senderId,
+  receiverId = null,
+  options = {},
+) => {
   try {
     const originalMessage = await Message.findOne({ messageId: originalMessageId })
 
@@ -397,6 +1130,11 @@ export const forwardMessage = async (originalMessageId, conversationId, senderId
       throw new Error("Cannot forward a deleted or recalled message")
     }
 
+    // Bình chọn gắn với nhóm gốc nên không chuyển tiếp được
+    if (originalMessage.type === "poll") {
+      throw new Error("Polls cannot be forwarded")
+    }
+
     const conversation = await getConversationById(conversationId)
     if (!conversation) {
       throw new Error("Conversation not found")
@@ -410,17 +1148,25 @@ export const forwardMessage = async (originalMessageId, conversationId, senderId
       content: originalMessage.content,
       attachments: originalMessage.attachments,
       forwardedFrom: originalMessage.messageId,
+      clientMessageId: options.clientMessageId || null,
+      expiresAt: getMessageExpiresAt(conversation),
     })
 
-    await newMessage.save()
+    const saved = await saveNewMessage(newMessage)
+    if (saved.isDuplicate) {
+      return saved.message
+    }
 
     await updateConversationLastMessage(conversationId, newMessage.messageId)
+    await incrementRecipientUnreadCounts(conversationId, conversation.participants.filter((id) => id !== senderId))
 
     // Cập nhật tương tác cuối cùng giữa bạn bè (chỉ cho chat 1-1)
     if (!conversation.isGroup && receiverId) {
       await updateFriendshipLastInteraction(senderId, receiverId)
     }
 
+    notifyNewMessage(newMessage, conversation)
+
     return newMessage
   } catch (error) {
     console.error("Error forwarding message:", error)
@@ -453,6 +1199,84 @@ export const getUnreadMessageCount = async (userId, conversationId = null) => {
   }
 }
 
+// Đếm tin nhắn chưa đọc cho nhiều cuộc trò chuyện bằng một aggregation
+export const getUnreadCountsByConversation = async (userId, conversationIds) => {
+  try {
+    const counts = new Map()
+    if (conversationIds.length === 0) {
+      return counts
+    }
+
+    const results = await Message.aggregate([
+      {
+        $match: {
+          conversationId: { $in: conversationIds },
+          senderId: { $ne: userId },
+          "readBy.userId": { $ne: userId },
+          isDeleted: false,
+          isRecalled: false,
+        },
+      },
+      { $group: { _id: "$conversationId", count: { $sum: 1 } } },
+    ])
+
+    results.forEach((result) => counts.set(result._id, result.count))
+    return counts
+  } catch (error) {
+    console.error("Error getting unread counts by conversation:", error)
+    throw error
+  }
+}
+
+// Tin nhắn chưa đọc tạo sau since, gom theo cuộc trò chuyện (cùng điều kiện với getUnreadMessageCount)
+// kèm vài tin mới nhất để hiển thị trích đoạn
+export const getUnreadMessagesSince = async (userId, conversationIds, since, previewLimit = 3) => {
+  try {
+    if (conversationIds.length === 0) {
+      return []
+    }
+
+    return await Message.aggregate([
+      {
+        $match: {
+          conversationId: { $in: conversationIds },
+          senderId: { $nin: [userId, "system"] },
+          "readBy.userId": { $ne: userId },
+          "deletedBy.userId": { $ne: userId },
+          isDeleted: false,
+          isRecalled: false,
+          expiresAt: notExpired(),
+          createdAt: { $gt: since },
+        },
+      },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: "$conversationId",
+          unreadCount: { $sum: 1 },
+          lastMessageAt: { $first: "$createdAt" },
+          messages: {
+            $push: { messageId: "$messageId", senderId: "$senderId", type: "$type", content: "$content" },
+          },
+        },
+      },
+      { $sort: { lastMessageAt: -1 } },
+      {
+        $project: {
+          _id: 0,
+          conversationId: "$_id",
+          unreadCount: 1,
+          lastMessageAt: 1,
+          messages: { $slice: ["$messages", previewLimit] },
+        },
+      },
+    ])
+  } catch (error) {
+    console.error("Error getting unread messages since:", error)
+    throw error
+  }
+}
+
 // Tạo tin nhắn hệ thống trong nhóm
 export const createSystemMessage = async (conversationId, content) => {
   try {
@@ -466,6 +1290,11 @@ export const createSystemMessage = async (conversationId, content) => {
     await message.save()
     await updateConversationLastMessage(conversationId, message.messageId)
 
+    const conversation = await getConversationById(conversationId)
+    if (conversation) {
+      await incrementRecipientUnreadCounts(conversationId, conversation.participants)
+    }
+
     return message
   } catch (error) {
     console.error("Error creating system message:", error)
@@ -473,6 +1302,79 @@ export const createSystemMessage = async (conversationId, content) => {
   }
 }
 
+// Giới hạn độ sâu khi duyệt chuỗi trả lời
+const MAX_THREAD_DEPTH = 100
+
+// Tin gốc của chuỗi chứa message. Tin trả lời cũ chưa có threadRootId thì lần ngược theo replyTo;
+// nếu tin gốc đã bị xóa hẳn thì lấy tin xa nhất còn tồn tại
+export const getThreadRootId = async (message) => {
+  try {
+    if (!message.replyTo) {
+      return message.messageId
+    }
+    const { conversationId } = message
+    if (message.threadRootId && (await Message.exists({ messageId: message.threadRootId, conversationId }))) {
+      return message.threadRootId
+    }
+
+    const [result] = await Message.aggregate([
+      { $match: { messageId: message.messageId } },
+      {
+        $graphLookup: {
+          from: Message.collection.name,
+          startWith: "$replyTo",
+          connectFromField: "replyTo",
+          connectToField: "messageId",
+          as: "ancestors",
+          maxDepth: MAX_THREAD_DEPTH,
+          depthField: "depth",
+          restrictSearchWithMatch: { conversationId },
+        },
+      },
+      { $project: { ancestors: { messageId: 1, depth: 1 } } },
+    ])
+
+    const ancestors = result ? result.ancestors : []
+    if (ancestors.length === 0) {
+      return message.messageId
+    }
+    return ancestors.reduce((root, ancestor) => (ancestor.depth > root.depth ? ancestor : root)).messageId
+  } catch (error) {
+    console.error("Error getting thread root:", error)
+    throw error
+  }
+}
+
+// Toàn bộ tin trả lời (mọi cấp) của một tin gốc trong cùng cuộc trò chuyện, cũ nhất trước
+export const getThreadReplies = async (conversationId, rootMessageId) => {
+  try {
+    const [result] = await Message.aggregate([
+      { $match: { messageId: rootMessageId, conversationId } },
+      {
+        $graphLookup: {
+          from: Message.collection.name,
+          startWith: "$messageId",
+          connectFromField: "messageId",
+          connectToField: "replyTo",
+          as: "replies",
+          maxDepth: MAX_THREAD_DEPTH,
+          restrictSearchWithMatch: { conversationId },
+        },
+      },
+      { $project: { "replies.messageId": 1 } },
+    ])
+
+    const replyIds = result ? result.replies.map((reply) => reply.messageId) : []
+    if (replyIds.length === 0) {
+      return []
+    }
+    return await Message.find({ messageId: { $in: replyIds }, conversationId }).sort({ createdAt: 1 })
+  } catch (error) {
+    console.error("Error getting thread replies:", error)
+    throw error
+  }
+}
+
 // Tạo tin nhắn trả lời
 export const createReplyMessage = async (
   conversationId,
@@ -481,10 +1383,12 @@ export const createReplyMessage = async (
   content,
   type = "text",
   attachments = [],
+  options = {},
 ) => {
   try {
+    // Chỉ được trả lời tin trong cùng cuộc trò chuyện
     const replyToMessage = await Message.findOne({ messageId: replyToMessageId })
-    if (!replyToMessage) {
+    if (!replyToMessage || replyToMessage.conversationId !== conversationId) {
       throw new Error("Original message not found")
     }
 
@@ -499,7 +1403,9 @@ export const createReplyMessage = async (
     }
 
     return await createMessage(conversationId, senderId, receiverId, type, content, attachments, {
+      ...options,
       replyTo: replyToMessageId,
+      threadRootId: await getThreadRootId(replyToMessage),
     })
   } catch (error) {
     console.error("Error creating reply message:", error)
@@ -515,6 +1421,7 @@ export const createMessageWithMentions = async (
   mentions,
   type = "text",
   attachments = [],
+  options = {},
 ) => {
   try {
     const conversation = await getConversationById(conversationId)
@@ -528,6 +1435,7 @@ export const createMessageWithMentions = async (
     }
 
     return await createMessage(conversationId, senderId, receiverId, type, content, attachments, {
+      ...options,
       mentions,
     })
   } catch (error) {
@@ -535,3 +1443,227 @@ export const createMessageWithMentions = async (
     throw error
   }
 }
+
+// Gom nhóm reaction theo emoji để trả về cho client
+export const summarizeReactions = (reactions = [], currentUserId = null) => {
+  const summary = new Map()
+
+  reactions.forEach((reaction) => {
+    if (!reaction || !reaction.emoji) {
+      return
+    }
+
+    if (!summary.has(reaction.emoji)) {
+      summary.set(reaction.emoji, { emoji: reaction.emoji, count: 0, userIds: [], reactedByMe: false })
+    }
+
+    const entry = summary.get(reaction.emoji)
+    entry.count += 1
+    entry.userIds.push(reaction.userId)
+    if (currentUserId && String(reaction.userId) === String(currentUserId)) {
+      entry.reactedByMe = true
+    }
+  })
+
+  return Array.from(summary.values()).sort((a, b) => b.count - a.count)
+}
+
+export const isPollClosed = (poll, now = new Date()) => {
+  return !!poll.closedAt || (!!poll.closesAt && poll.closesAt <= now)
+}
+
+// Kết quả bình chọn; bình chọn ẩn danh chỉ trả về số phiếu và lựa chọn của chính người xem
+export const summarizePoll = (poll, currentUserId = null) => {
+  if (!poll) {
+    return null
+  }
+
+  const voterIds = new Set(poll.options.flatMap((option) => option.voterIds))
+  return {
+    question: poll.question,
+    options: poll.options.map((option) => ({
+      optionId: option.optionId,
+      text: option.text,
+      voteCount: option.voterIds.length,
+      voterIds: poll.isAnonymous ? [] : option.voterIds,
+      votedByMe: !!currentUserId && option.voterIds.includes(currentUserId),
+    })),
+    totalVoters: voterIds.size,
+    allowMultiple: poll.allowMultiple,
+    isAnonymous: poll.isAnonymous,
+    closesAt: poll.closesAt,
+    closedAt: poll.closedAt,
+    closedBy: poll.closedBy,
+    isClosed: isPollClosed(poll),
+  }
+}
+
+// Điều kiện chung: tin là bình chọn còn mở (tin đã thu hồi / đã xóa thì không bỏ phiếu được nữa)
+const buildOpenPollQuery = (messageId, now) => ({
+  messageId,
+  type: "poll",
+  isDeleted: false,
+  isRecalled: false,
+  "poll.closedAt": null,
+  $or: [{ "poll.closesAt": null }, { "poll.closesAt": { $gt: now } }],
+})
+
+// Lỗi khi cập nhật không khớp bình chọn còn mở
+const getPollUpdateError = async (messageId) => {
+  const message = await Message.findOne({ messageId })
+  if (!message || message.type !== "poll" || !message.poll || message.isDeleted || message.isRecalled) {
+    return new Error("Poll not found")
+  }
+  return new Error("Poll is closed")
+}
+
+// Bỏ phiếu: bình chọn một lựa chọn thì phiếu mới thay phiếu cũ, nhiều lựa chọn thì cộng thêm.
+// Cập nhật bằng pipeline để toàn bộ thay đổi phiếu của người dùng diễn ra trong một lệnh
+export const votePoll = async (messageId, userId, optionIds) => {
+  try {
+    const message = await Message.findOne({ messageId })
+    if (!message || message.type !== "poll" || !message.poll) {
+      throw new Error("Poll not found")
+    }
+
+    const selectedIds = [...new Set(optionIds)]
+    const validIds = message.poll.options.map((option) => option.optionId)
+    if (selectedIds.length === 0 || selectedIds.some((optionId) => !validIds.includes(optionId))) {
+      throw new Error("Invalid poll option")
+    }
+    if (!message.poll.allowMultiple && selectedIds.length > 1) {
+      throw new Error("You can only choose one option")
+    }
+
+    const isSelected = { $in: ["$$option.optionId", selectedIds] }
+    const addVoter = { $setUnion: ["$$option.voterIds", [userId]] }
+    const otherVoters = message.poll.allowMultiple
+      ? "$$option.voterIds"
+      : { $setDifference: ["$$option.voterIds", [userId]] }
+
+    const updated = await Message.findOneAndUpdate(
+      buildOpenPollQuery(messageId, new Date()),
+      [
+        {
+          $set: {
+            "poll.options": {
+              $map: {
+                input: "$poll.options",
+                as: "option",
+                in: { $mergeObjects: ["$$option", { voterIds: { $cond: [isSelected, addVoter, otherVoters] } }] },
+              },
+            },
+          },
+        },
+      ],
+      { new: true },
+    )
+
+    if (!updated) {
+      throw await getPollUpdateError(messageId)
+    }
+
+    return updated
+  } catch (error) {
+    console.error("Error voting in poll:", error)
+    throw error
+  }
+}
+
+// Rút phiếu khỏi các lựa chọn đã cho, hoặc khỏi tất cả nếu không truyền optionIds
+export const unvotePoll = async (messageId, userId, optionIds = null) => {
+  try {
+    const update = optionIds
+      ? { $pull: { "poll.options.$[option].voterIds": userId } }
+      : { $pull: { "poll.options.$[].voterIds": userId } }
+    const updateOptions = { new: true }
+    if (optionIds) {
+      updateOptions.arrayFilters = [{ "option.optionId": { $in: optionIds } }]
+    }
+
+    const updated = await Message.findOneAndUpdate(buildOpenPollQuery(messageId, new Date()), update, updateOptions)
+
+    if (!updated) {
+      throw await getPollUpdateError(messageId)
+    }
+
+    return updated
+  } catch (error) {
+    console.error("Error removing poll vote:", error)
+    throw error
+  }
+}
+
+export const closePoll = async (messageId, userId) => {
+  try {
+    const now = new Date()
+    const updated = await Message.findOneAndUpdate(
+      buildOpenPollQuery(messageId, now),
+      { $set: { "poll.closedAt": now, "poll.closedBy": userId } },
+      { new: true },
+    )
+
+    if (!updated) {
+      throw await getPollUpdateError(messageId)
+    }
+
+    return updated
+  } catch (error) {
+    console.error("Error closing poll:", error)
+    throw error
+  }
+}
+
+// Thả reaction vào tin nhắn (mỗi người chỉ thả một lần cho mỗi emoji)
+export const addReaction = async (messageId, userId, emoji) => {
+  try {
+    const message = await Message.findOne({ messageId })
+
+    if (!message) {
+      throw new Error("Message not found")
+    }
+
+    if (message.isRecalled || message.type === "system") {
+      throw new Error("Cannot react to this message")
+    }
+
+    const updatedMessage = await Message.findOneAndUpdate(
+      {
+        messageId,
+        reactions: { $not: { $elemMatch: { userId, emoji } } },
+      },
+      {
+        $push: { reactions: { userId, emoji, reactedAt: new Date() } },
+      },
+      { new: true },
+    )
+
+    // Người dùng đã thả emoji này rồi
+    return updatedMessage || message
+  } catch (error) {
+    console.error("Error adding reaction:", error)
+    throw error
+  }
+}
+
+// Gỡ reaction khỏi tin nhắn
+export const removeReaction = async (messageId, userId, emoji) => {
+  try {
+    const message = await Message.findOneAndUpdate(
+      { messageId },
+      {
+        $pull: { reactions: { userId, emoji } },
+      },
+      { new: true },
+    )
+
+    if (!message) {
+      throw new Error("Message not found")
+    }
+
+    return message
+  } catch (error) {
+    console.error("Error removing reaction:", error)
+    throw error
+  }
+}
@@ -0,0 +1,130 @@
+import mongoose from "mongoose"
+
+export const PRIVACY_AUDIENCES = {
+  EVERYONE: "everyone",
+  FRIENDS: "friends",
+  NOBODY: "nobody",
+}
+
+const audienceField = {
+  type: String,
+  enum: Object.values(PRIVACY_AUDIENCES),
+  default: PRIVACY_AUDIENCES.EVERYONE,
+}
+
+// Cài đặt quyền riêng tư của người dùng
+const privacySettingsSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      unique: true,
+      ref: "User",
+    },
+    // Ai được xem trạng thái trực tuyến và lần truy cập cuối
+    presenceVisibility: audienceField,
+    // Gửi xác nhận đã đọc cho người khác
+    readReceipts: {
+      type: Boolean,
+      default: true,
+    },
+    // Ai được tìm thấy mình qua email / tên trong tìm kiếm
+    findByEmail: audienceField,
+    findByName: audienceField,
+    // Ai được thêm mình vào nhóm
+    groupInvites: audienceField,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+export const PrivacySettings = mongoose.model("PrivacySettings", privacySettingsSchema)
+
+const AUDIENCE_FIELDS = ["presenceVisibility", "findByEmail", "findByName", "groupInvites"]
+
+export const DEFAULT_PRIVACY_SETTINGS = {
+  presenceVisibility: PRIVACY_AUDIENCES.EVERYONE,
+  readReceipts: true,
+  findByEmail: PRIVACY_AUDIENCES.EVERYONE,
+  findByName: PRIVACY_AUDIENCES.EVERYONE,
+  groupInvites: PRIVACY_AUDIENCES.EVERYONE,
+}
+
+const withDefaults = (userId, settings) => {
+  const result = { userId }
+  Object.keys(DEFAULT_PRIVACY_SETTINGS).forEach((key) => {
+    result[key] = settings && settings[key] !== undefined ? settings[key] : DEFAULT_PRIVACY_SETTINGS[key]
+  })
+  return result
+}
+
+// Kiểm tra người xem có thuộc nhóm đối tượng được phép không
+export const isAllowedForAudience = (audience, isFriend) => {
+  if (audience === PRIVACY_AUDIENCES.EVERYONE) {
+    return true
+  }
+  if (audience === PRIVACY_AUDIENCES.FRIENDS) {
+    return !!isFriend
+  }
+  return false
+}
+
+export const getPrivacySettings = async (userId) => {
+  try {
+    const settings = await PrivacySettings.findOne({ userId }).lean()
+    return withDefaults(userId, settings)
+  } catch (error) {
+    console.error("Error getting privacy settings:", error)
+    throw error
+  }
+}
+
+// Lấy cài đặt của nhiều người dùng, trả về Map theo userId (người chưa cài đặt dùng mặc định)
+export const getPrivacySettingsByUserIds = async (userIds) => {
+  try {
+    const uniqueIds = [...new Set(userIds.filter(Boolean))]
+    if (uniqueIds.length === 0) {
+      return new Map()
+    }
+
+    const settings = await PrivacySettings.find({ userId: { $in: uniqueIds } }).lean()
+    const settingsByUserId = new Map(settings.map((item) => [item.userId, item]))
+
+    return new Map(uniqueIds.map((userId) => [userId, withDefaults(userId, settingsByUserId.get(userId))]))
+  } catch (error) {
+    console.error("Error getting privacy settings by user IDs:", error)
+    throw error
+  }
+}
+
+export const updatePrivacySettings = async (userId, updateData) => {
+  try {
+    const updateFields = {}
+
+    Object.keys(updateData).forEach((key) => {
+      if (AUDIENCE_FIELDS.includes(key)) {
+        if (!Object.values(PRIVACY_AUDIENCES).includes(updateData[key])) {
+          throw new Error(`Invalid value for ${key}`)
+        }
+        updateFields[key] = updateData[key]
+      } else if (key === "readReceipts") {
+        if (typeof updateData[key] !== "boolean") {
+          throw new Error(`Invalid value for ${key}`)
+        }
+        updateFields[key] = updateData[key]
+      }
+    })
+
+    const settings = await PrivacySettings.findOneAndUpdate(
+      { userId },
+      { $set: updateFields },
+      { upsert: true, new: true },
+    ).lean()
+
+    return withDefaults(userId, settings)
+  } catch (error) {
+    console.error("Error updating privacy settings:", error)
+    throw error
+  }
+}
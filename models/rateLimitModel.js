@@ -0,0 +1,85 @@
+import mongoose from "mongoose"
+
+// Bộ đếm giới hạn tần suất dùng chung giữa các instance server
+const rateLimitSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    resetAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Tự động xóa bộ đếm khi hết cửa sổ thời gian
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 })
+
+export const RateLimit = mongoose.model("RateLimit", rateLimitSchema)
+
+export const incrementRateLimitCounter = async (key, windowMs) => {
+  try {
+    const now = new Date()
+
+    // TTL index của MongoDB không xóa ngay lập tức nên tự dọn bộ đếm đã hết hạn
+    await RateLimit.deleteOne({ key, resetAt: { $lte: now } })
+
+    try {
+      return await RateLimit.findOneAndUpdate(
+        { key },
+        { $inc: { count: 1 }, $setOnInsert: { resetAt: new Date(now.getTime() + windowMs) } },
+        { upsert: true, new: true },
+      ).lean()
+    } catch (error) {
+      // Hai request cùng upsert một key: thử lại một lần
+      if (error.code === 11000) {
+        return await RateLimit.findOneAndUpdate({ key }, { $inc: { count: 1 } }, { new: true }).lean()
+      }
+      throw error
+    }
+  } catch (error) {
+    console.error("Error incrementing rate limit counter:", error)
+    throw error
+  }
+}
+
+export const getRateLimitCounter = async (key) => {
+  try {
+    return await RateLimit.findOne({ key, resetAt: { $gt: new Date() } }).lean()
+  } catch (error) {
+    console.error("Error getting rate limit counter:", error)
+    throw error
+  }
+}
+
+export const setRateLimitCounter = async (key, count, ttlMs) => {
+  try {
+    return await RateLimit.findOneAndUpdate(
+      { key },
+      { $set: { count, resetAt: new Date(Date.now() + ttlMs) } },
+      { upsert: true, new: true },
+    ).lean()
+  } catch (error) {
+    console.error("Error setting rate limit counter:", error)
+    throw error
+  }
+}
+
+export const deleteRateLimitCounter = async (key) => {
+  try {
+    await RateLimit.deleteOne({ key })
+  } catch (error) {
+    console.error("Error deleting rate limit counter:", error)
+    throw error
+  }
+}
@@ -0,0 +1,84 @@
+import mongoose from "mongoose"
+import { v4 as uuidv4 } from "uuid"
+
+export const REPORT_REASONS = ["spam", "harassment", "inappropriate_content", "impersonation", "other"]
+
+// Báo cáo người dùng gửi cho đội kiểm duyệt
+const reportSchema = new mongoose.Schema(
+  {
+    reportId: {
+      type: String,
+      required: true,
+      unique: true,
+      default: () => uuidv4(),
+    },
+    reporterId: {
+      type: String,
+      required: true,
+      ref: "User",
+    },
+    reportedUserId: {
+      type: String,
+      required: true,
+      ref: "User",
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    // Lưu lại nội dung tin nhắn tại thời điểm báo cáo, phòng khi tin nhắn bị thu hồi
+    messages: [
+      {
+        messageId: { type: String },
+        conversationId: { type: String },
+        senderId: { type: String },
+        type: { type: String },
+        content: { type: String },
+        attachments: [
+          {
+            url: { type: String },
+            type: { type: String },
+            name: { type: String },
+          },
+        ],
+        sentAt: { type: Date },
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["pending", "reviewing", "resolved", "dismissed"],
+      default: "pending",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+reportSchema.index({ reportedUserId: 1, status: 1 })
+reportSchema.index({ status: 1, createdAt: -1 })
+
+export const Report = mongoose.model("Report", reportSchema)
+
+export const createReport = async (reporterId, reportedUserId, reason, description = "", messages = []) => {
+  try {
+    const report = new Report({
+      reporterId,
+      reportedUserId,
+      reason,
+      description,
+      messages,
+    })
+
+    await report.save()
+    return report
+  } catch (error) {
+    console.error("Error creating report:", error)
+    throw error
+  }
+}
@@ -0,0 +1,174 @@
+import mongoose from "mongoose"
+import { v4 as uuidv4 } from "uuid"
+
+// Tin nhắn người dùng lưu lại để xem sau
+const savedMessageSchema = new mongoose.Schema(
+  {
+    savedMessageId: {
+      type: String,
+      required: true,
+      unique: true,
+      default: () => uuidv4(),
+    },
+    userId: {
+      type: String,
+      required: true,
+      ref: "User",
+    },
+    messageId: {
+      type: String,
+      required: true,
+      ref: "Message",
+    },
+    conversationId: {
+      type: String,
+      required: true,
+      ref: "Conversation",
+    },
+    // Tin gốc đã bị thu hồi: giữ bản ghi nhưng không hiển thị nữa
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+savedMessageSchema.index({ userId: 1, messageId: 1 }, { unique: true })
+savedMessageSchema.index({ userId: 1, isHidden: 1, createdAt: -1 })
+savedMessageSchema.index({ messageId: 1 })
+
+export const SavedMessage = mongoose.model("SavedMessage", savedMessageSchema)
+
+const encodeSavedMessageCursor = (savedMessage) => {
+  const payload = JSON.stringify({
+    createdAt: new Date(savedMessage.createdAt).toISOString(),
+    savedMessageId: savedMessage.savedMessageId,
+  })
+  return Buffer.from(payload).toString("base64url")
+}
+
+const decodeSavedMessageCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"))
+    const createdAt = new Date(payload.createdAt)
+
+    if (!payload.savedMessageId || Number.isNaN(createdAt.getTime())) {
+      throw new Error()
+    }
+
+    return { createdAt, savedMessageId: payload.savedMessageId }
+  } catch (error) {
+    throw new Error("Invalid cursor")
+  }
+}
+
+// Lưu tin nhắn; lưu lại tin đã lưu thì trả về bản ghi cũ
+export const saveMessage = async (userId, messageId, conversationId) => {
+  try {
+    return await SavedMessage.findOneAndUpdate(
+      { userId, messageId },
+      { $setOnInsert: { conversationId } },
+      { upsert: true, new: true },
+    )
+  } catch (error) {
+    console.error("Error saving message:", error)
+    throw error
+  }
+}
+
+export const unsaveMessage = async (userId, messageId) => {
+  try {
+    const savedMessage = await SavedMessage.findOneAndDelete({ userId, messageId })
+
+    if (!savedMessage) {
+      throw new Error("Saved message not found")
+    }
+
+    return savedMessage
+  } catch (error) {
+    console.error("Error unsaving message:", error)
+    throw error
+  }
+}
+
+// Tin đã lưu mới nhất trước, chỉ trong các cuộc trò chuyện người dùng còn tham gia, kèm tin gốc.
+// Lọc tin gốc ngay trong truy vấn (đã xóa phía mình, đã thu hồi, đã hết hạn) để trang không bị thiếu tin
+export const getSavedMessages = async (userId, conversationIds, limit = 20, cursor = null) => {
+  try {
+    if (conversationIds.length === 0) {
+      return { savedMessages: [], nextCursor: null, hasMore: false }
+    }
+
+    const query = { userId, isHidden: false, conversationId: { $in: conversationIds } }
+
+    if (cursor) {
+      const { createdAt, savedMessageId } = decodeSavedMessageCursor(cursor)
+      query.$or = [{ createdAt: { $lt: createdAt } }, { createdAt, savedMessageId: { $lt: savedMessageId } }]
+    }
+
+    const savedMessages = await SavedMessage.aggregate([
+      { $match: query },
+      { $sort: { createdAt: -1, savedMessageId: -1 } },
+      {
+        $lookup: {
+          from: "messages",
+          localField: "messageId",
+          foreignField: "messageId",
+          pipeline: [
+            {
+              $match: {
+                "deletedBy.userId": { $ne: userId },
+                isDeleted: false,
+                isRecalled: false,
+                // Tin tự hủy đã tới hạn nhưng worker chưa kịp dọn
+                expiresAt: { $not: { $lte: new Date() } },
+              },
+            },
+          ],
+          as: "message",
+        },
+      },
+      { $unwind: "$message" },
+      { $limit: limit + 1 },
+    ])
+
+    const hasMore = savedMessages.length > limit
+    const page = hasMore ? savedMessages.slice(0, limit) : savedMessages
+
+    return {
+      savedMessages: page,
+      nextCursor: hasMore ? encodeSavedMessageCursor(page[page.length - 1]) : null,
+      hasMore,
+    }
+  } catch (error) {
+    console.error("Error getting saved messages:", error)
+    throw error
+  }
+}
+
+// Ẩn mọi bản lưu của một tin nhắn (khi tin bị thu hồi)
+export const hideSavedMessages = async (messageId) => {
+  try {
+    await SavedMessage.updateMany({ messageId }, { $set: { isHidden: true } })
+  } catch (error) {
+    console.error("Error hiding saved messages:", error)
+    throw error
+  }
+}
+
+// Xóa bản lưu của các tin nhắn đã bị xóa hẳn (tin tự hủy hết hạn)
+export const deleteSavedMessagesByMessageIds = async (messageIds) => {
+  try {
+    if (messageIds.length === 0) {
+      return
+    }
+
+    await SavedMessage.deleteMany({ messageId: { $in: messageIds } })
+  } catch (error) {
+    console.error("Error deleting saved messages:", error)
+    throw error
+  }
+}
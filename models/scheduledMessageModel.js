@@ -0,0 +1,238 @@
+import mongoose from "mongoose"
+import { v4 as uuidv4 } from "uuid"
+
+export const SCHEDULED_MESSAGE_STATUS = {
+  PENDING: "pending",
+  PROCESSING: "processing",
+  SENT: "sent",
+  CANCELED: "canceled",
+  FAILED: "failed",
+}
+
+// Tin nhắn hẹn giờ gửi, được worker trong server gửi khi đến hạn
+const scheduledMessageSchema = new mongoose.Schema(
+  {
+    scheduledMessageId: {
+      type: String,
+      required: true,
+      unique: true,
+      default: () => uuidv4(),
+    },
+    conversationId: {
+      type: String,
+      required: true,
+      ref: "Conversation",
+    },
+    senderId: {
+      type: String,
+      required: true,
+      ref: "User",
+    },
+    type: {
+      type: String,
+      enum: ["text", "emoji"],
+      default: "text",
+    },
+    content: {
+      type: String,
+      required: true,
+    },
+    replyTo: {
+      type: String,
+      ref: "Message",
+      default: null,
+    },
+    mentions: [
+      {
+        userId: { type: String },
+        name: { type: String },
+      },
+    ],
+    scheduledAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(SCHEDULED_MESSAGE_STATUS),
+      default: SCHEDULED_MESSAGE_STATUS.PENDING,
+    },
+    // Thời điểm worker nhận xử lý, dùng để lấy lại tin bị kẹt khi server dừng giữa chừng
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    messageId: {
+      type: String,
+      ref: "Message",
+      default: null,
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+    failureReason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+scheduledMessageSchema.index({ status: 1, scheduledAt: 1 })
+scheduledMessageSchema.index({ senderId: 1, status: 1, scheduledAt: 1 })
+
+export const ScheduledMessage = mongoose.model("ScheduledMessage", scheduledMessageSchema)
+
+export const createScheduledMessage = async (conversationId, senderId, data) => {
+  try {
+    const scheduledMessage = new ScheduledMessage({
+      conversationId,
+      senderId,
+      type: data.type || "text",
+      content: data.content,
+      replyTo: data.replyTo || null,
+      mentions: data.mentions || [],
+      scheduledAt: data.scheduledAt,
+    })
+
+    await scheduledMessage.save()
+    return scheduledMessage
+  } catch (error) {
+    console.error("Error creating scheduled message:", error)
+    throw error
+  }
+}
+
+export const getScheduledMessageById = async (scheduledMessageId) => {
+  try {
+    return await ScheduledMessage.findOne({ scheduledMessageId })
+  } catch (error) {
+    console.error("Error getting scheduled message:", error)
+    throw error
+  }
+}
+
+// Danh sách tin hẹn giờ của người gửi, mặc định chỉ những tin đang chờ gửi
+export const getUserScheduledMessages = async (senderId, filters = {}) => {
+  try {
+    const query = { senderId, status: filters.status || SCHEDULED_MESSAGE_STATUS.PENDING }
+    if (filters.conversationId) {
+      query.conversationId = filters.conversationId
+    }
+
+    return await ScheduledMessage.find(query).sort({ scheduledAt: 1 })
+  } catch (error) {
+    console.error("Error getting user scheduled messages:", error)
+    throw error
+  }
+}
+
+export const countPendingScheduledMessages = async (senderId) => {
+  try {
+    return await ScheduledMessage.countDocuments({ senderId, status: SCHEDULED_MESSAGE_STATUS.PENDING })
+  } catch (error) {
+    console.error("Error counting scheduled messages:", error)
+    throw error
+  }
+}
+
+// Chỉ sửa được tin còn đang chờ gửi
+export const updateScheduledMessage = async (scheduledMessageId, senderId, updateData) => {
+  try {
+    const allowedFields = ["content", "mentions", "scheduledAt"]
+    const updateFields = {}
+    allowedFields.forEach((field) => {
+      if (updateData[field] !== undefined) {
+        updateFields[field] = updateData[field]
+      }
+    })
+
+    const scheduledMessage = await ScheduledMessage.findOneAndUpdate(
+      { scheduledMessageId, senderId, status: SCHEDULED_MESSAGE_STATUS.PENDING },
+      { $set: updateFields },
+      { new: true },
+    )
+
+    if (!scheduledMessage) {
+      throw new Error("Scheduled message not found or already sent")
+    }
+
+    return scheduledMessage
+  } catch (error) {
+    console.error("Error updating scheduled message:", error)
+    throw error
+  }
+}
+
+export const cancelScheduledMessage = async (scheduledMessageId, senderId) => {
+  try {
+    const scheduledMessage = await ScheduledMessage.findOneAndUpdate(
+      { scheduledMessageId, senderId, status: SCHEDULED_MESSAGE_STATUS.PENDING },
+      { $set: { status: SCHEDULED_MESSAGE_STATUS.CANCELED } },
+      { new: true },
+    )
+
+    if (!scheduledMessage) {
+      throw new Error("Scheduled message not found or already sent")
+    }
+
+    return scheduledMessage
+  } catch (error) {
+    console.error("Error canceling scheduled message:", error)
+    throw error
+  }
+}
+
+// Nhận xử lý một tin đã đến hạn (nguyên tử nên an toàn khi chạy nhiều instance).
+// Tin đang xử lý quá staleBefore (server dừng giữa chừng) được nhận lại
+export const claimDueScheduledMessage = async (now, staleBefore) => {
+  try {
+    return await ScheduledMessage.findOneAndUpdate(
+      {
+        scheduledAt: { $lte: now },
+        $or: [
+          { status: SCHEDULED_MESSAGE_STATUS.PENDING },
+          { status: SCHEDULED_MESSAGE_STATUS.PROCESSING, lockedAt: { $lt: staleBefore } },
+        ],
+      },
+      { $set: { status: SCHEDULED_MESSAGE_STATUS.PROCESSING, lockedAt: now }, $inc: { attempts: 1 } },
+      { new: true, sort: { scheduledAt: 1 } },
+    )
+  } catch (error) {
+    console.error("Error claiming scheduled message:", error)
+    throw error
+  }
+}
+
+export const markScheduledMessageSent = async (scheduledMessageId, messageId) => {
+  try {
+    return await ScheduledMessage.findOneAndUpdate(
+      { scheduledMessageId },
+      { $set: { status: SCHEDULED_MESSAGE_STATUS.SENT, messageId, sentAt: new Date(), lockedAt: null } },
+      { new: true },
+    )
+  } catch (error) {
+    console.error("Error marking scheduled message as sent:", error)
+    throw error
+  }
+}
+
+export const markScheduledMessageFailed = async (scheduledMessageId, failureReason) => {
+  try {
+    return await ScheduledMessage.findOneAndUpdate(
+      { scheduledMessageId },
+      { $set: { status: SCHEDULED_MESSAGE_STATUS.FAILED, failureReason, lockedAt: null } },
+      { new: true },
+    )
+  } catch (error) {
+    console.error("Error marking scheduled message as failed:", error)
+    throw error
+  }
+}
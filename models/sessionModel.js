@@ -0,0 +1,175 @@
+import mongoose from "mongoose"
+import { v4 as uuidv4 } from "uuid"
+
+// Phiên đăng nhập của người dùng trên từng thiết bị
+const sessionSchema = new mongoose.Schema(
+  {
+    sessionId: {
+      type: String,
+      required: true,
+      unique: true,
+      default: () => uuidv4(),
+    },
+    userId: {
+      type: String,
+      required: true,
+      ref: "User",
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    previousRefreshTokenHash: {
+      type: String,
+      default: null,
+    },
+    deviceName: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    ipAddress: {
+      type: String,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+sessionSchema.index({ userId: 1, revokedAt: 1 })
+// Tự động xóa phiên đã hết hạn
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export const Session = mongoose.model("Session", sessionSchema)
+
+export const isSessionActive = (session) => {
+  return !!session && !session.revokedAt && new Date(session.expiresAt) > new Date()
+}
+
+export const createSession = async (userId, refreshTokenHash, expiresAt, deviceInfo = {}, sessionId = uuidv4()) => {
+  try {
+    const session = new Session({
+      sessionId,
+      userId,
+      refreshTokenHash,
+      expiresAt,
+      deviceName: deviceInfo.deviceName || null,
+      userAgent: deviceInfo.userAgent || null,
+      ipAddress: deviceInfo.ipAddress || null,
+      lastUsedAt: new Date(),
+    })
+
+    await session.save()
+    return session
+  } catch (error) {
+    console.error("Error creating session:", error)
+    throw error
+  }
+}
+
+export const getSessionById = async (sessionId) => {
+  try {
+    return await Session.findOne({ sessionId }).lean()
+  } catch (error) {
+    console.error("Error getting session:", error)
+    throw error
+  }
+}
+
+export const getActiveUserSessions = async (userId) => {
+  try {
+    return await Session.find({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ lastUsedAt: -1 })
+      .lean()
+  } catch (error) {
+    console.error("Error getting user sessions:", error)
+    throw error
+  }
+}
+
+// Đổi refresh token: chỉ thành công nếu token gửi lên đúng là token hiện tại của phiên
+export const rotateSessionRefreshToken = async (sessionId, currentHash, newHash) => {
+  try {
+    return await Session.findOneAndUpdate(
+      {
+        sessionId,
+        refreshTokenHash: currentHash,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      {
+        $set: {
+          refreshTokenHash: newHash,
+          previousRefreshTokenHash: currentHash,
+          lastUsedAt: new Date(),
+        },
+      },
+      { new: true },
+    ).lean()
+  } catch (error) {
+    console.error("Error rotating refresh token:", error)
+    throw error
+  }
+}
+
+export const touchSession = async (sessionId) => {
+  try {
+    await Session.updateOne({ sessionId }, { $set: { lastUsedAt: new Date() } })
+  } catch (error) {
+    console.error("Error updating session last used time:", error)
+    throw error
+  }
+}
+
+export const revokeSession = async (sessionId, userId = null) => {
+  try {
+    const query = { sessionId, revokedAt: null }
+    if (userId) {
+      query.userId = userId
+    }
+
+    return await Session.findOneAndUpdate(query, { $set: { revokedAt: new Date() } }, { new: true }).lean()
+  } catch (error) {
+    console.error("Error revoking session:", error)
+    throw error
+  }
+}
+
+// Thu hồi mọi phiên của người dùng (trừ phiên exceptSessionId nếu có), trả về danh sách sessionId đã thu hồi
+export const revokeUserSessions = async (userId, exceptSessionId = null) => {
+  try {
+    const query = { userId, revokedAt: null }
+    if (exceptSessionId) {
+      query.sessionId = { $ne: exceptSessionId }
+    }
+
+    const sessions = await Session.find(query, { sessionId: 1 }).lean()
+    await Session.updateMany(query, { $set: { revokedAt: new Date() } })
+
+    return sessions.map((session) => session.sessionId)
+  } catch (error) {
+    console.error("Error revoking user sessions:", error)
+    throw error
+  }
+}
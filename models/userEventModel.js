@@ -0,0 +1,121 @@
+import mongoose from "mongoose"
+import { v4 as uuidv4 } from "uuid"
+
+// Thời gian giữ sự kiện để client đồng bộ lại khi kết nối lại
+export const USER_EVENT_TTL_DAYS = 30
+
+// Số thứ tự sự kiện cuối cùng của mỗi người dùng, tăng dần và liên tục
+const userEventSequenceSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      unique: true,
+      ref: "User",
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+export const UserEventSequence = mongoose.model("UserEventSequence", userEventSequenceSchema)
+
+// Nhật ký sự kiện của từng người dùng, chỉ ghi thêm
+const userEventSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: String,
+      default: () => uuidv4(),
+      unique: true,
+    },
+    userId: {
+      type: String,
+      required: true,
+      ref: "User",
+    },
+    seq: {
+      type: Number,
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+userEventSchema.index({ userId: 1, seq: 1 }, { unique: true })
+userEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: USER_EVENT_TTL_DAYS * 24 * 60 * 60 })
+
+export const UserEvent = mongoose.model("UserEvent", userEventSchema)
+
+// Ghi cùng một sự kiện vào nhật ký của nhiều người dùng
+export const appendUserEvents = async (userIds, event, data) => {
+  try {
+    const uniqueIds = [...new Set(userIds.filter(Boolean))]
+    if (uniqueIds.length === 0) {
+      return []
+    }
+
+    const sequences = await Promise.all(
+      uniqueIds.map((userId) =>
+        UserEventSequence.findOneAndUpdate({ userId }, { $inc: { seq: 1 } }, { upsert: true, new: true }),
+      ),
+    )
+
+    return await UserEvent.insertMany(
+      sequences.map((sequence) => ({
+        userId: sequence.userId,
+        seq: sequence.seq,
+        event,
+        data,
+      })),
+    )
+  } catch (error) {
+    console.error("Error appending user events:", error)
+    throw error
+  }
+}
+
+// Sự kiện có seq > since, theo thứ tự
+export const getUserEventsSince = async (userId, since, limit) => {
+  try {
+    return await UserEvent.find({ userId, seq: { $gt: since } })
+      .sort({ seq: 1 })
+      .limit(limit)
+  } catch (error) {
+    console.error("Error getting user events:", error)
+    throw error
+  }
+}
+
+export const getUserEventSequence = async (userId) => {
+  try {
+    const sequence = await UserEventSequence.findOne({ userId })
+    return sequence ? sequence.seq : 0
+  } catch (error) {
+    console.error("Error getting user event sequence:", error)
+    throw error
+  }
+}
+
+export const hasUserEvent = async (userId, seq) => {
+  try {
+    return !!(await UserEvent.exists({ userId, seq }))
+  } catch (error) {
+    console.error("Error checking user event:", error)
+    throw error
+  }
+}
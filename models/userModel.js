@@ -62,6 +62,39 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Thời điểm người dùng ngắt kết nối socket cuối cùng
+    lastSeenAt: {
+      type: Date,
+      default: null,
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        default: null,
+      },
+      pendingSecret: {
+        type: String,
+        default: null,
+      },
+      lastUsedStep: {
+        type: Number,
+        default: null,
+      },
+      backupCodes: [
+        {
+          hash: { type: String },
+          usedAt: { type: Date, default: null },
+        },
+      ],
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
+    },
   },
   {
     timestamps: {
@@ -131,6 +164,31 @@ export const getUserById = async (userId) => {
   }
 }
 
+// Lấy nhiều người dùng trong một truy vấn
+export const getUsersByIds = async (userIds) => {
+  try {
+    const uniqueIds = [...new Set(userIds.filter(Boolean))]
+    if (uniqueIds.length === 0) {
+      return []
+    }
+    return await User.find({ userId: { $in: uniqueIds } }).lean()
+  } catch (error) {
+    console.error("Error getting users by IDs from MongoDB:", error)
+    throw error
+  }
+}
+
+// Duyệt toàn bộ người dùng theo lô, sắp xếp theo userId (dùng cho các tác vụ định kỳ)
+export const getUsersBatch = async (afterUserId = null, limit = 100) => {
+  try {
+    const query = afterUserId ? { userId: { $gt: afterUserId } } : {}
+    return await User.find(query).select("userId email fullName").sort({ userId: 1 }).limit(limit).lean()
+  } catch (error) {
+    console.error("Error getting users batch from MongoDB:", error)
+    throw error
+  }
+}
+
 export const updateUser = async (userId, updateData) => {
   try {
     if (updateData.password) {
@@ -161,6 +219,50 @@ export const updateUser = async (userId, updateData) => {
   }
 }
 
+export const updateUserLastSeen = async (userId, lastSeenAt = new Date()) => {
+  try {
+    await User.updateOne({ userId }, { $set: { lastSeenAt } })
+    return lastSeenAt
+  } catch (error) {
+    console.error("Error updating user last seen:", error)
+    throw error
+  }
+}
+
+// Chỉ chấp nhận bước TOTP mới hơn bước đã dùng gần nhất
+export const updateTwoFactorLastUsedStep = async (userId, step) => {
+  try {
+    const result = await User.updateOne(
+      {
+        userId,
+        $or: [{ "twoFactor.lastUsedStep": null }, { "twoFactor.lastUsedStep": { $lt: step } }],
+      },
+      { $set: { "twoFactor.lastUsedStep": step } },
+    )
+    return result.modifiedCount > 0
+  } catch (error) {
+    console.error("Error updating two-factor last used step:", error)
+    throw error
+  }
+}
+
+// Đánh dấu mã dự phòng đã dùng, trả về false nếu mã không hợp lệ hoặc đã dùng
+export const consumeBackupCode = async (userId, codeHash) => {
+  try {
+    const result = await User.updateOne(
+      {
+        userId,
+        "twoFactor.backupCodes": { $elemMatch: { hash: codeHash, usedAt: null } },
+      },
+      { $set: { "twoFactor.backupCodes.$.usedAt": new Date() } },
+    )
+    return result.modifiedCount > 0
+  } catch (error) {
+    console.error("Error consuming backup code:", error)
+    throw error
+  }
+}
+
 export const verifyPassword = async (plainPassword, hashedPassword) => {
   return await bcrypt.compare(plainPassword, hashedPassword)
 }
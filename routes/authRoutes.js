@@ -7,21 +7,94 @@ import {
   requestPasswordResetCode,
   verifyPasswordResetCode,
   completePasswordReset,
+  refreshAccessToken,
+  logout,
+  verifyTwoFactorLogin,
 } from "../controllers/authController.js"
+import { authenticate } from "../middleware/authMiddleware.js"
 import { validateRequest } from "../middleware/validationMiddleware.js"
+import {
+  rateLimit,
+  resendCooldown,
+  loginLockout,
+  keyByEmail,
+  keyByEmailAndIp,
+} from "../middleware/rateLimitMiddleware.js"
 
 const router = express.Router()
 
-router.post("/request-verification", validateRequest(["email"]), requestVerificationCode)
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+
+// Giới hạn theo IP và theo email cho các endpoint dễ bị dò mật khẩu / mã xác thực
+const loginIpLimit = rateLimit({ name: "login-ip", windowMs: 15 * MINUTE, max: 30 })
+// Theo email + IP: chặn đoán mật khẩu từ một nơi mà người khác không chặn được chủ tài khoản
+const loginEmailIpLimit = rateLimit({
+  name: "login-email-ip",
+  windowMs: 15 * MINUTE,
+  max: 10,
+  keyGenerator: keyByEmailAndIp,
+})
+// Theo email với trần cao hơn: giới hạn tổng số lần thử vào một tài khoản khi kẻ tấn công đổi IP liên tục
+const loginEmailLimit = rateLimit({ name: "login-email", windowMs: 15 * MINUTE, max: 50, keyGenerator: keyByEmail })
+const twoFactorIpLimit = rateLimit({ name: "login-2fa-ip", windowMs: 15 * MINUTE, max: 20 })
+const codeRequestIpLimit = rateLimit({ name: "code-request-ip", windowMs: HOUR, max: 20 })
+const codeVerifyIpLimit = rateLimit({ name: "code-verify-ip", windowMs: 15 * MINUTE, max: 30 })
+
+const codeRequestEmailLimit = (name) =>
+  rateLimit({ name: `${name}-request-email`, windowMs: HOUR, max: 5, keyGenerator: keyByEmail })
+const codeVerifyEmailLimit = (name) =>
+  rateLimit({ name: `${name}-verify-email`, windowMs: HOUR, max: 10, keyGenerator: keyByEmail })
+const codeResendCooldown = (name) => resendCooldown({ name: `${name}-cooldown`, cooldownMs: MINUTE })
+
+router.post(
+  "/request-verification",
+  codeRequestIpLimit,
+  validateRequest(["email"]),
+  codeResendCooldown("verification"),
+  codeRequestEmailLimit("verification"),
+  requestVerificationCode,
+)
 
-router.post("/verify-email", validateRequest(["code", "email"]), verifyEmailAddress)
+router.post(
+  "/verify-email",
+  codeVerifyIpLimit,
+  validateRequest(["code", "email"]),
+  codeVerifyEmailLimit("verification"),
+  verifyEmailAddress,
+)
 
 router.post("/register", validateRequest(["email", "password", "userId","fullName","birthdate","gender","avatarUrl"]), completeRegistration)
 
-router.post("/login", validateRequest(["email", "password"]), login)
+router.post(
+  "/login",
+  loginIpLimit,
+  validateRequest(["email", "password"]),
+  loginLockout,
+  loginEmailIpLimit,
+  loginEmailLimit,
+  login,
+)
+router.post("/login/2fa", twoFactorIpLimit, validateRequest(["twoFactorToken"]), verifyTwoFactorLogin)
+
+router.post("/refresh", validateRequest(["refreshToken"]), refreshAccessToken)
+router.post("/logout", authenticate, logout)
 
-router.post("/request-password-reset-code", validateRequest(["email"]), requestPasswordResetCode)
-router.post("/verify-reset-code", validateRequest(["code", "email"]), verifyPasswordResetCode)
+router.post(
+  "/request-password-reset-code",
+  codeRequestIpLimit,
+  validateRequest(["email"]),
+  codeResendCooldown("password-reset"),
+  codeRequestEmailLimit("password-reset"),
+  requestPasswordResetCode,
+)
+router.post(
+  "/verify-reset-code",
+  codeVerifyIpLimit,
+  validateRequest(["code", "email"]),
+  codeVerifyEmailLimit("password-reset"),
+  verifyPasswordResetCode,
+)
 router.post("/complete-password-reset", validateRequest(["resetToken", "newPassword"]), completePasswordReset)
 
 export default router
@@ -15,6 +15,7 @@ import {
   searchGroupChats,
   getGroupByConversation,
 } from "../controllers/groupController.js"
+import { createPoll, getPoll, voteInPoll, removePollVote, closeGroupPoll } from "../controllers/pollController.js"
 import { authenticate } from "../middleware/authMiddleware.js"
 import { validateRequest } from "../middleware/validationMiddleware.js"
 
@@ -63,6 +64,13 @@ router.post("/:groupId/leave", leaveGroupChat)
 // Cập nhật tin nhắn đã đọc cuối cùng
 router.put("/:groupId/last-read", validateRequest(["messageId"]), updateLastRead)
 
+// Bình chọn trong nhóm
+router.post("/:groupId/polls", validateRequest(["question", "options"]), createPoll)
+router.get("/:groupId/polls/:messageId", getPoll)
+router.post("/:groupId/polls/:messageId/votes", validateRequest(["optionIds"]), voteInPoll)
+router.delete("/:groupId/polls/:messageId/votes", removePollVote)
+router.put("/:groupId/polls/:messageId/close", closeGroupPoll)
+
 // Tìm kiếm nhóm
 router.get("/search", searchGroupChats)
 
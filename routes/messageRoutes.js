@@ -12,11 +12,34 @@ import {
   markAsRead,
   deleteUserMessage,
   recallUserMessage,
+  editUserMessage,
   forwardUserMessage,
   getUnreadCount,
   sendReplyMessage,
   sendMessageWithMention,
+  addMessageReaction,
+  removeMessageReaction,
+  getMessageReactions,
+  getMessageReceipts,
+  searchUserMessages,
+  pinConversation,
+  muteConversation,
+  archiveConversation,
+  hideConversation,
+  unhideConversation,
+  setDisappearingMessages,
+  pinMessage,
+  unpinMessage,
+  getPinnedMessages,
+  getMessageThread,
 } from "../controllers/messageController.js"
+import {
+  scheduleMessage,
+  getScheduledMessages,
+  editScheduledMessage,
+  cancelUserScheduledMessage,
+} from "../controllers/scheduledMessageController.js"
+import { saveUserMessage, unsaveUserMessage, getUserSavedMessages } from "../controllers/savedMessageController.js"
 import { authenticate } from "../middleware/authMiddleware.js"
 import { validateRequest } from "../middleware/validationMiddleware.js"
 
@@ -33,6 +56,13 @@ router.use(authenticate)
 router.get("/conversations", getConversations)
 router.get("/conversations/:conversationId/messages", getMessages)
 router.get("/conversations/user/:userId", getOrStartConversation)
+router.put("/conversations/:conversationId/pin", pinConversation)
+router.put("/conversations/:conversationId/mute", muteConversation)
+router.put("/conversations/:conversationId/archive", archiveConversation)
+router.put("/conversations/:conversationId/hide", hideConversation)
+router.put("/conversations/:conversationId/unhide", unhideConversation)
+router.put("/conversations/:conversationId/disappearing", setDisappearingMessages)
+router.get("/conversations/:conversationId/pinned", getPinnedMessages)
 
 router.post("/send/text", validateRequest(["conversationId", "content"]), sendTextMessage)
 router.post("/send/emoji", validateRequest(["conversationId", "emoji"]), sendEmojiMessage)
@@ -42,11 +72,30 @@ router.post("/send/video", upload.single("video"), sendVideoMessage)
 router.post("/send/reply", validateRequest(["conversationId", "replyToMessageId", "content"]), sendReplyMessage)
 router.post("/send/mention", validateRequest(["conversationId", "content", "mentions"]), sendMessageWithMention)
 
+router.get("/scheduled", getScheduledMessages)
+router.post("/scheduled", validateRequest(["conversationId", "content", "scheduledAt"]), scheduleMessage)
+router.put("/scheduled/:scheduledMessageId", editScheduledMessage)
+router.delete("/scheduled/:scheduledMessageId", cancelUserScheduledMessage)
+
+router.get("/saved", getUserSavedMessages)
+
 router.put("/messages/:messageId/read", markAsRead)
 router.delete("/messages/:messageId", deleteUserMessage)
 router.put("/messages/:messageId/recall", recallUserMessage)
+router.put("/messages/:messageId/edit", validateRequest(["content"]), editUserMessage)
 router.post("/messages/forward", validateRequest(["messageId", "conversationId"]), forwardUserMessage)
 
+router.get("/messages/:messageId/receipts", getMessageReceipts)
+router.get("/messages/:messageId/thread", getMessageThread)
+router.post("/messages/:messageId/pin", pinMessage)
+router.delete("/messages/:messageId/pin", unpinMessage)
+router.post("/messages/:messageId/save", saveUserMessage)
+router.delete("/messages/:messageId/save", unsaveUserMessage)
+router.get("/messages/:messageId/reactions", getMessageReactions)
+router.post("/messages/:messageId/reactions", validateRequest(["emoji"]), addMessageReaction)
+router.delete("/messages/:messageId/reactions", validateRequest(["emoji"]), removeMessageReaction)
+
 router.get("/unread", getUnreadCount)
+router.get("/search", searchUserMessages)
 
 export default router
@@ -0,0 +1,11 @@
+import express from "express"
+import { getSyncEvents } from "../controllers/syncController.js"
+import { authenticate } from "../middleware/authMiddleware.js"
+
+const router = express.Router()
+
+router.use(authenticate)
+
+router.get("/", getSyncEvents)
+
+export default router
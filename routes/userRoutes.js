@@ -9,6 +9,25 @@ import {
   updatePassword,
   searchUsers,
   getUser,
+  getSessions,
+  revokeUserSession,
+  registerDevice,
+  unregisterDevice,
+  getDigestSettings,
+  updateDigestSettings,
+  showUnsubscribeDigest,
+  unsubscribeDigest,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  blockUserById,
+  unblockUserById,
+  getBlockedUserList,
+  reportUser,
+  getUserPrivacySettings,
+  updateUserPrivacySettings,
+  getPresence,
 } from "../controllers/userController.js"
 import { authenticate } from "../middleware/authMiddleware.js"
 import { validateRequest } from "../middleware/validationMiddleware.js"
@@ -32,6 +51,25 @@ router.post("/avatar-upload-url", authenticate, validateRequest(["fileType"]), g
 router.post("/confirm-avatar", authenticate, validateRequest(["key"]), confirmAvatarUpload)
 router.put("/update-password", authenticate, validateRequest(["currentPassword", "newPassword"]), updatePassword)
 router.get("/search", authenticate, searchUsers)
+router.get("/sessions", authenticate, getSessions)
+router.delete("/sessions/:sessionId", authenticate, revokeUserSession)
+router.post("/devices", authenticate, validateRequest(["token", "platform"]), registerDevice)
+router.delete("/devices", authenticate, validateRequest(["token"]), unregisterDevice)
+router.post("/2fa/setup", authenticate, setupTwoFactor)
+router.post("/2fa/confirm", authenticate, validateRequest(["code"]), confirmTwoFactor)
+router.post("/2fa/disable", authenticate, validateRequest(["password"]), disableTwoFactor)
+router.post("/2fa/backup-codes", authenticate, validateRequest(["password"]), regenerateBackupCodes)
+router.get("/presence", authenticate, getPresence)
+router.get("/privacy", authenticate, getUserPrivacySettings)
+router.get("/digest", authenticate, getDigestSettings)
+router.put("/digest", authenticate, validateRequest(["frequency"]), updateDigestSettings)
+router.get("/digest/unsubscribe", showUnsubscribeDigest)
+router.post("/digest/unsubscribe", unsubscribeDigest)
+router.put("/privacy", authenticate, updateUserPrivacySettings)
+router.get("/blocked", authenticate, getBlockedUserList)
+router.post("/:userId/block", authenticate, blockUserById)
+router.delete("/:userId/block", authenticate, unblockUserById)
+router.post("/:userId/report", authenticate, validateRequest(["reason"]), reportUser)
 router.get("/:userId", getUser)
 export default router
 
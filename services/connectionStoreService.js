@@ -0,0 +1,184 @@
+import mongoose from "mongoose"
+import { v4 as uuidv4 } from "uuid"
+import { createAdapter as createMongoAdapter } from "@socket.io/mongo-adapter"
+import {
+  CONNECTION_TTL_SECONDS,
+  createConnection,
+  deleteConnection,
+  isUserConnected,
+  getConnectedUserIds,
+  addConnectionRoom,
+  removeConnectionRoom,
+  getUserConnectionRooms,
+  touchNodeConnections,
+} from "../models/connectionModel.js"
+
+// Mọi store đều có cùng interface (type của room: "conversation" | "group"):
+//   addConnection(userId, socketId) -> { isFirstConnection }
+//   removeConnection(userId, socketId) -> { isLastConnection }
+//   isOnline(userId) -> boolean
+//   getOnlineUserIds() -> [userId]
+//   addRoom(userId, socketId, type, roomId)
+//   removeRoom(userId, socketId, type, roomId)
+//   getRooms(userId, type) -> [roomId]
+// Store có thể cung cấp thêm createAdapter() -> Promise<adapter> trả về Socket.IO adapter dùng chung giữa các node
+
+// Store trong bộ nhớ (mặc định), chỉ đúng khi chạy một instance
+export const createMemoryConnectionStore = () => {
+  const userSockets = new Map() // userId -> Set of socket IDs
+  const socketRooms = new Map() // socketId -> { conversation: Set, group: Set }
+
+  return {
+    addConnection: async (userId, socketId) => {
+      if (!userSockets.has(userId)) {
+        userSockets.set(userId, new Set())
+      }
+      userSockets.get(userId).add(socketId)
+      socketRooms.set(socketId, { conversation: new Set(), group: new Set() })
+      return { isFirstConnection: userSockets.get(userId).size === 1 }
+    },
+    removeConnection: async (userId, socketId) => {
+      socketRooms.delete(socketId)
+      const sockets = userSockets.get(userId)
+      if (!sockets) {
+        return { isLastConnection: false }
+      }
+
+      sockets.delete(socketId)
+      if (sockets.size > 0) {
+        return { isLastConnection: false }
+      }
+
+      userSockets.delete(userId)
+      return { isLastConnection: true }
+    },
+    isOnline: async (userId) => userSockets.has(userId),
+    getOnlineUserIds: async () => Array.from(userSockets.keys()),
+    addRoom: async (userId, socketId, type, roomId) => {
+      const rooms = socketRooms.get(socketId)
+      if (rooms && rooms[type]) {
+        rooms[type].add(roomId)
+      }
+    },
+    removeRoom: async (userId, socketId, type, roomId) => {
+      const rooms = socketRooms.get(socketId)
+      if (rooms && rooms[type]) {
+        rooms[type].delete(roomId)
+      }
+    },
+    getRooms: async (userId, type) => {
+      const result = new Set()
+      const sockets = userSockets.get(userId) || new Set()
+      sockets.forEach((socketId) => {
+        const rooms = socketRooms.get(socketId)
+        if (rooms && rooms[type]) {
+          rooms[type].forEach((roomId) => result.add(roomId))
+        }
+      })
+      return Array.from(result)
+    },
+  }
+}
+
+// Store giả lập nhiều node trong cùng tiến trình để test: các store tạo với cùng sharedConnections
+// (socketId -> { userId, nodeId, rooms }) xem như các instance dùng chung một store
+export const createFakeSharedConnectionStore = ({ sharedConnections = new Map(), nodeId = uuidv4() } = {}) => {
+  const getUserConnections = (userId) =>
+    Array.from(sharedConnections.values()).filter((connection) => connection.userId === userId)
+
+  return {
+    nodeId,
+    sharedConnections,
+    addConnection: async (userId, socketId) => {
+      sharedConnections.set(socketId, { userId, nodeId, rooms: { conversation: new Set(), group: new Set() } })
+      return { isFirstConnection: getUserConnections(userId).length === 1 }
+    },
+    removeConnection: async (userId, socketId) => {
+      if (!sharedConnections.delete(socketId)) {
+        return { isLastConnection: false }
+      }
+      return { isLastConnection: getUserConnections(userId).length === 0 }
+    },
+    isOnline: async (userId) => getUserConnections(userId).length > 0,
+    getOnlineUserIds: async () =>
+      Array.from(new Set(Array.from(sharedConnections.values()).map((connection) => connection.userId))),
+    addRoom: async (userId, socketId, type, roomId) => {
+      const connection = sharedConnections.get(socketId)
+      if (connection && connection.rooms[type]) {
+        connection.rooms[type].add(roomId)
+      }
+    },
+    removeRoom: async (userId, socketId, type, roomId) => {
+      const connection = sharedConnections.get(socketId)
+      if (connection && connection.rooms[type]) {
+        connection.rooms[type].delete(roomId)
+      }
+    },
+    getRooms: async (userId, type) => {
+      const result = new Set()
+      getUserConnections(userId).forEach((connection) => {
+        if (connection.rooms[type]) {
+          connection.rooms[type].forEach((roomId) => result.add(roomId))
+        }
+      })
+      return Array.from(result)
+    },
+  }
+}
+
+const SOCKET_ADAPTER_COLLECTION = "socket_adapter_events"
+const SOCKET_ADAPTER_EVENT_TTL_SECONDS = 60 * 60
+
+// Socket.IO adapter dùng MongoDB change stream để phát sự kiện giữa các node (MongoDB phải chạy replica set).
+// Chỉ gọi sau khi đã kết nối MongoDB
+export const createMongoSocketAdapter = async () => {
+  const collection = mongoose.connection.db.collection(SOCKET_ADAPTER_COLLECTION)
+  await collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: SOCKET_ADAPTER_EVENT_TTL_SECONDS })
+  return createMongoAdapter(collection, { addCreatedAtField: true })
+}
+
+// Store dùng MongoDB, chia sẻ giữa nhiều instance.
+// Mỗi node định kỳ gửi heartbeat cho các kết nối của mình; kết nối của node đã chết tự hết hạn theo TTL
+// createAdapter: hàm tạo Socket.IO adapter dùng chung để phát sự kiện giữa các node
+export const createMongoConnectionStore = ({
+  nodeId = process.env.NODE_ID || uuidv4(),
+  createAdapter = createMongoSocketAdapter,
+} = {}) => {
+  const heartbeatTimer = setInterval(() => {
+    touchNodeConnections(nodeId).catch(() => {})
+  }, (CONNECTION_TTL_SECONDS * 1000) / 3)
+  heartbeatTimer.unref()
+
+  return {
+    nodeId,
+    createAdapter,
+    addConnection: async (userId, socketId) => {
+      const count = await createConnection(socketId, userId, nodeId)
+      return { isFirstConnection: count === 1 }
+    },
+    removeConnection: async (userId, socketId) => {
+      const count = await deleteConnection(socketId, userId)
+      return { isLastConnection: count === 0 }
+    },
+    isOnline: (userId) => isUserConnected(userId),
+    getOnlineUserIds: () => getConnectedUserIds(),
+    addRoom: (userId, socketId, type, roomId) => addConnectionRoom(socketId, type, roomId),
+    removeRoom: (userId, socketId, type, roomId) => removeConnectionRoom(socketId, type, roomId),
+    getRooms: (userId, type) => getUserConnectionRooms(userId, type),
+  }
+}
+
+let defaultStore = null
+
+// Chọn store theo CONNECTION_STORE=memory|mongo
+export const getConnectionStore = () => {
+  if (!defaultStore) {
+    defaultStore =
+      process.env.CONNECTION_STORE === "mongo" ? createMongoConnectionStore() : createMemoryConnectionStore()
+  }
+  return defaultStore
+}
+
+export const setConnectionStore = (store) => {
+  defaultStore = store
+}
@@ -0,0 +1,115 @@
+import { DISAPPEARING_MESSAGE_DURATIONS, deleteExpiredMessages } from "../models/messageModel.js"
+import { deleteImagesByUrls } from "./supabaseStorageService.js"
+import { emitToConversation } from "../socket/socketManager.js"
+import { EVENTS } from "../socket/socketEvents.js"
+
+const EXPIRED_MESSAGE_CLEANUP_MS = 60 * 1000
+const EXPIRED_MESSAGE_BATCH_SIZE = 100
+// Giới hạn số lô mỗi lượt để một lượt quét không chạy quá lâu
+const MAX_BATCHES_PER_RUN = 20
+
+const DISAPPEARING_DURATION_LABELS = {
+  [60 * 60]: "1 hour",
+  [24 * 60 * 60]: "24 hours",
+  [7 * 24 * 60 * 60]: "7 days",
+}
+
+// Nhận số giây; 0, null hoặc "off" để tắt
+export const parseDisappearingDuration = (value) => {
+  if (value === null || value === 0 || value === "off") {
+    return null
+  }
+
+  const duration = Number(value)
+  if (!DISAPPEARING_MESSAGE_DURATIONS.includes(duration)) {
+    throw new Error("Invalid disappearing message duration")
+  }
+  return duration
+}
+
+export const getDisappearingSystemMessage = (actorName, duration) => {
+  if (!duration) {
+    return `${actorName} turned off disappearing messages`
+  }
+  return `${actorName} set messages to disappear after ${DISAPPEARING_DURATION_LABELS[duration]}`
+}
+
+// Xóa các tin đã hết hạn theo lô và báo cho từng cuộc trò chuyện
+export const cleanupExpiredMessages = async (io, now = new Date()) => {
+  let deletedCount = 0
+
+  for (let batch = 0; batch < MAX_BATCHES_PER_RUN; batch++) {
+    const { messages, orphanedAttachmentUrls, unpinnedMessageIds } = await deleteExpiredMessages(
+      now,
+      EXPIRED_MESSAGE_BATCH_SIZE,
+    )
+    if (messages.length === 0) {
+      break
+    }
+    deletedCount += messages.length
+
+    // Lỗi xóa tệp không chặn việc dọn tin nhắn, tệp chỉ còn là rác trong bucket
+    if (orphanedAttachmentUrls.length > 0) {
+      await deleteImagesByUrls(orphanedAttachmentUrls).catch(() => {})
+    }
+
+    const messageIdsByConversation = new Map()
+    messages.forEach((message) => {
+      const messageIds = messageIdsByConversation.get(message.conversationId) || []
+      messageIds.push(message.messageId)
+      messageIdsByConversation.set(message.conversationId, messageIds)
+    })
+
+    messageIdsByConversation.forEach((messageIds, conversationId) => {
+      emitToConversation(io, conversationId, EVENTS.MESSAGES_EXPIRED, { conversationId, messageIds })
+    })
+
+    // Tin đang ghim bị xóa thì cũng bị bỏ ghim
+    unpinnedMessageIds.forEach((messageIds, conversationId) => {
+      messageIds.forEach((messageId) => {
+        emitToConversation(io, conversationId, EVENTS.MESSAGE_UNPINNED, { conversationId, messageId })
+      })
+    })
+
+    if (messages.length < EXPIRED_MESSAGE_BATCH_SIZE) {
+      break
+    }
+  }
+
+  return deletedCount
+}
+
+let cleanupTimer = null
+let isCleanupRunning = false
+
+export const startExpiredMessageCleanup = (io) => {
+  if (cleanupTimer) {
+    return cleanupTimer
+  }
+
+  const tick = async () => {
+    if (isCleanupRunning) {
+      return
+    }
+
+    isCleanupRunning = true
+    try {
+      await cleanupExpiredMessages(io)
+    } catch (error) {
+      console.error("Error cleaning up expired messages:", error)
+    } finally {
+      isCleanupRunning = false
+    }
+  }
+
+  cleanupTimer = setInterval(tick, EXPIRED_MESSAGE_CLEANUP_MS)
+  cleanupTimer.unref()
+  return cleanupTimer
+}
+
+export const stopExpiredMessageCleanup = () => {
+  if (cleanupTimer) {
+    clearInterval(cleanupTimer)
+    cleanupTimer = null
+  }
+}
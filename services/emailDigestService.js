@@ -0,0 +1,232 @@
+import { getUsersBatch, getUsersByIds } from "../models/userModel.js"
+import { getUserConversations, getUnreadMessagesSince } from "../models/messageModel.js"
+import { getGroupsByConversationIds } from "../models/groupModel.js"
+import { getUserConversationStates, isConversationMuted } from "../models/conversationStateModel.js"
+import {
+  DIGEST_FREQUENCIES,
+  getDigestPreference,
+  getDigestFrequenciesByUserIds,
+  claimDigestPeriod,
+  completeDigestLog,
+  releaseDigestPeriod,
+  getProcessedDigestUserIds,
+  getLastDigestSentAt,
+} from "../models/emailDigestModel.js"
+import { sendDigestEmail } from "./emailService.js"
+
+const DIGEST_CHECK_INTERVAL_MS = 60 * 60 * 1000
+const DIGEST_BATCH_SIZE = 100
+const MAX_DIGEST_CONVERSATIONS = 10
+const MAX_SNIPPET_LENGTH = 120
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Giờ (UTC) bắt đầu gửi trong ngày; bản tóm tắt hàng tuần gửi vào thứ Hai
+const getDigestSendHour = () => Number.parseInt(process.env.EMAIL_DIGEST_HOUR_UTC) || 8
+
+const SNIPPET_PLACEHOLDERS = {
+  image: "[Photo]",
+  imageGroup: "[Photos]",
+  file: "[File]",
+  video: "[Video]",
+}
+
+// Chu kỳ đang đến hạn của một tần suất, null nếu chưa đến giờ gửi
+export const getDueDigestPeriod = (frequency, now = new Date()) => {
+  if (now.getUTCHours() < getDigestSendHour()) {
+    return null
+  }
+
+  const date = now.toISOString().slice(0, 10)
+  if (frequency === DIGEST_FREQUENCIES.DAILY) {
+    return { key: `daily:${date}`, start: new Date(now.getTime() - DAY_MS) }
+  }
+  if (frequency === DIGEST_FREQUENCIES.WEEKLY && now.getUTCDay() === 1) {
+    return { key: `weekly:${date}`, start: new Date(now.getTime() - 7 * DAY_MS) }
+  }
+  return null
+}
+
+const getUnsubscribeUrl = (unsubscribeToken) => {
+  const baseUrl = process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 5000}`
+  return `${baseUrl}/api/users/digest/unsubscribe?token=${unsubscribeToken}`
+}
+
+const getSnippetText = (message) => {
+  const text = SNIPPET_PLACEHOLDERS[message.type] || message.content || ""
+  return text.length > MAX_SNIPPET_LENGTH ? `${text.slice(0, MAX_SNIPPET_LENGTH - 3)}...` : text
+}
+
+// Tóm tắt các cuộc trò chuyện có tin chưa đọc mới sau since, bỏ qua cuộc trò chuyện đã tắt thông báo hoặc đã ẩn
+export const buildUserDigest = async (userId, since) => {
+  const [conversations, states] = await Promise.all([getUserConversations(userId), getUserConversationStates(userId)])
+
+  const activeConversations = conversations.filter((conversation) => {
+    const state = states.get(conversation.conversationId)
+    return !isConversationMuted(state) && !(state && state.isHidden)
+  })
+
+  const unread = await getUnreadMessagesSince(
+    userId,
+    activeConversations.map((conversation) => conversation.conversationId),
+    since,
+  )
+  if (unread.length === 0) {
+    return { totalUnread: 0, conversations: [] }
+  }
+
+  const conversationsById = new Map(
+    activeConversations.map((conversation) => [conversation.conversationId, conversation]),
+  )
+  const groupConversationIds = unread
+    .map((item) => item.conversationId)
+    .filter((id) => conversationsById.get(id).isGroup)
+  const directUserIds = unread
+    .map((item) => conversationsById.get(item.conversationId))
+    .filter((conversation) => !conversation.isGroup)
+    .map((conversation) => conversation.participants.find((id) => id !== userId))
+
+  const [groups, users] = await Promise.all([
+    getGroupsByConversationIds(groupConversationIds),
+    getUsersByIds([...directUserIds, ...unread.flatMap((item) => item.messages.map((message) => message.senderId))]),
+  ])
+  const groupsByConversation = new Map(groups.map((group) => [group.conversationId, group]))
+  const usersById = new Map(users.map((user) => [user.userId, user]))
+  const getUserName = (id) => (usersById.get(id) ? usersById.get(id).fullName : "Unknown User")
+
+  return {
+    totalUnread: unread.reduce((total, item) => total + item.unreadCount, 0),
+    conversations: unread.slice(0, MAX_DIGEST_CONVERSATIONS).map((item) => {
+      const conversation = conversationsById.get(item.conversationId)
+      const group = groupsByConversation.get(item.conversationId)
+      return {
+        conversationId: item.conversationId,
+        name: conversation.isGroup
+          ? (group && group.name) || "Group chat"
+          : getUserName(conversation.participants.find((id) => id !== userId)),
+        unreadCount: item.unreadCount,
+        // Tin mới nhất ở cuối giống thứ tự đọc
+        snippets: item.messages
+          .slice()
+          .reverse()
+          .map((message) => ({ senderName: getUserName(message.senderId), text: getSnippetText(message) })),
+      }
+    }),
+  }
+}
+
+// Gửi bản tóm tắt của một chu kỳ cho một người dùng; nhật ký gửi đảm bảo mỗi chu kỳ chỉ gửi một lần
+const sendUserDigest = async (user, period) => {
+  if (!(await claimDigestPeriod(user.userId, period.key))) {
+    return false
+  }
+
+  try {
+    // Chỉ tóm tắt tin nhắn mới kể từ lần gửi trước để không lặp lại nội dung cũ
+    const lastSentAt = await getLastDigestSentAt(user.userId)
+    const since = lastSentAt && lastSentAt > period.start ? lastSentAt : period.start
+
+    const digest = await buildUserDigest(user.userId, since)
+    if (digest.totalUnread === 0) {
+      await completeDigestLog(user.userId, period.key, "skipped")
+      return false
+    }
+
+    const preference = await getDigestPreference(user.userId)
+    await sendDigestEmail(user.email, {
+      fullName: user.fullName,
+      totalUnread: digest.totalUnread,
+      conversations: digest.conversations,
+      unsubscribeUrl: getUnsubscribeUrl(preference.unsubscribeToken),
+    })
+
+    await completeDigestLog(user.userId, period.key, "sent", digest.totalUnread, digest.conversations.length)
+    return true
+  } catch (error) {
+    console.error(`Error sending digest to user ${user.userId}:`, error)
+    await releaseDigestPeriod(user.userId, period.key).catch(() => {})
+    return false
+  }
+}
+
+// Một lượt quét: gửi cho mọi người dùng có chu kỳ đến hạn mà chưa được xử lý
+export const runEmailDigest = async (now = new Date()) => {
+  const periods = new Map(
+    [DIGEST_FREQUENCIES.DAILY, DIGEST_FREQUENCIES.WEEKLY]
+      .map((frequency) => [frequency, getDueDigestPeriod(frequency, now)])
+      .filter(([, period]) => period),
+  )
+  if (periods.size === 0) {
+    return { sentCount: 0 }
+  }
+
+  let sentCount = 0
+  let afterUserId = null
+
+  while (true) {
+    const users = await getUsersBatch(afterUserId, DIGEST_BATCH_SIZE)
+    if (users.length === 0) {
+      break
+    }
+    afterUserId = users[users.length - 1].userId
+
+    const userIds = users.map((user) => user.userId)
+    const frequencies = await getDigestFrequenciesByUserIds(userIds)
+    const processedByPeriod = new Map()
+    for (const [frequency, period] of periods) {
+      processedByPeriod.set(frequency, await getProcessedDigestUserIds(userIds, period.key))
+    }
+
+    for (const user of users) {
+      const frequency = frequencies.get(user.userId)
+      const period = periods.get(frequency)
+      if (!period || !user.email || processedByPeriod.get(frequency).has(user.userId)) {
+        continue
+      }
+
+      if (await sendUserDigest(user, period)) {
+        sentCount++
+      }
+    }
+  }
+
+  return { sentCount }
+}
+
+let digestTimer = null
+let isDigestRunning = false
+
+// Kiểm tra mỗi giờ; bật bằng EMAIL_DIGEST_ENABLED=true
+export const startEmailDigestScheduler = () => {
+  if (digestTimer) {
+    return digestTimer
+  }
+
+  const tick = async () => {
+    if (isDigestRunning) {
+      return
+    }
+
+    isDigestRunning = true
+    try {
+      const { sentCount } = await runEmailDigest()
+      if (sentCount > 0) {
+        console.log(`Sent ${sentCount} digest emails`)
+      }
+    } catch (error) {
+      console.error("Error running email digest:", error)
+    } finally {
+      isDigestRunning = false
+    }
+  }
+
+  digestTimer = setInterval(tick, DIGEST_CHECK_INTERVAL_MS)
+  digestTimer.unref()
+  return digestTimer
+}
+
+export const stopEmailDigestScheduler = () => {
+  if (digestTimer) {
+    clearInterval(digestTimer)
+    digestTimer = null
+  }
+}
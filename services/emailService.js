@@ -107,6 +107,85 @@ export const verifyEmailCode = async (email, code) => {
   }
 }
 
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+
+// Email tóm tắt tin nhắn chưa đọc.
+// conversations: [{ name, unreadCount, snippets: [{ senderName, text }] }]
+export const sendDigestEmail = async (email, { fullName, totalUnread, conversations, unsubscribeUrl }) => {
+  try {
+    const subject = `You have ${totalUnread} unread message${totalUnread === 1 ? "" : "s"}`
+
+    const conversationsHtml = conversations
+      .map(
+        (conversation) => `
+          <div style="border-top: 1px solid #e0e0e0; padding: 12px 0;">
+            <h3 style="color: #333; margin: 0 0 6px;">${escapeHtml(conversation.name)} (${conversation.unreadCount})</h3>
+            ${conversation.snippets
+              .map(
+                (snippet) =>
+                  `<p style="margin: 4px 0; color: #555;"><strong>${escapeHtml(snippet.senderName)}:</strong> ${escapeHtml(snippet.text)}</p>`,
+              )
+              .join("")}
+          </div>`,
+      )
+      .join("")
+
+    const conversationsText = conversations
+      .map(
+        (conversation) =>
+          `${conversation.name} (${conversation.unreadCount})\n` +
+          conversation.snippets.map((snippet) => `  ${snippet.senderName}: ${snippet.text}`).join("\n"),
+      )
+      .join("\n\n")
+
+    const mailOptions = {
+      from: {
+        name: "Zalo app",
+        address: process.env.EMAIL_USER,
+      },
+      to: email,
+      subject,
+      headers: {
+        "List-Unsubscribe": `<${unsubscribeUrl}>`,
+        // Hủy đăng ký một chạm (RFC 8058): trình đọc thư gửi POST tới unsubscribeUrl
+        "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+      },
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+          <h2 style="color: #333;">Hi ${escapeHtml(fullName || "there")},</h2>
+          <p>${escapeHtml(subject)} waiting for you.</p>
+          ${conversationsHtml}
+          <p style="font-size: 12px; color: #999; margin-top: 20px;">
+            Don't want these emails? <a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a>
+          </p>
+        </div>
+      `,
+      text: `Hi ${fullName || "there"},\n\n${subject} waiting for you.\n\n${conversationsText}\n\nUnsubscribe: ${unsubscribeUrl}`,
+    }
+
+    if (process.env.NODE_ENV === "development" && process.env.SKIP_EMAIL_SENDING === "true") {
+      console.log(`[DEV MODE] Digest email to ${email}: ${subject}`)
+      return { success: true, messageId: "DEV_MODE_ID" }
+    }
+
+    const transporter = createTransporter()
+    const info = await transporter.sendMail(mailOptions)
+
+    console.log(`Digest email sent to ${email} with ID: ${info.messageId}`)
+
+    return { success: true, messageId: info.messageId }
+  } catch (error) {
+    console.error("Error sending digest email:", error)
+    throw error
+  }
+}
+
 export const validateEmail = (email) => {
   const re =
     /^(([^<>()[\]\\.,;:\s@"]+(\.[^<>()[\]\\.,;:\s@"]+)*)|(".+"))@((\[[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\])|(([a-zA-Z\-0-9]+\.)+[a-zA-Z]{2,}))$/
@@ -0,0 +1,305 @@
+import {
+  getConversationById,
+  getMessageById,
+  getMessageByClientMessageId,
+  createMessage,
+  createReplyMessage,
+  getMessagesByIds,
+  markMessagesAsDelivered,
+  summarizePoll,
+} from "../models/messageModel.js"
+import { getUserById, getUsersByIds } from "../models/userModel.js"
+import { isBlockedBetween } from "../models/blockModel.js"
+
+const MAX_CLIENT_MESSAGE_ID_LENGTH = 64
+
+// Số tin nhắn tối đa trong một lần client xác nhận đã nhận
+export const MAX_DELIVERY_ACK_MESSAGES = 100
+
+// Giới hạn mỗi lần đánh dấu đã nhận khi tải danh sách cuộc trò chuyện
+const MAX_DELIVERY_SCAN_CONVERSATIONS = 50
+const MAX_DELIVERY_BATCH_MESSAGES = 500
+
+// Loại tin nhắn gửi được mà không cần tải tệp lên
+export const TEXT_MESSAGE_TYPES = ["text", "emoji"]
+
+// clientMessageId không bắt buộc, trả về null khi client không gửi
+export const parseClientMessageId = (clientMessageId) => {
+  if (clientMessageId === undefined || clientMessageId === null || clientMessageId === "") {
+    return null
+  }
+  if (typeof clientMessageId !== "string" || clientMessageId.length > MAX_CLIENT_MESSAGE_ID_LENGTH) {
+    throw new Error("Invalid clientMessageId")
+  }
+  return clientMessageId
+}
+
+// Tin nhắn đã lưu từ lần gửi trước với cùng clientMessageId (client gửi lại)
+export const findResentMessage = async (senderId, conversationId, clientMessageId) => {
+  if (!clientMessageId) {
+    return null
+  }
+
+  const message = await getMessageByClientMessageId(senderId, clientMessageId)
+  if (message && message.conversationId !== conversationId) {
+    throw new Error("clientMessageId was already used in another conversation")
+  }
+  return message
+}
+
+// Chat 1-1 bị chặn khi một trong hai người đã chặn người kia
+export const isDirectConversationBlocked = async (conversation, userId) => {
+  if (conversation.isGroup) {
+    return false
+  }
+
+  const otherUserId = conversation.participants.find((id) => id !== userId)
+  return otherUserId ? await isBlockedBetween(userId, otherUserId) : false
+}
+
+export const getSenderInfo = async (senderId) => {
+  const sender = await getUserById(senderId)
+  return sender
+    ? {
+        userId: sender.userId,
+        fullName: sender.fullName,
+        avatarUrl: sender.avatarUrl,
+      }
+    : {
+        userId: senderId,
+        fullName: "Unknown User",
+        avatarUrl: null,
+      }
+}
+
+const getReplyToInfo = async (replyToMessageId) => {
+  const originalMessage = replyToMessageId ? await getMessageById(replyToMessageId) : null
+  if (!originalMessage) {
+    return null
+  }
+
+  const originalSender = await getUserById(originalMessage.senderId)
+  return {
+    messageId: originalMessage.messageId,
+    content: originalMessage.content,
+    type: originalMessage.type,
+    attachments: originalMessage.attachments,
+    sender: originalSender
+      ? {
+          userId: originalSender.userId,
+          fullName: originalSender.fullName,
+        }
+      : {
+          userId: originalMessage.senderId,
+          fullName: "Unknown User",
+        },
+  }
+}
+
+// Danh sách tin ghim kèm nội dung tóm tắt, bỏ qua tin đã bị xóa hẳn (tin tự hủy hết hạn)
+export const getPinnedMessagesDetail = async (conversation) => {
+  const pins = conversation.pinnedMessages || []
+  if (pins.length === 0) {
+    return []
+  }
+
+  // Tin hết hạn nhưng worker chưa kịp dọn cũng bỏ qua
+  const now = new Date()
+  const messages = (await getMessagesByIds(pins.map((pin) => pin.messageId))).filter(
+    (message) => !message.expiresAt || message.expiresAt > now,
+  )
+  const messagesById = new Map(messages.map((message) => [message.messageId, message]))
+  const users = await getUsersByIds([
+    ...messages.map((message) => message.senderId),
+    ...pins.map((pin) => pin.pinnedBy),
+  ])
+  const usersById = new Map(users.map((user) => [user.userId, user]))
+  const getUserInfo = (userId) => ({
+    userId,
+    fullName: usersById.get(userId) ? usersById.get(userId).fullName : "Unknown User",
+  })
+
+  return pins
+    .filter((pin) => messagesById.has(pin.messageId))
+    .map((pin) => {
+      const message = messagesById.get(pin.messageId)
+      return {
+        messageId: message.messageId,
+        type: message.type,
+        content: message.content,
+        attachments: message.attachments,
+        sender: getUserInfo(message.senderId),
+        createdAt: message.createdAt,
+        pinnedBy: getUserInfo(pin.pinnedBy),
+        pinnedAt: pin.pinnedAt,
+      }
+    })
+}
+
+// Dữ liệu tin nhắn gửi kèm sự kiện new_message
+export const buildNewMessageData = async (message) => {
+  return {
+    messageId: message.messageId,
+    clientMessageId: message.clientMessageId || null,
+    conversationId: message.conversationId,
+    senderId: message.senderId,
+    sender: await getSenderInfo(message.senderId),
+    type: message.type,
+    content: message.content,
+    attachments: message.attachments,
+    replyTo: await getReplyToInfo(message.replyTo),
+    threadRootId: message.threadRootId || null,
+    mentions: message.mentions,
+    forwardedFrom: message.forwardedFrom || null,
+    poll: summarizePoll(message.poll),
+    expiresAt: message.expiresAt || null,
+    createdAt: message.createdAt,
+  }
+}
+
+// Gửi tin nhắn văn bản/emoji (có thể trả lời hoặc đề cập), dùng chung cho REST và socket.
+// Không phát sự kiện: trả về messageData để nơi gọi emit new_message, isDuplicate khi client gửi lại
+export const sendConversationMessage = async (
+  senderId,
+  { conversationId, type = "text", content, replyToMessageId = null, mentions = [], clientMessageId = null },
+) => {
+  if (!TEXT_MESSAGE_TYPES.includes(type)) {
+    throw new Error("Unsupported message type")
+  }
+
+  if (typeof content !== "string" || content.trim() === "") {
+    throw new Error("Message content cannot be empty")
+  }
+
+  const validClientMessageId = parseClientMessageId(clientMessageId)
+
+  const conversation = await getConversationById(conversationId)
+  if (!conversation) {
+    throw new Error("Conversation not found")
+  }
+
+  if (!conversation.participants.includes(senderId)) {
+    throw new Error("You are not a participant in this conversation")
+  }
+
+  const resentMessage = await findResentMessage(senderId, conversationId, validClientMessageId)
+  if (resentMessage) {
+    return { messageData: await buildNewMessageData(resentMessage), mentions: [], isDuplicate: true }
+  }
+
+  if (await isDirectConversationBlocked(conversation, senderId)) {
+    throw new Error("You cannot send messages to this user")
+  }
+
+  let receiverId = null
+  if (!conversation.isGroup) {
+    receiverId = conversation.participants.find((id) => id !== senderId)
+
+    if (!receiverId) {
+      throw new Error("Could not determine message recipient")
+    }
+  }
+
+  // Chỉ giữ những người được đề cập có trong cuộc trò chuyện
+  const validMentions = (Array.isArray(mentions) ? mentions : []).filter(
+    (mention) => mention && conversation.participants.includes(mention.userId),
+  )
+
+  const options = { clientMessageId: validClientMessageId }
+  if (validMentions.length > 0) {
+    options.mentions = validMentions
+  }
+
+  const message = replyToMessageId
+    ? await createReplyMessage(conversationId, senderId, replyToMessageId, content, type, [], options)
+    : await createMessage(conversationId, senderId, receiverId, type, content, [], options)
+
+  return {
+    messageData: await buildNewMessageData(message),
+    mentions: validMentions,
+    thread: message.threadRootId ? await getThreadSummary(message) : null,
+    isDuplicate: false,
+  }
+}
+
+// Số trả lời mới nhất của chuỗi chứa reply, gửi kèm sự kiện thread_updated
+export const getThreadSummary = async (reply) => {
+  const root = await getMessageById(reply.threadRootId)
+  if (!root || root.conversationId !== reply.conversationId) {
+    return null
+  }
+
+  return {
+    conversationId: root.conversationId,
+    rootMessageId: root.messageId,
+    replyCount: root.replyCount,
+    lastReplyAt: root.lastReplyAt,
+    lastReplyId: reply.messageId,
+  }
+}
+
+// Gom tin nhắn vừa được nhận theo người gửi và cuộc trò chuyện để báo message_delivered
+const groupDeliveries = (messages) => {
+  const deliveries = new Map()
+  messages.forEach((message) => {
+    const key = `${message.senderId}:${message.conversationId}`
+    if (!deliveries.has(key)) {
+      deliveries.set(key, { senderId: message.senderId, conversationId: message.conversationId, messageIds: [] })
+    }
+    deliveries.get(key).messageIds.push(message.messageId)
+  })
+  return Array.from(deliveries.values())
+}
+
+// Client xác nhận đã nhận new_message: chỉ đánh dấu tin nhắn thuộc cuộc trò chuyện người dùng đang tham gia
+export const deliverMessagesByIds = async (userId, messageIds) => {
+  if (!Array.isArray(messageIds)) {
+    throw new Error("messageIds must be an array")
+  }
+
+  const ids = [...new Set(messageIds.filter((id) => typeof id === "string"))].slice(0, MAX_DELIVERY_ACK_MESSAGES)
+  const messages = await getMessagesByIds(ids)
+
+  const conversationIds = [...new Set(messages.map((message) => message.conversationId))]
+  const conversations = await Promise.all(conversationIds.map((id) => getConversationById(id)))
+  const allowedConversationIds = new Set(
+    conversations
+      .filter((conversation) => conversation && conversation.participants.includes(userId))
+      .map((conversation) => conversation.conversationId),
+  )
+
+  const allowedIds = messages
+    .filter((message) => allowedConversationIds.has(message.conversationId))
+    .map((message) => message.messageId)
+  if (allowedIds.length === 0) {
+    return []
+  }
+
+  return groupDeliveries(await markMessagesAsDelivered(userId, { messageId: { $in: allowedIds } }))
+}
+
+// Người dùng tải danh sách cuộc trò chuyện: tin mới trong đó coi như đã nhận.
+// Tin chưa nhận luôn là tin chưa đọc nên chỉ quét cuộc trò chuyện còn tin chưa đọc, từ lần đọc cuối trở đi
+export const deliverConversationMessages = async (userId, conversationStates) => {
+  const checkpoints = [...conversationStates]
+    .filter(([, state]) => state && state.unreadCount > 0)
+    .slice(0, MAX_DELIVERY_SCAN_CONVERSATIONS)
+    .map(([conversationId, state]) =>
+      state.lastReadAt ? { conversationId, createdAt: { $gt: state.lastReadAt } } : { conversationId },
+    )
+  if (checkpoints.length === 0) {
+    return []
+  }
+
+  return groupDeliveries(await markMessagesAsDelivered(userId, { $or: checkpoints }, MAX_DELIVERY_BATCH_MESSAGES))
+}
+
+// Tin nhắn vừa trả về cho người dùng (một trang trong getMessages) coi như đã nhận
+export const deliverLoadedMessages = async (userId, messages) => {
+  const messageIds = messages.map((message) => message.messageId)
+  if (messageIds.length === 0) {
+    return []
+  }
+
+  return groupDeliveries(await markMessagesAsDelivered(userId, { messageId: { $in: messageIds } }))
+}
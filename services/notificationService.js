@@ -0,0 +1,255 @@
+import { initializeApp, cert, applicationDefault, getApps } from "firebase-admin/app"
+import { getMessaging } from "firebase-admin/messaging"
+import { getUserById } from "../models/userModel.js"
+import { getGroupByConversationId } from "../models/groupModel.js"
+import { getConversationStatesByUserIds, isConversationMuted } from "../models/conversationStateModel.js"
+import { getDeviceTokensByUserIds, deleteDeviceTokens } from "../models/deviceTokenModel.js"
+import { getConnectionStore } from "./connectionStoreService.js"
+
+// FCM giới hạn số tin nhắn trong một lần sendEach
+const FCM_BATCH_SIZE = 500
+const MAX_PREVIEW_LENGTH = 100
+
+// Mã lỗi FCM cho biết token không còn dùng được, cần xóa
+const INVALID_TOKEN_ERRORS = ["messaging/registration-token-not-registered", "messaging/invalid-registration-token"]
+
+const MESSAGE_PREVIEWS = {
+  image: "Sent a photo",
+  imageGroup: "Sent photos",
+  file: "Sent a file",
+  video: "Sent a video",
+  recalled: "Message was recalled",
+}
+
+// Mọi transport đều có cùng interface:
+//   send(messages) -> [{ token, success, errorCode }]
+// messages theo định dạng Message của FCM (token, notification, data, android, apns)
+
+// Gửi qua Firebase Cloud Messaging. Thông tin xác thực lấy từ FIREBASE_SERVICE_ACCOUNT (JSON)
+// hoặc GOOGLE_APPLICATION_CREDENTIALS
+export const createFcmTransport = () => {
+  let messaging = null
+
+  const getClient = () => {
+    if (!messaging) {
+      const app =
+        getApps()[0] ||
+        initializeApp({
+          credential: process.env.FIREBASE_SERVICE_ACCOUNT
+            ? cert(JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT))
+            : applicationDefault(),
+        })
+      messaging = getMessaging(app)
+    }
+    return messaging
+  }
+
+  return {
+    send: async (messages) => {
+      const results = []
+      for (let i = 0; i < messages.length; i += FCM_BATCH_SIZE) {
+        const batch = messages.slice(i, i + FCM_BATCH_SIZE)
+        const response = await getClient().sendEach(batch)
+        response.responses.forEach((result, index) => {
+          results.push({
+            token: batch[index].token,
+            success: result.success,
+            errorCode: result.error ? result.error.code : null,
+          })
+        })
+      }
+      return results
+    },
+  }
+}
+
+// Chỉ ghi log loại thông báo (không ghi nội dung tin nhắn), dùng khi phát triển qua PUSH_TRANSPORT=log
+export const createLogTransport = () => ({
+  send: async (messages) => {
+    messages.forEach((message) => {
+      console.log(`[PUSH] ${message.data.type} notification to device token ...${message.token.slice(-6)}`)
+    })
+    return messages.map((message) => ({ token: message.token, success: true, errorCode: null }))
+  },
+})
+
+// Không gửi gì, dùng khi chưa cấu hình Firebase; báo thất bại để không ai tưởng đã gửi
+const createDisabledTransport = () => ({
+  send: async (messages) => messages.map((message) => ({ token: message.token, success: false, errorCode: null })),
+})
+
+const hasFirebaseCredentials = () =>
+  !!(process.env.FIREBASE_SERVICE_ACCOUNT || process.env.GOOGLE_APPLICATION_CREDENTIALS)
+
+let defaultTransport = null
+
+// PUSH_TRANSPORT=fcm|log chọn transport; không đặt thì dùng FCM khi có thông tin xác thực Firebase
+export const getNotificationTransport = () => {
+  if (!defaultTransport) {
+    const transport = process.env.PUSH_TRANSPORT || (hasFirebaseCredentials() ? "fcm" : null)
+    if (transport === "log") {
+      defaultTransport = createLogTransport()
+    } else if (transport === "fcm") {
+      defaultTransport = createFcmTransport()
+    } else {
+      console.warn("Push notifications are disabled: set FIREBASE_SERVICE_ACCOUNT or PUSH_TRANSPORT")
+      defaultTransport = createDisabledTransport()
+    }
+  }
+  return defaultTransport
+}
+
+export const setNotificationTransport = (transport) => {
+  defaultTransport = transport
+}
+
+// Thông báo cùng collapseKey thay thế nhau trên thiết bị (vd. nhiều tin nhắn của một cuộc trò chuyện)
+const conversationCollapseKey = (conversationId) => `conversation:${conversationId}`
+
+const buildPushMessage = (token, { title, body, data, collapseKey }) => {
+  // FCM chỉ nhận giá trị chuỗi trong data
+  const stringData = Object.fromEntries(
+    Object.entries(data)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => [key, String(value)]),
+  )
+
+  return {
+    token,
+    notification: { title, body },
+    data: stringData,
+    android: {
+      collapseKey,
+      notification: { tag: collapseKey },
+    },
+    apns: {
+      headers: { "apns-collapse-id": collapseKey },
+    },
+  }
+}
+
+const getMessagePreview = (message) => {
+  const preview = MESSAGE_PREVIEWS[message.type] || message.content || ""
+  return preview.length > MAX_PREVIEW_LENGTH ? `${preview.slice(0, MAX_PREVIEW_LENGTH - 3)}...` : preview
+}
+
+// Chỉ gửi cho người không còn kết nối socket nào (cùng nguồn dữ liệu với getUserOnlineStatus)
+const getOfflineUserIds = async (userIds) => {
+  const store = getConnectionStore()
+  const onlineStatuses = await Promise.all(userIds.map((userId) => store.isOnline(userId)))
+  return userIds.filter((userId, index) => !onlineStatuses[index])
+}
+
+// Bỏ qua người đã tắt thông báo cuộc trò chuyện
+const filterUnmutedUserIds = async (conversationId, userIds) => {
+  if (userIds.length === 0) {
+    return []
+  }
+  const states = await getConversationStatesByUserIds(conversationId, userIds)
+  return userIds.filter((userId) => !isConversationMuted(states.get(userId)))
+}
+
+const sendToUsers = async (userIds, notification) => {
+  if (userIds.length === 0) {
+    return
+  }
+
+  const deviceTokens = await getDeviceTokensByUserIds(userIds)
+  if (deviceTokens.length === 0) {
+    return
+  }
+
+  const results = await getNotificationTransport().send(
+    deviceTokens.map((deviceToken) => buildPushMessage(deviceToken.token, notification)),
+  )
+
+  const invalidTokens = results
+    .filter((result) => !result.success && INVALID_TOKEN_ERRORS.includes(result.errorCode))
+    .map((result) => result.token)
+  await deleteDeviceTokens(invalidTokens)
+}
+
+// Các hàm notify* không ném lỗi: thông báo đẩy không được làm hỏng luồng gửi tin nhắn
+
+// Tin nhắn mới: người được đề cập nhận thông báo "mentioned you", những người khác nhận nội dung tin nhắn
+export const notifyNewMessage = async (message, conversation) => {
+  try {
+    if (message.type === "system") {
+      return
+    }
+
+    const recipientIds = conversation.participants.filter((id) => id !== message.senderId)
+    const targetIds = await filterUnmutedUserIds(conversation.conversationId, await getOfflineUserIds(recipientIds))
+    if (targetIds.length === 0) {
+      return
+    }
+
+    const [sender, group] = await Promise.all([
+      getUserById(message.senderId),
+      conversation.isGroup ? getGroupByConversationId(conversation.conversationId) : null,
+    ])
+    const senderName = sender ? sender.fullName : "Someone"
+    const preview = getMessagePreview(message)
+    const collapseKey = conversationCollapseKey(conversation.conversationId)
+    const data = {
+      conversationId: conversation.conversationId,
+      messageId: message.messageId,
+      groupId: group ? group.groupId : null,
+    }
+
+    const mentionedIds = new Set((message.mentions || []).map((mention) => mention.userId))
+
+    await Promise.all([
+      sendToUsers(
+        targetIds.filter((id) => !mentionedIds.has(id)),
+        {
+          title: group ? group.name : senderName,
+          body: group ? `${senderName}: ${preview}` : preview,
+          data: { ...data, type: "new_message" },
+          collapseKey,
+        },
+      ),
+      sendToUsers(
+        targetIds.filter((id) => mentionedIds.has(id)),
+        {
+          title: group ? `${senderName} mentioned you in ${group.name}` : `${senderName} mentioned you`,
+          body: preview,
+          data: { ...data, type: "mention" },
+          collapseKey,
+        },
+      ),
+    ])
+  } catch (error) {
+    console.error("Error sending new message notification:", error)
+  }
+}
+
+export const notifyFriendRequest = async (receiverId, sender) => {
+  try {
+    const targetIds = await getOfflineUserIds([receiverId])
+
+    await sendToUsers(targetIds, {
+      title: "New friend request",
+      body: `${sender.fullName} sent you a friend request`,
+      data: { type: "friend_request", senderId: sender.userId },
+      collapseKey: `friend_request:${sender.userId}`,
+    })
+  } catch (error) {
+    console.error("Error sending friend request notification:", error)
+  }
+}
+
+export const notifyAddedToGroup = async (userId, group, addedBy) => {
+  try {
+    const targetIds = await filterUnmutedUserIds(group.conversationId, await getOfflineUserIds([userId]))
+
+    await sendToUsers(targetIds, {
+      title: group.name,
+      body: `${addedBy.fullName || "Someone"} added you to the group`,
+      data: { type: "group_added", groupId: group.groupId, conversationId: group.conversationId },
+      collapseKey: conversationCollapseKey(group.conversationId),
+    })
+  } catch (error) {
+    console.error("Error sending group notification:", error)
+  }
+}
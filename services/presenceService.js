@@ -0,0 +1,57 @@
+import { getBlockRelatedUserIds } from "../models/blockModel.js"
+import { getFriendIds } from "../models/friendModel.js"
+import { getPrivacySettings, getPrivacySettingsByUserIds, isAllowedForAudience } from "../models/privacySettingsModel.js"
+
+// Trả về tập userId mà viewerId được phép xem trạng thái trực tuyến / lần truy cập cuối
+export const getVisiblePresenceUserIds = async (viewerId, userIds) => {
+  const uniqueIds = [...new Set(userIds.filter(Boolean))]
+  if (uniqueIds.length === 0) {
+    return new Set()
+  }
+
+  const [settings, blockedUserIds, friendIds] = await Promise.all([
+    getPrivacySettingsByUserIds(uniqueIds),
+    getBlockRelatedUserIds(viewerId),
+    getFriendIds(viewerId),
+  ])
+  const friendIdSet = new Set(friendIds)
+
+  return new Set(
+    uniqueIds.filter((userId) => {
+      if (userId === viewerId) {
+        return true
+      }
+      if (blockedUserIds.has(userId)) {
+        return false
+      }
+      return isAllowedForAudience(settings.get(userId).presenceVisibility, friendIdSet.has(userId))
+    }),
+  )
+}
+
+// Trả về tập viewerId được phép xem trạng thái của userId
+export const getPresenceViewerIds = async (userId, viewerIds) => {
+  const uniqueIds = [...new Set(viewerIds.filter(Boolean))]
+  if (uniqueIds.length === 0) {
+    return new Set()
+  }
+
+  const [settings, blockedUserIds, friendIds] = await Promise.all([
+    getPrivacySettings(userId),
+    getBlockRelatedUserIds(userId),
+    getFriendIds(userId),
+  ])
+  const friendIdSet = new Set(friendIds)
+
+  return new Set(
+    uniqueIds.filter((viewerId) => {
+      if (viewerId === userId) {
+        return true
+      }
+      if (blockedUserIds.has(viewerId)) {
+        return false
+      }
+      return isAllowedForAudience(settings.presenceVisibility, friendIdSet.has(viewerId))
+    }),
+  )
+}
@@ -0,0 +1,122 @@
+import {
+  incrementRateLimitCounter,
+  getRateLimitCounter,
+  setRateLimitCounter,
+  deleteRateLimitCounter,
+} from "../models/rateLimitModel.js"
+
+// Mọi store đều có cùng interface:
+//   increment(key, windowMs) -> { count, resetAt }
+//   get(key) -> { count, resetAt } | null
+//   set(key, count, ttlMs) -> { count, resetAt }
+//   reset(key)
+
+// Store trong bộ nhớ (mặc định), chỉ đúng khi chạy một instance
+export const createMemoryRateLimitStore = () => {
+  const counters = new Map()
+
+  const getActive = (key) => {
+    const entry = counters.get(key)
+    if (entry && entry.resetAt.getTime() <= Date.now()) {
+      counters.delete(key)
+      return null
+    }
+    return entry || null
+  }
+
+  // Dọn định kỳ các bộ đếm đã hết hạn
+  const cleanupTimer = setInterval(() => {
+    const now = Date.now()
+    counters.forEach((entry, key) => {
+      if (entry.resetAt.getTime() <= now) {
+        counters.delete(key)
+      }
+    })
+  }, 60 * 1000)
+  cleanupTimer.unref()
+
+  return {
+    increment: async (key, windowMs) => {
+      const entry = getActive(key) || { count: 0, resetAt: new Date(Date.now() + windowMs) }
+      entry.count += 1
+      counters.set(key, entry)
+      return { ...entry }
+    },
+    get: async (key) => {
+      const entry = getActive(key)
+      return entry ? { ...entry } : null
+    },
+    set: async (key, count, ttlMs) => {
+      const entry = { count, resetAt: new Date(Date.now() + ttlMs) }
+      counters.set(key, entry)
+      return { ...entry }
+    },
+    reset: async (key) => {
+      counters.delete(key)
+    },
+  }
+}
+
+// Store dùng MongoDB, chia sẻ giữa nhiều instance
+export const createMongoRateLimitStore = () => ({
+  increment: (key, windowMs) => incrementRateLimitCounter(key, windowMs),
+  get: (key) => getRateLimitCounter(key),
+  set: (key, count, ttlMs) => setRateLimitCounter(key, count, ttlMs),
+  reset: (key) => deleteRateLimitCounter(key),
+})
+
+let defaultStore = null
+
+// Chọn store theo RATE_LIMIT_STORE=memory|mongo
+export const getRateLimitStore = () => {
+  if (!defaultStore) {
+    defaultStore = process.env.RATE_LIMIT_STORE === "mongo" ? createMongoRateLimitStore() : createMemoryRateLimitStore()
+  }
+  return defaultStore
+}
+
+export const setRateLimitStore = (store) => {
+  defaultStore = store
+}
+
+export const getRetryAfterSeconds = (resetAt) => {
+  return Math.max(Math.ceil((new Date(resetAt).getTime() - Date.now()) / 1000), 1)
+}
+
+// Khóa đăng nhập tăng dần: từ lần sai thứ LOGIN_FAILURE_THRESHOLD, mỗi lần sai tiếp theo thời gian khóa gấp đôi.
+// Đếm theo cặp email + IP để người khác không thể cố tình nhập sai mà khóa tài khoản của chủ tài khoản
+const LOGIN_FAILURE_THRESHOLD = 5
+const LOGIN_FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000
+const BASE_LOCKOUT_MS = 60 * 1000
+const MAX_LOCKOUT_MS = 60 * 60 * 1000
+
+const loginAttemptKey = (email, ip) => `${email.toLowerCase()}:${ip || "unknown"}`
+const loginFailureKey = (email, ip) => `login-failures:${loginAttemptKey(email, ip)}`
+const loginLockKey = (email, ip) => `login-lock:${loginAttemptKey(email, ip)}`
+
+export const getLoginLockout = async (email, ip) => {
+  const lock = await getRateLimitStore().get(loginLockKey(email, ip))
+  if (!lock) {
+    return { locked: false, retryAfterSeconds: 0 }
+  }
+  return { locked: true, retryAfterSeconds: getRetryAfterSeconds(lock.resetAt) }
+}
+
+export const recordFailedLogin = async (email, ip) => {
+  const store = getRateLimitStore()
+  const { count } = await store.increment(loginFailureKey(email, ip), LOGIN_FAILURE_WINDOW_MS)
+
+  if (count < LOGIN_FAILURE_THRESHOLD) {
+    return { locked: false, retryAfterSeconds: 0, failedAttempts: count }
+  }
+
+  const lockMs = Math.min(BASE_LOCKOUT_MS * 2 ** (count - LOGIN_FAILURE_THRESHOLD), MAX_LOCKOUT_MS)
+  await store.set(loginLockKey(email, ip), 1, lockMs)
+
+  return { locked: true, retryAfterSeconds: Math.ceil(lockMs / 1000), failedAttempts: count }
+}
+
+export const clearFailedLogins = async (email, ip) => {
+  const store = getRateLimitStore()
+  await Promise.all([store.reset(loginFailureKey(email, ip)), store.reset(loginLockKey(email, ip))])
+}
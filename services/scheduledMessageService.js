@@ -0,0 +1,199 @@
+import { getConversationById, getMessageById } from "../models/messageModel.js"
+import { getGroupByConversationId } from "../models/groupModel.js"
+import {
+  claimDueScheduledMessage,
+  markScheduledMessageSent,
+  markScheduledMessageFailed,
+} from "../models/scheduledMessageModel.js"
+import { sendConversationMessage, isDirectConversationBlocked } from "./messageService.js"
+import { emitToConversation, emitToUser, emitThreadUpdated } from "../socket/socketManager.js"
+import { EVENTS } from "../socket/socketEvents.js"
+
+const SCHEDULED_MESSAGE_POLL_MS = 15 * 1000
+const SCHEDULED_MESSAGE_BATCH_SIZE = 50
+// Tin ở trạng thái processing lâu hơn mức này được coi là kẹt (server dừng khi đang gửi)
+const STALE_LOCK_MS = 5 * 60 * 1000
+const MAX_SEND_ATTEMPTS = 3
+
+export const MAX_SCHEDULE_AHEAD_DAYS = 365
+export const MAX_PENDING_SCHEDULED_MESSAGES = 100
+
+// Lỗi do dữ liệu (không còn quyền gửi, tin gốc đã mất...), thử lại cũng không thành công
+const PERMANENT_SEND_ERRORS = [
+  "Conversation not found",
+  "You are not a participant in this conversation",
+  "You are not a member of this group",
+  "You cannot send messages to this user",
+  "Original message not found",
+  "Message content cannot be empty",
+  "Unsupported message type",
+]
+
+export const parseScheduledAt = (value) => {
+  const scheduledAt = new Date(value)
+  if (!value || Number.isNaN(scheduledAt.getTime())) {
+    throw new Error("Invalid scheduledAt")
+  }
+  if (scheduledAt.getTime() <= Date.now()) {
+    throw new Error("Scheduled time must be in the future")
+  }
+  if (scheduledAt.getTime() > Date.now() + MAX_SCHEDULE_AHEAD_DAYS * 24 * 60 * 60 * 1000) {
+    throw new Error("Scheduled time is too far in the future")
+  }
+  return scheduledAt
+}
+
+// Người gửi còn được gửi vào cuộc trò chuyện: vẫn tham gia (và còn là thành viên nhóm), không bị chặn
+export const assertCanSendToConversation = async (senderId, conversationId) => {
+  const conversation = await getConversationById(conversationId)
+  if (!conversation) {
+    throw new Error("Conversation not found")
+  }
+
+  if (!conversation.participants.includes(senderId)) {
+    throw new Error("You are not a participant in this conversation")
+  }
+
+  if (conversation.isGroup) {
+    const group = await getGroupByConversationId(conversationId)
+    if (!group || !group.members.some((member) => member.userId === senderId)) {
+      throw new Error("You are not a member of this group")
+    }
+  }
+
+  if (await isDirectConversationBlocked(conversation, senderId)) {
+    throw new Error("You cannot send messages to this user")
+  }
+
+  return conversation
+}
+
+// Tin được trả lời phải thuộc cùng cuộc trò chuyện
+export const assertReplyTarget = async (conversationId, replyToMessageId) => {
+  if (!replyToMessageId) {
+    return
+  }
+
+  const replyTarget = await getMessageById(replyToMessageId)
+  if (!replyTarget || replyTarget.conversationId !== conversationId) {
+    throw new Error("Original message not found")
+  }
+}
+
+export const formatScheduledMessage = (scheduledMessage) => ({
+  scheduledMessageId: scheduledMessage.scheduledMessageId,
+  conversationId: scheduledMessage.conversationId,
+  type: scheduledMessage.type,
+  content: scheduledMessage.content,
+  replyTo: scheduledMessage.replyTo,
+  mentions: scheduledMessage.mentions,
+  scheduledAt: scheduledMessage.scheduledAt,
+  status: scheduledMessage.status,
+  messageId: scheduledMessage.messageId,
+  sentAt: scheduledMessage.sentAt,
+  failureReason: scheduledMessage.failureReason,
+  createdAt: scheduledMessage.createdAt,
+  updatedAt: scheduledMessage.updatedAt,
+})
+
+const sendScheduledMessage = async (io, scheduledMessage) => {
+  const { scheduledMessageId, conversationId, senderId } = scheduledMessage
+
+  try {
+    await assertCanSendToConversation(senderId, conversationId)
+
+    // clientMessageId cố định: xử lý lại sau khi server dừng giữa chừng không tạo tin trùng
+    const result = await sendConversationMessage(senderId, {
+      conversationId,
+      type: scheduledMessage.type,
+      content: scheduledMessage.content,
+      replyToMessageId: scheduledMessage.replyTo,
+      mentions: scheduledMessage.mentions.map((mention) => ({ userId: mention.userId, name: mention.name })),
+      clientMessageId: `scheduled:${scheduledMessageId}`,
+    })
+
+    // Tin đã tạo ở lần trước vẫn được phát lại vì có thể chưa kịp phát trước khi server dừng
+    emitToConversation(io, conversationId, EVENTS.NEW_MESSAGE, result.messageData)
+    emitThreadUpdated(io, result.thread)
+    result.mentions.forEach((mention) => {
+      emitToUser(io, mention.userId, EVENTS.MENTION, {
+        ...result.messageData,
+        mentionedBy: result.messageData.sender,
+      })
+    })
+
+    await markScheduledMessageSent(scheduledMessageId, result.messageData.messageId)
+    emitToUser(io, senderId, EVENTS.SCHEDULED_MESSAGE_SENT, {
+      scheduledMessageId,
+      conversationId,
+      messageId: result.messageData.messageId,
+    })
+  } catch (error) {
+    console.error(`Error sending scheduled message ${scheduledMessageId}:`, error)
+
+    // Lỗi tạm thời: giữ trạng thái processing, tin sẽ được nhận lại sau STALE_LOCK_MS
+    if (!PERMANENT_SEND_ERRORS.includes(error.message) && scheduledMessage.attempts < MAX_SEND_ATTEMPTS) {
+      return
+    }
+
+    await markScheduledMessageFailed(scheduledMessageId, error.message)
+    emitToUser(io, senderId, EVENTS.SCHEDULED_MESSAGE_FAILED, {
+      scheduledMessageId,
+      conversationId,
+      reason: error.message,
+    })
+  }
+}
+
+// Gửi các tin đã đến hạn; tin quá hạn khi server tắt sẽ được gửi ngay ở lần quét đầu tiên
+export const processDueScheduledMessages = async (io, now = new Date()) => {
+  const staleBefore = new Date(now.getTime() - STALE_LOCK_MS)
+  let processedCount = 0
+
+  while (processedCount < SCHEDULED_MESSAGE_BATCH_SIZE) {
+    const scheduledMessage = await claimDueScheduledMessage(now, staleBefore)
+    if (!scheduledMessage) {
+      break
+    }
+
+    await sendScheduledMessage(io, scheduledMessage)
+    processedCount++
+  }
+
+  return processedCount
+}
+
+let workerTimer = null
+let isWorkerRunning = false
+
+export const startScheduledMessageWorker = (io) => {
+  if (workerTimer) {
+    return workerTimer
+  }
+
+  const tick = async () => {
+    if (isWorkerRunning) {
+      return
+    }
+
+    isWorkerRunning = true
+    try {
+      await processDueScheduledMessages(io)
+    } catch (error) {
+      console.error("Error processing scheduled messages:", error)
+    } finally {
+      isWorkerRunning = false
+    }
+  }
+
+  workerTimer = setInterval(tick, SCHEDULED_MESSAGE_POLL_MS)
+  workerTimer.unref()
+  return workerTimer
+}
+
+export const stopScheduledMessageWorker = () => {
+  if (workerTimer) {
+    clearInterval(workerTimer)
+    workerTimer = null
+  }
+}
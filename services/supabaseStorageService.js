@@ -140,3 +140,24 @@ export const getImageUrl = async (key, signed = false) => {
     throw error
   }
 }
+
+// Xóa các tệp trong IMAGES_BUCKET theo URL công khai (tin nhắn chỉ lưu URL, không lưu key)
+export const deleteImagesByUrls = async (urls) => {
+  const marker = `/object/public/${IMAGES_BUCKET}/`
+  const keys = urls
+    .filter((url) => typeof url === "string" && url.includes(marker))
+    .map((url) => decodeURIComponent(url.split(marker)[1].split("?")[0]))
+
+  if (keys.length === 0) {
+    return
+  }
+
+  try {
+    const { error } = await supabaseClient.storage.from(IMAGES_BUCKET).remove(keys)
+
+    if (error) throw error
+  } catch (error) {
+    console.error("Error deleting images from Supabase:", error)
+    throw error
+  }
+}
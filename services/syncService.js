@@ -0,0 +1,151 @@
+import { getConversationById } from "../models/messageModel.js"
+import {
+  appendUserEvents,
+  getUserEventsSince,
+  getUserEventSequence,
+  hasUserEvent,
+} from "../models/userEventModel.js"
+import { EVENTS } from "../socket/socketEvents.js"
+
+export const DEFAULT_SYNC_LIMIT = 100
+export const MAX_SYNC_LIMIT = 500
+
+// Sự kiện được ghi vào nhật ký để client lấy lại sau khi offline
+const SYNCED_EVENTS = new Set([
+  EVENTS.NEW_MESSAGE,
+  EVENTS.MESSAGE_DELIVERED,
+  EVENTS.MESSAGE_READ,
+  EVENTS.MESSAGES_READ,
+  EVENTS.MESSAGE_DELETED,
+  EVENTS.MESSAGE_RECALLED,
+  EVENTS.MESSAGE_EDITED,
+  EVENTS.MESSAGE_READ_BY_MEMBER,
+  EVENTS.MENTION,
+  EVENTS.REACTION_ADDED,
+  EVENTS.REACTION_REMOVED,
+  EVENTS.SCHEDULED_MESSAGE_SENT,
+  EVENTS.SCHEDULED_MESSAGE_FAILED,
+  EVENTS.MESSAGES_EXPIRED,
+  EVENTS.MESSAGE_PINNED,
+  EVENTS.MESSAGE_UNPINNED,
+  EVENTS.THREAD_UPDATED,
+  EVENTS.POLL_UPDATED,
+  EVENTS.CONVERSATION_STATE_UPDATED,
+  EVENTS.CONVERSATION_SETTINGS_UPDATED,
+  EVENTS.GROUP_CREATED,
+  EVENTS.GROUP_UPDATED,
+  EVENTS.GROUP_DISSOLVED,
+  EVENTS.GROUP_ADDED,
+  EVENTS.GROUP_REMOVED,
+  EVENTS.GROUP_AVATAR_UPDATED,
+  EVENTS.MEMBER_LEFT,
+  EVENTS.MEMBER_ROLE_UPDATED,
+  EVENTS.FRIEND_REQUEST,
+  EVENTS.FRIEND_REQUEST_RESPONSE,
+  EVENTS.FRIEND_REQUEST_CANCELED,
+  EVENTS.FRIEND_REMOVED,
+  EVENTS.USER_BLOCKED,
+  EVENTS.USER_UNBLOCKED,
+])
+
+// Ghi sự kiện vào nhật ký của từng người nhận. Lỗi chỉ được log để không chặn việc phát sự kiện
+export const recordUserEvents = async (userIds, event, data) => {
+  if (!SYNCED_EVENTS.has(event)) {
+    return
+  }
+
+  try {
+    await appendUserEvents(userIds, event, data)
+  } catch (error) {
+    console.error(`Error recording ${event} for sync:`, error)
+  }
+}
+
+export const recordConversationEvent = async (conversationId, event, data) => {
+  if (!SYNCED_EVENTS.has(event)) {
+    return
+  }
+
+  try {
+    const conversation = await getConversationById(conversationId)
+    if (conversation) {
+      await recordUserEvents(conversation.participants, event, data)
+    }
+  } catch (error) {
+    console.error(`Error recording ${event} for conversation ${conversationId}:`, error)
+  }
+}
+
+// since là seq của sự kiện cuối cùng client đã nhận, 0 (hoặc bỏ trống) để lấy từ đầu
+export const parseSyncCursor = (since) => {
+  if (since === undefined || since === null || since === "") {
+    return 0
+  }
+
+  const cursor = Number(since)
+  if (!Number.isSafeInteger(cursor) || cursor < 0) {
+    throw new Error("Invalid sync cursor")
+  }
+  return cursor
+}
+
+export const parseSyncLimit = (limit) => {
+  const value = Number.parseInt(limit, 10)
+  if (Number.isNaN(value) || value <= 0) {
+    return DEFAULT_SYNC_LIMIT
+  }
+  return Math.min(value, MAX_SYNC_LIMIT)
+}
+
+// seq được cấp trước khi ghi nên một sự kiện có seq nhỏ hơn có thể chưa ghi xong khi sự kiện sau đã hiển thị.
+// Khoảng trống mới hơn mức này được coi là đang ghi (dừng trang tại đó), cũ hơn là ghi lỗi (bỏ qua)
+const IN_FLIGHT_GAP_MS = 10 * 1000
+
+// Trả về các sự kiện sau cursor theo thứ tự.
+// resetRequired: cursor đã quá cũ (sự kiện đã hết hạn) hoặc không hợp lệ, client cần tải lại toàn bộ dữ liệu
+// rồi tiếp tục đồng bộ từ cursor được trả về
+export const getUserSyncEvents = async (userId, since = 0, limit = DEFAULT_SYNC_LIMIT) => {
+  const [events, currentSeq] = await Promise.all([
+    getUserEventsSince(userId, since, limit + 1),
+    getUserEventSequence(userId),
+  ])
+
+  // Cursor vượt quá seq đã cấp, hoặc chính sự kiện tại cursor đã hết hạn trong khi sự kiện tiếp theo cũng mất
+  let resetRequired = since > currentSeq
+  if (!resetRequired && since > 0 && (events.length === 0 || events[0].seq !== since + 1)) {
+    resetRequired = since < currentSeq && !(await hasUserEvent(userId, since))
+  }
+
+  if (resetRequired) {
+    return {
+      events: [],
+      cursor: currentSeq,
+      hasMore: false,
+      resetRequired: true,
+    }
+  }
+
+  const now = Date.now()
+  const page = []
+  let stoppedAtGap = false
+  for (const event of events.slice(0, limit)) {
+    const expectedSeq = page.length > 0 ? page[page.length - 1].seq + 1 : since + 1
+    if (since + page.length > 0 && event.seq !== expectedSeq && now - event.createdAt.getTime() < IN_FLIGHT_GAP_MS) {
+      stoppedAtGap = true
+      break
+    }
+    page.push(event)
+  }
+
+  return {
+    events: page.map((event) => ({
+      seq: event.seq,
+      event: event.event,
+      data: event.data,
+      createdAt: event.createdAt,
+    })),
+    cursor: page.length > 0 ? page[page.length - 1].seq : since,
+    hasMore: !stoppedAtGap && events.length > limit,
+    resetRequired: false,
+  }
+}
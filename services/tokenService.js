@@ -0,0 +1,137 @@
+import crypto from "crypto"
+import jwt from "jsonwebtoken"
+import dotenv from "dotenv"
+import { v4 as uuidv4 } from "uuid"
+import { getUserById } from "../models/userModel.js"
+import {
+  createSession,
+  getSessionById,
+  isSessionActive,
+  rotateSessionRefreshToken,
+  revokeSession,
+  touchSession,
+} from "../models/sessionModel.js"
+
+dotenv.config()
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m"
+const REFRESH_TOKEN_TTL_DAYS = Number.parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30
+const SESSION_TOUCH_INTERVAL = 60 * 1000
+
+const hashToken = (secret) => crypto.createHash("sha256").update(secret).digest("hex")
+
+// Refresh token có dạng <sessionId>.<secret>, chỉ lưu hash của secret
+const generateRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(48).toString("base64url")
+  return {
+    refreshToken: `${sessionId}.${secret}`,
+    refreshTokenHash: hashToken(secret),
+  }
+}
+
+const parseRefreshToken = (refreshToken) => {
+  const separatorIndex = typeof refreshToken === "string" ? refreshToken.indexOf(".") : -1
+  if (separatorIndex <= 0) {
+    throw new Error("Invalid refresh token")
+  }
+
+  return {
+    sessionId: refreshToken.slice(0, separatorIndex),
+    secret: refreshToken.slice(separatorIndex + 1),
+  }
+}
+
+const sessionError = (message) => {
+  const error = new Error(message)
+  error.name = "SessionError"
+  return error
+}
+
+export const signAccessToken = (user, sessionId) => {
+  return jwt.sign({ userId: user.userId, email: user.email, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  })
+}
+
+export const getDeviceInfo = (req) => ({
+  deviceName: (req.body && req.body.deviceName) || null,
+  userAgent: req.headers["user-agent"] || null,
+  ipAddress: req.ip || null,
+})
+
+// Tạo phiên mới và cấp cặp access/refresh token
+export const issueSessionTokens = async (user, deviceInfo = {}) => {
+  const sessionId = uuidv4()
+  const { refreshToken, refreshTokenHash } = generateRefreshToken(sessionId)
+  const refreshTokenExpiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+
+  await createSession(user.userId, refreshTokenHash, refreshTokenExpiresAt, deviceInfo, sessionId)
+
+  return {
+    token: signAccessToken(user, sessionId),
+    refreshToken,
+    sessionId,
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshTokenExpiresAt,
+  }
+}
+
+// Đổi refresh token cũ lấy cặp token mới (rotation). Dùng lại token đã bị thay thế sẽ thu hồi cả phiên
+export const refreshSessionTokens = async (refreshToken) => {
+  const { sessionId, secret } = parseRefreshToken(refreshToken)
+  const session = await getSessionById(sessionId)
+
+  if (!isSessionActive(session)) {
+    throw new Error("Invalid refresh token")
+  }
+
+  const currentHash = hashToken(secret)
+
+  if (session.previousRefreshTokenHash === currentHash) {
+    await revokeSession(sessionId)
+    const error = new Error("Refresh token reuse detected")
+    error.sessionId = sessionId
+    throw error
+  }
+
+  const user = await getUserById(session.userId)
+  if (!user) {
+    throw new Error("Invalid refresh token")
+  }
+
+  const next = generateRefreshToken(sessionId)
+  const updatedSession = await rotateSessionRefreshToken(sessionId, currentHash, next.refreshTokenHash)
+
+  if (!updatedSession) {
+    throw new Error("Invalid refresh token")
+  }
+
+  return {
+    token: signAccessToken(user, sessionId),
+    refreshToken: next.refreshToken,
+    sessionId,
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshTokenExpiresAt: updatedSession.expiresAt,
+  }
+}
+
+// Xác thực access token và kiểm tra phiên tương ứng còn hiệu lực
+export const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET)
+
+  if (!decoded.sessionId) {
+    throw sessionError("Session is required, please log in again")
+  }
+
+  const session = await getSessionById(decoded.sessionId)
+
+  if (!isSessionActive(session) || session.userId !== decoded.userId) {
+    throw sessionError("Session has been revoked or expired")
+  }
+
+  if (Date.now() - new Date(session.lastUsedAt).getTime() > SESSION_TOUCH_INTERVAL) {
+    touchSession(session.sessionId).catch(console.error)
+  }
+
+  return decoded
+}
@@ -0,0 +1,166 @@
+import crypto from "crypto"
+import jwt from "jsonwebtoken"
+import dotenv from "dotenv"
+import { consumeBackupCode, updateTwoFactorLastUsedStep } from "../models/userModel.js"
+
+dotenv.config()
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567"
+const TOTP_PERIOD_SECONDS = 30
+const TOTP_DIGITS = 6
+const TOTP_WINDOW = 1 // chấp nhận lệch 1 chu kỳ (±30 giây)
+const BACKUP_CODE_COUNT = 10
+const TWO_FACTOR_TOKEN_TTL = "5m"
+
+const base32Encode = (buffer) => {
+  let bits = 0
+  let value = 0
+  let output = ""
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+
+  return output
+}
+
+const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, "").replace(/\s+/g, "").toUpperCase()
+  let bits = 0
+  let value = 0
+  const bytes = []
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) {
+      throw new Error("Invalid base32 secret")
+    }
+    value = (value << 5) | index
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+
+  return Buffer.from(bytes)
+}
+
+// HOTP theo RFC 4226
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8)
+  counterBuffer.writeBigUInt64BE(BigInt(counter))
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counterBuffer).digest()
+  const offset = hmac[hmac.length - 1] & 0xf
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    ((hmac[offset + 1] & 0xff) << 16) |
+    ((hmac[offset + 2] & 0xff) << 8) |
+    (hmac[offset + 3] & 0xff)
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, "0")
+}
+
+const getCurrentStep = () => Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS)
+
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20))
+
+export const buildOtpAuthUri = (secret, accountName) => {
+  const issuer = process.env.TOTP_ISSUER || "Zalo app"
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  })
+
+  return `otpauth://totp/${label}?${params.toString()}`
+}
+
+// Trả về chu kỳ (time step) khớp với mã, hoặc null nếu mã sai.
+// Mã thuộc chu kỳ <= lastUsedStep bị từ chối để tránh dùng lại
+export const verifyTotpCode = (secret, code, lastUsedStep = null) => {
+  const normalizedCode = String(code || "").replace(/\s+/g, "")
+  if (!secret || !/^\d{6}$/.test(normalizedCode)) {
+    return null
+  }
+
+  const currentStep = getCurrentStep()
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) {
+      continue
+    }
+
+    const expected = generateHotp(secret, step)
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalizedCode))) {
+      return step
+    }
+  }
+
+  return null
+}
+
+export const hashBackupCode = (code) => {
+  const normalized = String(code || "")
+    .replace(/[\s-]/g, "")
+    .toLowerCase()
+  return crypto.createHash("sha256").update(normalized).digest("hex")
+}
+
+// Sinh mã dự phòng dùng một lần, trả về cả mã gốc (hiển thị một lần) và hash để lưu
+export const generateBackupCodes = (count = BACKUP_CODE_COUNT) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex")
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`
+  })
+
+  return {
+    codes,
+    hashes: codes.map((code) => ({ hash: hashBackupCode(code), usedAt: null })),
+  }
+}
+
+// Token tạm thời cho bước đăng nhập thứ hai, không dùng được như access token
+export const signTwoFactorToken = (userId) => {
+  return jwt.sign({ userId, purpose: "2fa" }, process.env.JWT_SECRET, { expiresIn: TWO_FACTOR_TOKEN_TTL })
+}
+
+export const verifyTwoFactorToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET)
+  if (decoded.purpose !== "2fa" || !decoded.userId) {
+    throw new Error("Invalid two-factor token")
+  }
+  return decoded
+}
+
+// Xác thực bước thứ hai bằng mã TOTP hoặc mã dự phòng
+export const verifySecondFactor = async (user, { code, backupCode }) => {
+  if (!user.twoFactor || !user.twoFactor.enabled) {
+    return { valid: false, method: null }
+  }
+
+  if (backupCode) {
+    const valid = await consumeBackupCode(user.userId, hashBackupCode(backupCode))
+    return { valid, method: "backup_code" }
+  }
+
+  const step = verifyTotpCode(user.twoFactor.secret, code, user.twoFactor.lastUsedStep)
+  if (step === null) {
+    return { valid: false, method: "totp" }
+  }
+
+  const valid = await updateTwoFactorLastUsedStep(user.userId, step)
+  return { valid, method: "totp" }
+}
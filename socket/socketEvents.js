@@ -4,24 +4,45 @@ export const EVENTS = {
     CONNECT: "connect",
     DISCONNECT: "disconnect",
     ERROR: "error",
+    SESSION_REVOKED: "session_revoked",
+    PRIVACY_SETTINGS_UPDATED: "privacy_settings_updated",
+    SYNC: "sync",
+    SYNC_EVENTS: "sync_events",
   
     // User events
     USER_STATUS: "user_status",
     USER_JOINED: "user_joined",
     USER_LEFT: "user_left",
+    SUBSCRIBE_PRESENCE: "subscribe_presence",
+    UNSUBSCRIBE_PRESENCE: "unsubscribe_presence",
+    PRESENCE_STATE: "presence_state",
   
     // Conversation events
     JOIN_CONVERSATION: "join_conversation",
     LEAVE_CONVERSATION: "leave_conversation",
+    CONVERSATION_STATE_UPDATED: "conversation_state_updated",
+    CONVERSATION_SETTINGS_UPDATED: "conversation_settings_updated",
   
     // Message events
+    SEND_MESSAGE: "send_message",
     NEW_MESSAGE: "new_message",
+    MESSAGE_DELIVERED: "message_delivered",
     MESSAGE_READ: "message_read",
     MESSAGES_READ: "messages_read",
     MESSAGE_DELETED: "message_deleted",
     MESSAGE_RECALLED: "message_recalled",
+    MESSAGE_EDITED: "message_edited",
     TYPING_INDICATOR: "typing_indicator",
     MENTION: "mention",
+    REACTION_ADDED: "reaction_added",
+    REACTION_REMOVED: "reaction_removed",
+    SCHEDULED_MESSAGE_SENT: "scheduled_message_sent",
+    SCHEDULED_MESSAGE_FAILED: "scheduled_message_failed",
+    MESSAGES_EXPIRED: "messages_expired",
+    MESSAGE_PINNED: "message_pinned",
+    MESSAGE_UNPINNED: "message_unpinned",
+    POLL_UPDATED: "poll_updated",
+    THREAD_UPDATED: "thread_updated",
   
     // Group events
     JOIN_GROUP: "join_group",
@@ -44,6 +65,8 @@ export const EVENTS = {
     FRIEND_REQUEST_RESPONSE: "friend_request_response",
     FRIEND_REQUEST_CANCELED: "friend_request_canceled",
     FRIEND_REMOVED: "friend_removed",
+    USER_BLOCKED: "user_blocked",
+    USER_UNBLOCKED: "user_unblocked",
   }
   
   // Helper function to create a user-specific event name
@@ -1,21 +1,39 @@
 import { Server } from "socket.io"
-import jwt from "jsonwebtoken"
 import dotenv from "dotenv"
-import { getUserById } from "../models/userModel.js"
-import { getConversationById } from "../models/messageModel.js"
-import { checkMemberPermission, getGroupById } from "../models/groupModel.js"
+import { getUserById, getUsersByIds, updateUserLastSeen } from "../models/userModel.js"
+import { getConversationById, markMessagesAsReadUpTo } from "../models/messageModel.js"
+import { checkMemberPermission, getGroupById, updateLastReadMessage } from "../models/groupModel.js"
+import { getPrivacySettings } from "../models/privacySettingsModel.js"
+import { getVisiblePresenceUserIds, getPresenceViewerIds } from "../services/presenceService.js"
+import { verifyAccessToken } from "../services/tokenService.js"
+import { getConnectionStore, setConnectionStore } from "../services/connectionStoreService.js"
+import { sendConversationMessage, deliverMessagesByIds } from "../services/messageService.js"
+import {
+  recordUserEvents,
+  recordConversationEvent,
+  parseSyncCursor,
+  parseSyncLimit,
+  getUserSyncEvents,
+} from "../services/syncService.js"
 import { EVENTS, userEvent } from "./socketEvents.js"
 
 dotenv.config()
 
-// Map to store active user connections
-const userSocketMap = new Map() // userId -> Set of socket IDs
-const socketUserMap = new Map() // socketId -> userId
-const userConversationsMap = new Map() // userId -> Set of conversationIds
-const userGroupsMap = new Map() // userId -> Set of groupIds
+// Gắn adapter dùng chung của store (nếu có) để emit tới room/người dùng đến được socket ở các node khác.
+// Store cần kết nối DB nên gọi sau khi kết nối xong
+export const attachConnectionStoreAdapter = async (io) => {
+  const connectionStore = getConnectionStore()
+  if (!connectionStore.createAdapter) {
+    return
+  }
+
+  io.adapter(await connectionStore.createAdapter())
+}
 
 // Initialize Socket.IO server
-export const initializeSocketServer = (server) => {
+// options.connectionStore: store lưu kết nối/trạng thái trực tuyến (mặc định theo CONNECTION_STORE)
+// options.adapter: Socket.IO adapter dùng chung khi chạy nhiều instance (vd. @socket.io/redis-adapter)
+export const initializeSocketServer = (server, options = {}) => {
   const io = new Server(server, {
     cors: {
       origin: process.env.CORS_ORIGIN || "*",
@@ -25,6 +43,15 @@ export const initializeSocketServer = (server) => {
     pingTimeout: 60000,
   })
 
+  if (options.connectionStore) {
+    setConnectionStore(options.connectionStore)
+  }
+  const connectionStore = getConnectionStore()
+
+  if (options.adapter) {
+    io.adapter(options.adapter)
+  }
+
   // Middleware for authentication
   io.use(async (socket, next) => {
     try {
@@ -34,7 +61,7 @@ export const initializeSocketServer = (server) => {
         return next(new Error("Authentication token is required"))
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET)
+      const decoded = await verifyAccessToken(token)
       const user = await getUserById(decoded.userId)
 
       if (!user) {
@@ -46,7 +73,9 @@ export const initializeSocketServer = (server) => {
         email: user.email,
         fullName: user.fullName,
         avatarUrl: user.avatarUrl,
+        sessionId: decoded.sessionId,
       }
+      socket.data.userId = user.userId
 
       next()
     } catch (error) {
@@ -60,31 +89,74 @@ export const initializeSocketServer = (server) => {
 
     console.log(`User connected: ${userId}, Socket ID: ${socket.id}`)
 
-    // Add user to connection maps
-    if (!userSocketMap.has(userId)) {
-      userSocketMap.set(userId, new Set())
-      userConversationsMap.set(userId, new Set())
-      userGroupsMap.set(userId, new Set())
-    }
-    userSocketMap.get(userId).add(socket.id)
-    socketUserMap.set(socket.id, userId)
-
     // Join user to their personal room
     socket.join(userId)
 
-    // Emit online status to all users
-    emitUserStatus(io, userId, true)
+    // Join session room so the session can be disconnected when revoked
+    socket.join(sessionRoom(socket.user.sessionId))
+
+    // Add connection to the store, then emit online status to subscribers
+    connectionStore
+      .addConnection(userId, socket.id)
+      .then(() => emitUserStatus(io, userId, true))
+      .catch((error) => console.error(`Error adding connection of user ${userId}:`, error))
+
+    // Theo dõi trạng thái trực tuyến của những người dùng client quan tâm
+    socket.on(EVENTS.SUBSCRIBE_PRESENCE, async ({ userIds } = {}, callback) => {
+      try {
+        if (!Array.isArray(userIds)) {
+          socket.emit(EVENTS.ERROR, { message: "userIds must be an array" })
+          return
+        }
+
+        const uniqueIds = [...new Set(userIds.filter((id) => typeof id === "string" && id !== userId))]
+        const targetIds = uniqueIds.slice(0, MAX_PRESENCE_SUBSCRIPTIONS)
+        targetIds.forEach((targetId) => socket.join(presenceRoom(targetId)))
+
+        const presence = await getUsersPresence(userId, targetIds)
+        if (typeof callback === "function") {
+          callback({ presence })
+        } else {
+          socket.emit(EVENTS.PRESENCE_STATE, { presence })
+        }
+      } catch (error) {
+        console.error("Error subscribing to presence:", error)
+        socket.emit(EVENTS.ERROR, { message: "Failed to subscribe to presence", error: error.message })
+      }
+    })
+
+    // Lấy lại các sự kiện bị lỡ khi offline, kể từ cursor client đã lưu
+    socket.on(EVENTS.SYNC, async ({ since, limit } = {}, callback) => {
+      try {
+        const result = await getUserSyncEvents(userId, parseSyncCursor(since), parseSyncLimit(limit))
+        if (typeof callback === "function") {
+          callback(result)
+        } else {
+          socket.emit(EVENTS.SYNC_EVENTS, result)
+        }
+      } catch (error) {
+        console.error("Error syncing events:", error)
+        socket.emit(EVENTS.ERROR, { message: "Failed to sync events", error: error.message })
+      }
+    })
+
+    socket.on(EVENTS.UNSUBSCRIBE_PRESENCE, ({ userIds } = {}) => {
+      if (!Array.isArray(userIds)) {
+        return
+      }
+      userIds.forEach((targetId) => socket.leave(presenceRoom(targetId)))
+    })
 
     socket.on(EVENTS.GROUP_CREATED, ({ groupId, conversationId, members }) => {
+      if (!Array.isArray(members)) {
+        return
+      }
       members.forEach((memberId) => {
-        const socketId = userSocketMap[memberId]
-        if (socketId) {
-          io.to(socketId).emit(EVENTS.GROUP_CREATED, {
-            groupId,
-            conversationId,
-            addedBy: socket.userId,
-          })
-        }
+        emitToUser(io, memberId, EVENTS.GROUP_CREATED, {
+          groupId,
+          conversationId,
+          addedBy: userId,
+        })
       })
     })
     // Handle joining conversation rooms
@@ -103,7 +175,7 @@ export const initializeSocketServer = (server) => {
         }
 
         socket.join(conversationId)
-        userConversationsMap.get(userId).add(conversationId)
+        await connectionStore.addRoom(userId, socket.id, "conversation", conversationId)
         console.log(`User ${userId} joined conversation: ${conversationId}`)
 
         // Emit user joined event to let others know user joined
@@ -123,9 +195,9 @@ export const initializeSocketServer = (server) => {
     // Handle leaving conversation rooms
     socket.on(EVENTS.LEAVE_CONVERSATION, (conversationId) => {
       socket.leave(conversationId)
-      if (userConversationsMap.has(userId)) {
-        userConversationsMap.get(userId).delete(conversationId)
-      }
+      connectionStore
+        .removeRoom(userId, socket.id, "conversation", conversationId)
+        .catch((error) => console.error("Error removing conversation room:", error))
       console.log(`User ${userId} left conversation: ${conversationId}`)
 
       // Emit to others that user left
@@ -137,6 +209,54 @@ export const initializeSocketServer = (server) => {
       })
     })
 
+    // Gửi tin nhắn văn bản/emoji qua socket; kết quả (kèm clientMessageId) trả về qua ack
+    socket.on(EVENTS.SEND_MESSAGE, async (payload, callback) => {
+      const ack = typeof callback === "function" ? callback : () => {}
+      const { conversationId, type, content, replyToMessageId, mentions, clientMessageId } = payload || {}
+
+      try {
+        const result = await sendConversationMessage(userId, {
+          conversationId,
+          type,
+          content,
+          replyToMessageId,
+          mentions,
+          clientMessageId,
+        })
+
+        // Client gửi lại một tin nhắn đã lưu: chỉ trả ack, không phát lại
+        if (!result.isDuplicate) {
+          emitToConversation(io, conversationId, EVENTS.NEW_MESSAGE, result.messageData)
+          emitThreadUpdated(io, result.thread)
+          result.mentions.forEach((mention) => {
+            emitToUser(io, mention.userId, EVENTS.MENTION, {
+              ...result.messageData,
+              mentionedBy: result.messageData.sender,
+            })
+          })
+        }
+
+        ack({ success: true, isDuplicate: result.isDuplicate, messageData: result.messageData })
+      } catch (error) {
+        console.error("Error sending message via socket:", error)
+        ack({ success: false, clientMessageId: clientMessageId || null, message: error.message })
+      }
+    })
+
+    // Client xác nhận đã nhận new_message: { messageIds }
+    socket.on(EVENTS.MESSAGE_DELIVERED, async ({ messageIds } = {}, callback) => {
+      const ack = typeof callback === "function" ? callback : () => {}
+
+      try {
+        const deliveries = await deliverMessagesByIds(userId, messageIds)
+        emitMessagesDelivered(io, userId, deliveries)
+        ack({ success: true, messageIds: deliveries.flatMap((delivery) => delivery.messageIds) })
+      } catch (error) {
+        console.error("Error marking messages as delivered:", error)
+        ack({ success: false, message: error.message })
+      }
+    })
+
     // Handle typing indicators
     socket.on(EVENTS.TYPING_INDICATOR, ({ conversationId, isTyping }) => {
       socket.to(conversationId).emit(EVENTS.TYPING_INDICATOR, {
@@ -168,8 +288,10 @@ export const initializeSocketServer = (server) => {
         // Join both the group room and the conversation room
         socket.join(`group:${groupId}`)
         socket.join(group.conversationId)
-        userGroupsMap.get(userId).add(groupId)
-        userConversationsMap.get(userId).add(group.conversationId)
+        await Promise.all([
+          connectionStore.addRoom(userId, socket.id, "group", groupId),
+          connectionStore.addRoom(userId, socket.id, "conversation", group.conversationId),
+        ])
 
         console.log(`User ${userId} joined group: ${groupId} and conversation: ${group.conversationId}`)
 
@@ -188,15 +310,26 @@ export const initializeSocketServer = (server) => {
     })
 
     // Handle message read events
-    socket.on(EVENTS.MESSAGE_READ, ({ messageId, conversationId }) => {
+    socket.on(EVENTS.MESSAGE_READ, async ({ messageId, conversationId }) => {
       try {
+        if (!(await getPrivacySettings(userId)).readReceipts) {
+          return
+        }
+
+        const conversation = await getConversationById(conversationId)
+        if (!conversation || !conversation.participants.includes(userId)) {
+          return
+        }
+
         // Broadcast to all users in the conversation that this user has read the message
-        socket.to(conversationId).emit(EVENTS.MESSAGE_READ, {
+        const payload = {
           messageId,
           userId,
           conversationId,
           readAt: new Date(),
-        })
+        }
+        socket.to(conversationId).emit(EVENTS.MESSAGE_READ, payload)
+        recordConversationEvent(conversationId, EVENTS.MESSAGE_READ, payload)
       } catch (error) {
         console.error("Error handling message read:", error)
         socket.emit(EVENTS.ERROR, { message: "Failed to mark message as read", error: error.message })
@@ -204,14 +337,25 @@ export const initializeSocketServer = (server) => {
     })
 
     // Handle messages read (mark all as read) events
-    socket.on(EVENTS.MESSAGES_READ, ({ conversationId }) => {
+    socket.on(EVENTS.MESSAGES_READ, async ({ conversationId }) => {
       try {
+        if (!(await getPrivacySettings(userId)).readReceipts) {
+          return
+        }
+
+        const conversation = await getConversationById(conversationId)
+        if (!conversation || !conversation.participants.includes(userId)) {
+          return
+        }
+
         // Broadcast to all users in the conversation that this user has read all messages
-        socket.to(conversationId).emit(EVENTS.MESSAGES_READ, {
+        const payload = {
           userId,
           conversationId,
           readAt: new Date(),
-        })
+        }
+        socket.to(conversationId).emit(EVENTS.MESSAGES_READ, payload)
+        recordConversationEvent(conversationId, EVENTS.MESSAGES_READ, payload)
       } catch (error) {
         console.error("Error handling messages read:", error)
         socket.emit(EVENTS.ERROR, { message: "Failed to mark messages as read", error: error.message })
@@ -219,15 +363,35 @@ export const initializeSocketServer = (server) => {
     })
 
     // Handle message read by group member
-    socket.on(EVENTS.MESSAGE_READ_BY_MEMBER, ({ groupId, messageId }) => {
+    socket.on(EVENTS.MESSAGE_READ_BY_MEMBER, async ({ groupId, messageId }) => {
       try {
+        const group = await getGroupById(groupId)
+        if (!group || !group.members.some((member) => member.userId === userId)) {
+          socket.emit(EVENTS.ERROR, { message: "Not authorized to access this group" })
+          return
+        }
+
+        // Lưu lại trên server giống updateLastRead để readBy nhất quán
+        const { readAt } = await markMessagesAsReadUpTo(group.conversationId, userId, messageId)
+        await updateLastReadMessage(groupId, userId, messageId)
+
+        if (!(await getPrivacySettings(userId)).readReceipts) {
+          return
+        }
+
         // Broadcast to all users in the group that this member has read the message
-        socket.to(`group:${groupId}`).emit(EVENTS.MESSAGE_READ_BY_MEMBER, {
+        const payload = {
           messageId,
           userId,
           groupId,
-          readAt: new Date(),
-        })
+          readAt,
+        }
+        socket.to(`group:${groupId}`).emit(EVENTS.MESSAGE_READ_BY_MEMBER, payload)
+        recordUserEvents(
+          group.members.map((member) => member.userId),
+          EVENTS.MESSAGE_READ_BY_MEMBER,
+          payload,
+        )
       } catch (error) {
         console.error("Error handling message read by member:", error)
         socket.emit(EVENTS.ERROR, { message: "Failed to mark message as read by member", error: error.message })
@@ -238,34 +402,151 @@ export const initializeSocketServer = (server) => {
     socket.on(EVENTS.DISCONNECT, () => {
       console.log(`User disconnected: ${userId}, Socket ID: ${socket.id}`)
 
-      // Remove socket from user's set of connections
-      if (userSocketMap.has(userId)) {
-        userSocketMap.get(userId).delete(socket.id)
-
-        // If user has no more active connections, they're offline
-        if (userSocketMap.get(userId).size === 0) {
-          // Clean up user's conversation and group memberships
-          userConversationsMap.delete(userId)
-          userGroupsMap.delete(userId)
-          userSocketMap.delete(userId)
-          emitUserStatus(io, userId, false)
-        }
-      }
+      // Remove socket from the store; the user is offline once their last connection is gone
+      connectionStore
+        .removeConnection(userId, socket.id)
+        .then(({ isLastConnection }) => {
+          if (!isLastConnection) {
+            return
+          }
 
-      socketUserMap.delete(socket.id)
+          const lastSeenAt = new Date()
+          updateUserLastSeen(userId, lastSeenAt).catch((error) => {
+            console.error(`Error saving last seen of user ${userId}:`, error)
+          })
+          return emitUserStatus(io, userId, false, lastSeenAt)
+        })
+        .catch((error) => console.error(`Error removing connection of user ${userId}:`, error))
     })
   })
 
   return io
 }
 
-// Emit user online status to all users
-const emitUserStatus = (io, userId, isOnline) => {
-  io.emit(userEvent(userId, EVENTS.USER_STATUS), {
-    userId,
-    isOnline,
-    lastSeen: isOnline ? null : new Date(),
-  })
+const sessionRoom = (sessionId) => `session:${sessionId}`
+
+// Disconnect all sockets opened with a revoked session
+export const disconnectSessionSockets = (io, sessionId) => {
+  if (!io) {
+    console.error("Socket.io instance not available")
+    return
+  }
+
+  try {
+    io.to(sessionRoom(sessionId)).emit(EVENTS.SESSION_REVOKED, {
+      sessionId,
+      timestamp: new Date(),
+    })
+    io.in(sessionRoom(sessionId)).disconnectSockets(true)
+    console.log(`Disconnected sockets of session ${sessionId}`)
+  } catch (error) {
+    console.error(`Error disconnecting sockets of session ${sessionId}:`, error)
+  }
+}
+
+const presenceRoom = (userId) => `presence:${userId}`
+
+const MAX_PRESENCE_SUBSCRIPTIONS = 200
+
+const getHiddenStatus = (userId) => ({ userId, isOnline: false, lastSeen: null })
+
+const getCurrentUserStatus = async (userId) => {
+  if (await getUserOnlineStatus(userId)) {
+    return { userId, isOnline: true, lastSeen: null }
+  }
+  const user = await getUserById(userId)
+  return { userId, isOnline: false, lastSeen: user ? user.lastSeenAt || null : null }
+}
+
+// Gửi trạng thái tới các socket đang theo dõi userId, chỉ người được phép xem mới nhận trạng thái thật.
+// hideFromOthers: những người còn lại nhận trạng thái ngoại tuyến (dùng khi quyền xem thay đổi)
+const broadcastUserStatus = async (io, userId, status, hideFromOthers = false) => {
+  const sockets = await io.in(presenceRoom(userId)).fetchSockets()
+  if (sockets.length === 0) {
+    return
+  }
+
+  const viewerIds = await getPresenceViewerIds(userId, sockets.map((subscriber) => subscriber.data.userId))
+  const allowedSocketIds = sockets
+    .filter((subscriber) => viewerIds.has(subscriber.data.userId))
+    .map((subscriber) => subscriber.id)
+  const hiddenSocketIds = sockets
+    .filter((subscriber) => !viewerIds.has(subscriber.data.userId))
+    .map((subscriber) => subscriber.id)
+
+  if (allowedSocketIds.length > 0) {
+    io.to(allowedSocketIds).emit(userEvent(userId, EVENTS.USER_STATUS), status)
+  }
+  if (hideFromOthers && hiddenSocketIds.length > 0) {
+    io.to(hiddenSocketIds).emit(userEvent(userId, EVENTS.USER_STATUS), getHiddenStatus(userId))
+  }
+}
+
+// Emit user online status to the subscribers allowed to see it
+const emitUserStatus = async (io, userId, isOnline, lastSeenAt = null) => {
+  try {
+    await broadcastUserStatus(io, userId, {
+      userId,
+      isOnline,
+      lastSeen: isOnline ? null : lastSeenAt,
+    })
+  } catch (error) {
+    console.error(`Error emitting status of user ${userId}:`, error)
+  }
+}
+
+// Phát lại trạng thái sau khi đổi cài đặt: ai không còn được xem sẽ thấy người dùng ngoại tuyến
+export const refreshUserStatus = async (io, userId) => {
+  if (!io) {
+    console.error("Socket.io instance not available")
+    return
+  }
+
+  try {
+    await broadcastUserStatus(io, userId, await getCurrentUserStatus(userId), true)
+  } catch (error) {
+    console.error(`Error refreshing status of user ${userId}:`, error)
+  }
+}
+
+// Gửi lại trạng thái của userId cho một người xem sau khi quan hệ giữa hai người thay đổi (chặn, kết bạn, ...)
+export const syncUserStatusFor = async (io, userId, viewerId) => {
+  if (!io) {
+    console.error("Socket.io instance not available")
+    return
+  }
+
+  try {
+    const viewerIds = await getPresenceViewerIds(userId, [viewerId])
+    const status = viewerIds.has(viewerId) ? await getCurrentUserStatus(userId) : getHiddenStatus(userId)
+
+    io.to(viewerId).emit(userEvent(userId, EVENTS.USER_STATUS), status)
+  } catch (error) {
+    console.error(`Error syncing status of user ${userId} for ${viewerId}:`, error)
+  }
+}
+
+// Trạng thái trực tuyến và lần truy cập cuối của nhiều người dùng theo quyền xem của viewerId
+export const getUsersPresence = async (viewerId, userIds) => {
+  const [visibleUserIds, users] = await Promise.all([
+    getVisiblePresenceUserIds(viewerId, userIds),
+    getUsersByIds(userIds),
+  ])
+
+  return await Promise.all(
+    users.map(async (user) => {
+      if (!visibleUserIds.has(user.userId)) {
+        return { userId: user.userId, isOnline: false, lastSeenAt: null }
+      }
+
+      const isOnline = await getUserOnlineStatus(user.userId)
+      return {
+        userId: user.userId,
+        isOnline,
+        lastSeenAt: isOnline ? null : user.lastSeenAt || null,
+      }
+    }),
+  )
 }
 
 // Utility functions to be used by controllers
@@ -276,10 +557,12 @@ export const emitToUser = (io, userId, event, data) => {
   }
 
   try {
-    io.to(userId).emit(event, {
+    const payload = {
       ...data,
       timestamp: new Date(),
-    })
+    }
+    io.to(userId).emit(event, payload)
+    recordUserEvents([userId], event, payload)
     console.log(`Emitted ${event} to user ${userId}`)
   } catch (error) {
     console.error(`Error emitting ${event} to user ${userId}:`, error)
@@ -301,18 +584,14 @@ export const emitToConversation = (io, conversationId, event, data) => {
             return
           }
 
-          
-          io.to(conversationId).emit(event, {
+          // Phát một lần tới phòng cuộc trò chuyện và phòng cá nhân của từng người tham gia:
+          // Socket.IO (và adapter dùng chung) tự loại trùng nên mỗi socket chỉ nhận một lần, kể cả ở node khác
+          const payload = {
             ...data,
             timestamp: new Date(),
-          })
-
-          conversation.participants.forEach((participantId) => {
-            io.to(participantId).emit(event, {
-              ...data,
-              timestamp: new Date(),
-            })
-          })
+          }
+          io.to([conversationId, ...conversation.participants]).emit(event, payload)
+          recordUserEvents(conversation.participants, event, payload)
 
           console.log(
             `Emitted ${event} to conversation ${conversationId} with ${conversation.participants.length} participants`,
@@ -326,16 +605,20 @@ export const emitToConversation = (io, conversationId, event, data) => {
           })
         })
     } else if (event === EVENTS.MESSAGE_DELETED || event === EVENTS.MESSAGE_RECALLED) {
-      io.to(conversationId).emit(event, {
+      const payload = {
         ...data,
         timestamp: new Date(),
-      })
+      }
+      io.to(conversationId).emit(event, payload)
+      recordConversationEvent(conversationId, event, payload)
       console.log(`Emitted ${event} for message in conversation ${conversationId}`)
     } else {
-      io.to(conversationId).emit(event, {
+      const payload = {
         ...data,
         timestamp: new Date(),
-      })
+      }
+      io.to(conversationId).emit(event, payload)
+      recordConversationEvent(conversationId, event, payload)
       console.log(`Emitted ${event} to conversation ${conversationId}`)
     }
   } catch (error) {
@@ -343,6 +626,27 @@ export const emitToConversation = (io, conversationId, event, data) => {
   }
 }
 
+// Báo cho người gửi biết tin nhắn đã tới thiết bị của userId
+export const emitMessagesDelivered = (io, userId, deliveries) => {
+  const deliveredAt = new Date()
+  deliveries.forEach(({ senderId, conversationId, messageIds }) => {
+    emitToUser(io, senderId, EVENTS.MESSAGE_DELIVERED, {
+      conversationId,
+      messageIds,
+      userId,
+      deliveredAt,
+    })
+  })
+}
+
+// Báo số trả lời mới của chuỗi để client cập nhật nhãn "n replies" trên tin gốc
+export const emitThreadUpdated = (io, thread) => {
+  if (thread) {
+    emitToConversation(io, thread.conversationId, EVENTS.THREAD_UPDATED, thread)
+  }
+}
+
+// Không ghi nhật ký đồng bộ ở đây: controller đã gửi cùng sự kiện tới từng thành viên qua emitToUser
 export const emitToGroup = (io, groupId, event, data) => {
   if (!io) {
     console.error("Socket.io instance not available")
@@ -401,24 +705,19 @@ export const emitToGroup = (io, groupId, event, data) => {
   }
 }
 
+// Các hàm dưới đây đọc từ connection store nên đúng cả khi chạy nhiều instance
 export const getUserOnlineStatus = (userId) => {
-  return userSocketMap.has(userId)
+  return getConnectionStore().isOnline(userId)
 }
 
 export const getOnlineUsers = () => {
-  return Array.from(userSocketMap.keys())
+  return getConnectionStore().getOnlineUserIds()
 }
 
 export const getUserActiveConversations = (userId) => {
-  if (userConversationsMap.has(userId)) {
-    return Array.from(userConversationsMap.get(userId))
-  }
-  return []
+  return getConnectionStore().getRooms(userId, "conversation")
 }
 
 export const getUserActiveGroups = (userId) => {
-  if (userGroupsMap.has(userId)) {
-    return Array.from(userGroupsMap.get(userId))
-  }
-  return []
+  return getConnectionStore().getRooms(userId, "group")
 }